@@ -0,0 +1,210 @@
+/**
+ * Alarm Registry
+ *
+ * Maps CloudWatch alarms to breaker actions from the metric the alarm
+ * watches (`Trigger.Namespace`, `Trigger.MetricName` and
+ * `Trigger.Dimensions`) instead of guessing from the alarm name.
+ *
+ * Each entry matches one metric:
+ * - namespace, metricName: Required, compared exactly
+ * - dimensions: The alarm's full dimension set (as on the CloudWatch metric),
+ *   e.g. {"ServiceLevel": "1", "ServiceType": "full-service"}; "*" matches any
+ *   value. The BreakerId dimension only routes the alarm and is not compared.
+ * - type: failure or recovery, the kind of signal the alarm carries; it is
+ *   the action taken when the alarm enters ALARM
+ * - states: Actions for the other alarm states, e.g.
+ *   {"OK": "recovery", "INSUFFICIENT_DATA": "failure"}; each action is
+ *   failure, recovery or ignore (the default)
+ * - serviceLevel: Level the alarm reports on; defaults to the alarm's
+ *   ServiceLevel dimension. A failure alarm clearing (recovery on OK) shows
+ *   that level is healthy again, so it counts for the level above it: the
+ *   level the breaker degraded to
+ * - errorType: Failure type recorded for failure alarms (default SystemError);
+ *   INSUFFICIENT_DATA failures are recorded as InsufficientData
+ *
+ * Entries from ALARM_REGISTRY (JSON array) are checked before the built-in
+ * ones, which cover infrastructure/cloudwatch-alarms.json. Alarms that match
+ * no entry are unmapped and never change a breaker.
+ */
+
+const ALARM_TYPES = ['failure', 'recovery'];
+const ALARM_ACTIONS = ['failure', 'recovery', 'ignore'];
+const ALARM_STATES = ['ALARM', 'OK', 'INSUFFICIENT_DATA'];
+
+const LEVEL_SERVICES = {
+    1: 'full-service',
+    2: 'degraded-service',
+    3: 'maintenance-service'
+};
+
+const BUILT_IN_ENTRIES = [
+    {
+        namespace: 'CircuitBreaker/Service',
+        metricName: 'Error',
+        dimensions: { ServiceLevel: '*', ServiceType: '*' },
+        type: 'failure',
+        // Errors clearing is a recovery signal for the level
+        states: { OK: 'recovery' },
+        errorType: 'HighErrorRate'
+    },
+    {
+        // System-wide error alarm (no dimensions): degrades Level 2 to Level 3
+        namespace: 'CircuitBreaker/Service',
+        metricName: 'Error',
+        dimensions: {},
+        type: 'failure',
+        serviceLevel: 2,
+        errorType: 'HighErrorRate'
+    },
+    {
+        namespace: 'CircuitBreaker/Service',
+        metricName: 'Success',
+        dimensions: { ServiceLevel: '*', ServiceType: '*' },
+        type: 'recovery',
+        // A service that stops reporting successes is unhealthy
+        states: { INSUFFICIENT_DATA: 'failure' }
+    }
+];
+
+let registry = null;
+
+/**
+ * Check whether a registry entry is usable, logging why not
+ */
+function isValidEntry(entry) {
+    const states = (entry && entry.states) || {};
+    const validStates = Object.entries(states)
+        .every(([state, action]) => ALARM_STATES.includes(state) && ALARM_ACTIONS.includes(action));
+
+    if (!entry || !entry.namespace || !entry.metricName || !ALARM_TYPES.includes(entry.type) || !validStates) {
+        console.error('Invalid alarm registry entry, ignoring:', JSON.stringify(entry));
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Get the registry: ALARM_REGISTRY entries first, then the built-in ones
+ */
+function getAlarmRegistry() {
+    if (registry) {
+        return registry;
+    }
+
+    let configuredEntries = [];
+    if (process.env.ALARM_REGISTRY) {
+        try {
+            configuredEntries = JSON.parse(process.env.ALARM_REGISTRY);
+        } catch (error) {
+            console.error('Invalid JSON in ALARM_REGISTRY, ignoring:', error.message);
+        }
+    }
+
+    registry = [...(Array.isArray(configuredEntries) ? configuredEntries : []), ...BUILT_IN_ENTRIES]
+        .filter(isValidEntry);
+    return registry;
+}
+
+/**
+ * Get the metric an alarm watches from its notification payload
+ *
+ * SNS alarm notifications use lowercase dimension keys; both forms are read.
+ */
+function getAlarmMetric(alarmData) {
+    const trigger = alarmData.Trigger || {};
+    const dimensions = {};
+
+    for (const dimension of trigger.Dimensions || []) {
+        const name = dimension.name || dimension.Name;
+        if (name !== 'BreakerId') {
+            dimensions[name] = String(dimension.value !== undefined ? dimension.value : dimension.Value);
+        }
+    }
+
+    return {
+        namespace: trigger.Namespace || null,
+        metricName: trigger.MetricName || null,
+        dimensions
+    };
+}
+
+/**
+ * Check whether an entry's dimensions are exactly the alarm's dimension set
+ */
+function dimensionsMatch(entryDimensions = {}, alarmDimensions) {
+    const entryNames = Object.keys(entryDimensions);
+    if (entryNames.length !== Object.keys(alarmDimensions).length) {
+        return false;
+    }
+
+    return entryNames.every(name => (
+        alarmDimensions[name] !== undefined
+        && (entryDimensions[name] === '*' || String(entryDimensions[name]) === alarmDimensions[name])
+    ));
+}
+
+/**
+ * Get the action an entry takes for an alarm state
+ */
+function getStateAction(entry, state) {
+    if (entry.states && entry.states[state]) {
+        return entry.states[state];
+    }
+    return state === 'ALARM' ? entry.type : 'ignore';
+}
+
+/**
+ * Resolve an alarm to its breaker action
+ *
+ * Returns { type, action, serviceLevel, serviceType, errorType } for the
+ * alarm's NewStateValue, or null when the alarm is unmapped (no matching
+ * entry, or no level to act on). serviceLevel is the level the action
+ * counts for.
+ */
+function resolveAlarm(alarmData) {
+    const metric = getAlarmMetric(alarmData);
+
+    const entry = getAlarmRegistry().find(candidate => (
+        candidate.namespace === metric.namespace
+        && candidate.metricName === metric.metricName
+        && dimensionsMatch(candidate.dimensions, metric.dimensions)
+    ));
+    if (!entry) {
+        return null;
+    }
+
+    const serviceLevel = Number(entry.serviceLevel || metric.dimensions.ServiceLevel);
+    if (!LEVEL_SERVICES[serviceLevel]) {
+        console.warn('Alarm registry entry matched but no valid service level:', JSON.stringify(metric));
+        return null;
+    }
+
+    let action = getStateAction(entry, alarmData.NewStateValue);
+    let actionLevel = serviceLevel;
+    if (action === 'recovery' && entry.type === 'failure') {
+        // Nothing degrades away from Level 3, so its errors clearing has no level to recover
+        actionLevel = serviceLevel + 1;
+        if (!LEVEL_SERVICES[actionLevel]) {
+            action = 'ignore';
+            actionLevel = serviceLevel;
+        }
+    }
+
+    let errorType = null;
+    if (action === 'failure') {
+        errorType = alarmData.NewStateValue === 'INSUFFICIENT_DATA' ? 'InsufficientData' : (entry.errorType || 'SystemError');
+    }
+
+    return {
+        type: entry.type,
+        action,
+        serviceLevel: actionLevel,
+        serviceType: LEVEL_SERVICES[actionLevel],
+        errorType
+    };
+}
+
+module.exports = {
+    getAlarmMetric,
+    resolveAlarm
+};
\ No newline at end of file
@@ -1,8 +1,29 @@
-const { CloudWatchClient, PutMetricDataCommand } = require('@aws-sdk/client-cloudwatch');
-const cloudwatch = new CloudWatchClient({});
+const { SQSClient, SendMessageCommand } = require('@aws-sdk/client-sqs');
 
-// Import DynamoDB operations
-const dynamoOperations = require('./dynamodb-operations');
+// Import DynamoDB operations and the alarm registry
+const dynamoOperations = require('circuit-breaker-shared/dynamodb-operations');
+const stateStore = require('circuit-breaker-shared/state-store');
+const alarmRegistry = require('./alarm-registry');
+
+// Metrics are buffered and emitted once at the end of each invocation
+const { publishMetric, flush: flushMetrics } = require('circuit-breaker-shared/metrics');
+const { parseBreakerMapEnv } = require('circuit-breaker-shared/lambda-helpers');
+
+const sqs = new SQSClient({});
+
+// Alarm name prefix → breaker ID, e.g. {"CircuitBreaker-Transfers-": "transfers"}
+const ALARM_BREAKER_MAP = parseBreakerMapEnv('ALARM_BREAKER_MAP');
+
+// Dead-letter queue of the alarms queue, for messages that can never be processed
+const ALARM_DLQ_URL = process.env.ALARM_DLQ_URL;
+
+// Errors worth a redelivery because the request was throttled
+const THROTTLING_ERRORS = [
+    'ProvisionedThroughputExceededException',
+    'ThrottlingException',
+    'RequestLimitExceeded',
+    'TooManyRequestsException'
+];
 
 /**
  * ALARM PROCESSOR LAMBDA
@@ -12,35 +33,47 @@ const dynamoOperations = require('./dynamodb-operations');
  * 2. Determine if alarm is for failure or recovery
  * 3. Update DynamoDB state accordingly
  * 4. Log processing results to CloudWatch
+ * 5. Report failed messages in batchItemFailures so SQS redelivers them;
+ *    unparseable (poison) messages go straight to the DLQ instead
  * 
  * Expected alarm message format:
- * - ServiceLevel dimension: "1", "2", or "3" 
- * - ServiceType dimension: "full-service", "degraded-service", "maintenance-service"
- * - AlarmName patterns:
- *   - "CircuitBreaker-ErrorRate-Level{N}" for failure alarms
- *   - "CircuitBreaker-Recovery-Level{N}" for recovery alarms
+ * - Trigger.Namespace, Trigger.MetricName and Trigger.Dimensions identify the
+ *   watched metric, mapped to failure/recovery and a service level by the
+ *   alarm registry (alarm-registry.js, extended with ALARM_REGISTRY)
+ * - The registry also maps each alarm state (ALARM, OK, INSUFFICIENT_DATA)
+ *   to failure, recovery or ignore; every decision is logged in the
+ *   transition history (eventType "decision")
+ * - Alarms the registry can't map are reported as unmapped and skipped
+ * - Failure alarms of a level the breaker isn't serving are logged without
+ *   adding to its failure count
+ * - Each (AlarmName, StateChangeTime) is processed once; SQS redeliveries
+ *   are skipped as duplicates
+ * - Breaker: a "BreakerId" metric dimension, or the longest ALARM_BREAKER_MAP
+ *   prefix of the alarm name; other alarms update the default breaker.
+ *   Reserved breaker IDs (e.g. "current") are ignored
  */
 
 /**
- * Publishes metrics to CloudWatch
+ * Resolve the breaker an alarm belongs to
  */
-async function publishMetric(namespace, metricName, value, dimensions) {
-    try {
-        const params = {
-            Namespace: namespace,
-            MetricData: [{
-                MetricName: metricName,
-                Value: value,
-                Unit: 'Count',
-                Dimensions: dimensions,
-                Timestamp: new Date()
-            }]
-        };
-        
-        await cloudwatch.send(new PutMetricDataCommand(params));
-    } catch (error) {
-        console.error('Failed to publish metric:', error);
+function resolveBreakerId(alarmData) {
+    // SNS alarm notifications use lowercase dimension keys
+    const dimensions = (alarmData.Trigger && alarmData.Trigger.Dimensions) || [];
+    const breakerDimension = dimensions.find(dimension => (dimension.name || dimension.Name) === 'BreakerId');
+    const dimensionBreakerId = breakerDimension && (breakerDimension.value || breakerDimension.Value);
+    if (dimensionBreakerId && !stateStore.isReservedBreakerId(dimensionBreakerId)) {
+        return dimensionBreakerId;
     }
+    if (dimensionBreakerId) {
+        console.warn(`Reserved breaker ID "${dimensionBreakerId}" in the BreakerId dimension of ${alarmData.AlarmName}, ignoring it`);
+    }
+    
+    const alarmName = alarmData.AlarmName || '';
+    const matchingPrefix = Object.keys(ALARM_BREAKER_MAP)
+        .filter(prefix => alarmName.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+    
+    return matchingPrefix ? ALARM_BREAKER_MAP[matchingPrefix] : dynamoOperations.DEFAULT_BREAKER_ID;
 }
 
 /**
@@ -56,48 +89,203 @@ function parseAlarmMessage(message) {
             alarmData = message;
         }
         
+        if (!alarmData || typeof alarmData !== 'object' || !alarmData.AlarmName) {
+            throw new Error('Message is not a CloudWatch alarm notification (no AlarmName)');
+        }
+        
         // Extract alarm details
         const alarmName = alarmData.AlarmName;
         const alarmDescription = alarmData.AlarmDescription;
         const newStateValue = alarmData.NewStateValue;
         const oldStateValue = alarmData.OldStateValue;
         const stateReason = alarmData.StateReason;
+        const stateChangeTime = alarmData.StateChangeTime;
         
-        // Determine alarm type and service details from alarm name
-        const isFailureAlarm = alarmName.includes('ErrorRate') || alarmName.includes('Failure');
-        const isRecoveryAlarm = alarmName.includes('Recovery') || alarmName.includes('Success');
-        
-        // Extract service level from alarm name (assumes format like "CircuitBreaker-ErrorRate-Level1")
-        const levelMatch = alarmName.match(/Level(\d+)/);
-        const serviceLevel = levelMatch ? levelMatch[1] : '1';
-        
-        // Map service level to service type
-        const serviceTypeMap = {
-            '1': 'full-service',
-            '2': 'degraded-service', 
-            '3': 'maintenance-service'
-        };
-        
-        const serviceType = serviceTypeMap[serviceLevel] || 'unknown-service';
+        // Map the watched metric to a breaker action (null when unmapped)
+        const metric = alarmRegistry.getAlarmMetric(alarmData);
+        const mapping = alarmRegistry.resolveAlarm(alarmData);
         
         return {
             alarmName,
             alarmDescription,
+            breakerId: resolveBreakerId(alarmData),
             newStateValue,
             oldStateValue,
             stateReason,
-            isFailureAlarm,
-            isRecoveryAlarm,
-            serviceLevel: parseInt(serviceLevel),
-            serviceType,
-            isAlarmState: newStateValue === 'ALARM',
-            isOkState: newStateValue === 'OK'
+            stateChangeTime,
+            namespace: metric.namespace,
+            metricName: metric.metricName,
+            dimensions: metric.dimensions,
+            isMapped: mapping !== null,
+            alarmType: mapping ? mapping.type : null,
+            action: mapping ? mapping.action : null,
+            serviceLevel: mapping ? mapping.serviceLevel : null,
+            serviceType: mapping ? mapping.serviceType : null,
+            errorType: mapping ? mapping.errorType : null
         };
         
     } catch (error) {
         console.error('Error parsing alarm message:', error);
-        throw new Error(`Failed to parse alarm message: ${error.message}`);
+        const parseError = new Error(`Failed to parse alarm message: ${error.message}`);
+        parseError.name = 'PoisonMessageError';
+        throw parseError;
+    }
+}
+
+/**
+ * Get the alarm notification of an SQS record body
+ * 
+ * Handles the SNS envelope when raw message delivery is off. Invalid JSON
+ * is a poison message.
+ */
+function unwrapRecordBody(body) {
+    try {
+        const messageBody = JSON.parse(body);
+        
+        if (messageBody && messageBody.Type === 'Notification' && messageBody.Message) {
+            return JSON.parse(messageBody.Message);
+        }
+        return messageBody;
+        
+    } catch (error) {
+        const parseError = new Error(`Message body is not valid JSON: ${error.message}`);
+        parseError.name = 'PoisonMessageError';
+        throw parseError;
+    }
+}
+
+/**
+ * Send a poison message to the DLQ with the reason it can't be processed
+ * 
+ * Returns false when it couldn't be sent, so the message is retried and
+ * reaches the DLQ through the queue's redrive policy instead.
+ */
+async function sendToDeadLetterQueue(record, error) {
+    if (!ALARM_DLQ_URL) {
+        console.error('ALARM_DLQ_URL is not set, leaving poison message to the redrive policy:', record.messageId);
+        return false;
+    }
+    
+    try {
+        await sqs.send(new SendMessageCommand({
+            QueueUrl: ALARM_DLQ_URL,
+            MessageBody: record.body,
+            MessageAttributes: {
+                FailureReason: { DataType: 'String', StringValue: 'PoisonMessage' },
+                ErrorMessage: { DataType: 'String', StringValue: error.message.slice(0, 1024) },
+                SourceMessageId: { DataType: 'String', StringValue: record.messageId }
+            }
+        }));
+        
+        console.warn('Poison message sent to DLQ:', { messageId: record.messageId, error: error.message });
+        await publishMetric('CircuitBreaker/AlarmProcessor', 'PoisonMessageDeadLettered', 1, []);
+        return true;
+        
+    } catch (sendError) {
+        console.error('Failed to send poison message to DLQ:', sendError);
+        return false;
+    }
+}
+
+/**
+ * Build the transition history record of what was done with an alarm state
+ */
+function buildDecision(alarmInfo, processingResult) {
+    return {
+        breakerId: alarmInfo.breakerId,
+        alarmName: alarmInfo.alarmName,
+        alarmState: alarmInfo.newStateValue,
+        previousAlarmState: alarmInfo.oldStateValue || null,
+        stateChangeTime: alarmInfo.stateChangeTime || null,
+        alarmType: alarmInfo.alarmType,
+        action: alarmInfo.action,
+        serviceLevel: alarmInfo.serviceLevel,
+        errorType: alarmInfo.errorType,
+        reason: alarmInfo.stateReason || null,
+        transitioned: processingResult ? processingResult.transitioned : false,
+        currentLevel: processingResult ? processingResult.state.currentLevel : null
+    };
+}
+
+/**
+ * Report an alarm the registry couldn't map to a breaker action
+ */
+async function reportUnmappedAlarm(alarmInfo) {
+    console.warn('Unmapped alarm, no breaker action taken:', {
+        alarmName: alarmInfo.alarmName,
+        newStateValue: alarmInfo.newStateValue,
+        namespace: alarmInfo.namespace,
+        metricName: alarmInfo.metricName,
+        dimensions: alarmInfo.dimensions
+    });
+    
+    await publishMetric('CircuitBreaker/AlarmProcessor', 'UnmappedAlarm', 1, [
+        { Name: 'AlarmName', Value: alarmInfo.alarmName }
+    ]);
+}
+
+/**
+ * Claim an alarm state change so it is counted once
+ * 
+ * Alarms without a StateChangeTime can't be told apart and are always processed.
+ */
+async function claimAlarmStateChange(alarmInfo) {
+    if (!alarmInfo.stateChangeTime) {
+        console.warn('Alarm has no StateChangeTime, processing without deduplication:', alarmInfo.alarmName);
+        return true;
+    }
+    
+    return dynamoOperations.claimAlarm(alarmInfo.alarmName, alarmInfo.stateChangeTime);
+}
+
+/**
+ * Keep the claim of a processed alarm state change for the dedupe TTL
+ * 
+ * Until then the claim is only a lease, so an invocation that dies while
+ * processing leaves the SQS redelivery free to claim the alarm again.
+ */
+async function completeAlarmStateChange(alarmInfo) {
+    if (!alarmInfo.stateChangeTime) {
+        return;
+    }
+    
+    try {
+        await dynamoOperations.completeAlarmClaim(alarmInfo.alarmName, alarmInfo.stateChangeTime);
+    } catch (error) {
+        // The alarm was counted; only redeliveries after the lease ends would count it again
+        console.error('Failed to complete alarm claim:', error);
+    }
+}
+
+/**
+ * Release the claim of an alarm state change that failed to process
+ */
+async function releaseAlarmStateChange(alarmInfo) {
+    if (!alarmInfo.stateChangeTime) {
+        return;
     }
+    
+    try {
+        await dynamoOperations.releaseAlarmClaim(alarmInfo.alarmName, alarmInfo.stateChangeTime);
+    } catch (error) {
+        // The redelivery will be skipped as a duplicate until the claim expires
+        console.error('Failed to release alarm claim:', error);
+    }
+}
+
+/**
+ * Report a redelivered alarm state change that was skipped
+ */
+async function reportDuplicateAlarm(alarmInfo) {
+    console.log('Duplicate alarm skipped:', {
+        alarmName: alarmInfo.alarmName,
+        stateChangeTime: alarmInfo.stateChangeTime,
+        breakerId: alarmInfo.breakerId
+    });
+    
+    await publishMetric('CircuitBreaker/AlarmProcessor', 'DuplicateAlarmSkipped', 1, [
+        { Name: 'AlarmName', Value: alarmInfo.alarmName }
+    ]);
 }
 
 /**
@@ -107,19 +295,12 @@ async function processFailureAlarm(alarmInfo) {
     console.log('Processing failure alarm:', alarmInfo.alarmName);
     
     try {
-        // Determine error type based on alarm
-        let errorType = 'SystemError';
-        if (alarmInfo.alarmName.includes('Timeout')) {
-            errorType = 'TimeoutError';
-        } else if (alarmInfo.alarmName.includes('Rate')) {
-            errorType = 'HighErrorRate';
-        }
-        
-        // Update DynamoDB with failure
+        // Update DynamoDB with failure (error type from the alarm registry)
         const result = await dynamoOperations.incrementFailureCount(
             alarmInfo.serviceType,
-            errorType,
-            alarmInfo.serviceLevel
+            alarmInfo.errorType,
+            alarmInfo.serviceLevel,
+            { source: 'alarm-processor', breakerId: alarmInfo.breakerId }
         );
         
         // Log alarm processing metric
@@ -131,6 +312,7 @@ async function processFailureAlarm(alarmInfo) {
         
         console.log('Failure alarm processed successfully:', {
             alarmName: alarmInfo.alarmName,
+            breakerId: alarmInfo.breakerId,
             transitioned: result.transitioned,
             newState: result.state
         });
@@ -161,7 +343,8 @@ async function processRecoveryAlarm(alarmInfo) {
         const result = await dynamoOperations.incrementSuccessCount(
             alarmInfo.serviceType,
             alarmInfo.serviceLevel,
-            50 // Default response time for recovery
+            50, // Default response time for recovery
+            { source: 'alarm-processor', breakerId: alarmInfo.breakerId }
         );
         
         // Log alarm processing metric
@@ -173,6 +356,7 @@ async function processRecoveryAlarm(alarmInfo) {
         
         console.log('Recovery alarm processed successfully:', {
             alarmName: alarmInfo.alarmName,
+            breakerId: alarmInfo.breakerId,
             transitioned: result.transitioned,
             newState: result.state
         });
@@ -199,6 +383,7 @@ exports.handler = async (event) => {
     console.log('Alarm Processor invoked:', JSON.stringify(event, null, 2));
     
     const results = [];
+    const batchItemFailures = [];
     
     try {
         // Process each SQS record
@@ -206,49 +391,79 @@ exports.handler = async (event) => {
             try {
                 console.log('Processing SQS record:', record.messageId);
                 
-                // Parse the message body (CloudWatch alarm notification)
-                const messageBody = JSON.parse(record.body);
+                // Parse alarm details (a malformed body can never succeed)
+                const alarmInfo = parseAlarmMessage(unwrapRecordBody(record.body));
+                console.log('Parsed alarm info:', alarmInfo);
                 
-                // Handle SNS message wrapper if present
-                let alarmMessage;
-                if (messageBody.Type === 'Notification' && messageBody.Message) {
-                    alarmMessage = JSON.parse(messageBody.Message);
-                } else {
-                    alarmMessage = messageBody;
+                // Report alarms the registry can't map instead of guessing
+                if (!alarmInfo.isMapped) {
+                    await reportUnmappedAlarm(alarmInfo);
+                    results.push({
+                        messageId: record.messageId,
+                        alarmName: alarmInfo.alarmName,
+                        breakerId: alarmInfo.breakerId,
+                        processed: true,
+                        unmapped: true,
+                        transitioned: false
+                    });
+                    continue;
                 }
                 
-                // Parse alarm details
-                const alarmInfo = parseAlarmMessage(alarmMessage);
-                console.log('Parsed alarm info:', alarmInfo);
-                
-                // Skip processing if alarm is returning to OK state (not actionable)
-                if (alarmInfo.isOkState) {
-                    console.log('Alarm returned to OK state, no action needed');
+                // Skip redeliveries of an alarm state change that was already counted
+                const claimed = await claimAlarmStateChange(alarmInfo);
+                if (!claimed) {
+                    await reportDuplicateAlarm(alarmInfo);
+                    results.push({
+                        messageId: record.messageId,
+                        alarmName: alarmInfo.alarmName,
+                        breakerId: alarmInfo.breakerId,
+                        processed: true,
+                        duplicate: true,
+                        transitioned: false
+                    });
                     continue;
                 }
                 
-                // Only process ALARM state
-                if (!alarmInfo.isAlarmState) {
-                    console.log('Alarm state is not ALARM, skipping');
+                // States the registry maps to no action (e.g. OK on a Success alarm)
+                if (alarmInfo.action === 'ignore') {
+                    console.log(`No action for ${alarmInfo.newStateValue} on ${alarmInfo.alarmName}`);
+                    await dynamoOperations.logAlarmDecision(buildDecision(alarmInfo, null));
+                    await completeAlarmStateChange(alarmInfo);
+                    results.push({
+                        messageId: record.messageId,
+                        alarmName: alarmInfo.alarmName,
+                        breakerId: alarmInfo.breakerId,
+                        processed: true,
+                        action: alarmInfo.action,
+                        transitioned: false
+                    });
                     continue;
                 }
                 
                 let processingResult;
                 
-                // Route to appropriate processor based on alarm type
-                if (alarmInfo.isFailureAlarm) {
-                    processingResult = await processFailureAlarm(alarmInfo);
-                } else if (alarmInfo.isRecoveryAlarm) {
-                    processingResult = await processRecoveryAlarm(alarmInfo);
-                } else {
-                    console.log('Unknown alarm type, skipping:', alarmInfo.alarmName);
-                    continue;
+                try {
+                    // Route to the processor of the action mapped for this alarm state
+                    if (alarmInfo.action === 'failure') {
+                        processingResult = await processFailureAlarm(alarmInfo);
+                    } else {
+                        processingResult = await processRecoveryAlarm(alarmInfo);
+                    }
+                } catch (processingError) {
+                    // Let the SQS redelivery process the alarm again
+                    await releaseAlarmStateChange(alarmInfo);
+                    throw processingError;
                 }
                 
+                await dynamoOperations.logAlarmDecision(buildDecision(alarmInfo, processingResult));
+                await completeAlarmStateChange(alarmInfo);
+                
                 results.push({
                     messageId: record.messageId,
                     alarmName: alarmInfo.alarmName,
+                    breakerId: alarmInfo.breakerId,
                     processed: true,
+                    action: alarmInfo.action,
                     transitioned: processingResult.transitioned,
                     newLevel: processingResult.state.currentLevel
                 });
@@ -256,15 +471,36 @@ exports.handler = async (event) => {
             } catch (recordError) {
                 console.error('Error processing SQS record:', recordError);
                 
+                // Poison messages would fail on every delivery: dead-letter them now
+                if (recordError.name === 'PoisonMessageError') {
+                    const deadLettered = await sendToDeadLetterQueue(record, recordError);
+                    if (!deadLettered) {
+                        batchItemFailures.push({ itemIdentifier: record.messageId });
+                    }
+                    
+                    results.push({
+                        messageId: record.messageId,
+                        processed: false,
+                        poison: true,
+                        deadLettered,
+                        error: recordError.message
+                    });
+                    continue;
+                }
+                
+                // Anything else (throttling, conflicts, outages) is retried by SQS
+                batchItemFailures.push({ itemIdentifier: record.messageId });
+                
                 results.push({
                     messageId: record.messageId,
                     processed: false,
+                    retryable: true,
                     error: recordError.message
                 });
                 
                 // Log individual record processing error
                 await publishMetric('CircuitBreaker/AlarmProcessor', 'RecordProcessingError', 1, [
-                    { Name: 'MessageId', Value: record.messageId }
+                    { Name: 'ErrorClass', Value: THROTTLING_ERRORS.includes(recordError.name) ? 'Throttled' : 'Transient' }
                 ]);
             }
         }
@@ -272,6 +508,7 @@ exports.handler = async (event) => {
         // Log overall processing metrics
         const processedCount = results.filter(r => r.processed).length;
         const errorCount = results.filter(r => !r.processed).length;
+        const unmappedCount = results.filter(r => r.unmapped).length;
         
         await publishMetric('CircuitBreaker/AlarmProcessor', 'RecordsProcessed', processedCount, []);
         if (errorCount > 0) {
@@ -282,18 +519,13 @@ exports.handler = async (event) => {
             totalRecords: event.Records.length,
             processed: processedCount,
             errors: errorCount,
+            unmapped: unmappedCount,
+            retried: batchItemFailures.length,
             results: results
         });
         
-        return {
-            statusCode: 200,
-            body: JSON.stringify({
-                message: 'Alarm processing completed',
-                processed: processedCount,
-                errors: errorCount,
-                results: results
-            })
-        };
+        // Partial batch response: only these messages return to the queue
+        return { batchItemFailures };
         
     } catch (error) {
         console.error('Critical error in alarm processor:', error);
@@ -303,14 +535,15 @@ exports.handler = async (event) => {
             { Name: 'ErrorType', Value: 'HandlerError' }
         ]);
         
+        // Return every message not yet handled to the queue
+        const handledIds = new Set(results.filter(r => r.processed || r.deadLettered).map(r => r.messageId));
         return {
-            statusCode: 500,
-            body: JSON.stringify({
-                error: 'Critical error in alarm processor',
-                message: error.message,
-                processed: 0,
-                errors: event.Records.length
-            })
+            batchItemFailures: (event.Records || [])
+                .filter(record => !handledIds.has(record.messageId))
+                .map(record => ({ itemIdentifier: record.messageId }))
         };
+    } finally {
+        // Emit the metrics buffered during this invocation
+        await flushMetrics();
     }
 };
\ No newline at end of file
@@ -0,0 +1,109 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ALARM_REGISTRY = JSON.stringify([
+    { namespace: 'Payments/Gateway', metricName: 'Timeouts', dimensions: { Gateway: '*' }, type: 'failure', serviceLevel: 1, errorType: 'GatewayTimeout' },
+    { namespace: 'Payments/Gateway', metricName: 'Retries', type: 'escalate' },
+    { namespace: 'Payments/Gateway', metricName: 'Declines', type: 'failure', states: { OK: 'reset' } }
+]);
+
+// Invalid registry entries are logged; keep the test output readable
+['warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+const { getAlarmMetric, resolveAlarm } = require('../alarm-registry');
+
+/**
+ * Build an alarm notification watching the given metric
+ */
+function buildAlarm(namespace, metricName, dimensions, newStateValue = 'ALARM') {
+    return {
+        AlarmName: 'test-alarm',
+        NewStateValue: newStateValue,
+        Trigger: {
+            Namespace: namespace,
+            MetricName: metricName,
+            Dimensions: Object.entries(dimensions).map(([name, value]) => ({ name, value }))
+        }
+    };
+}
+
+describe('alarm metric', () => {
+    it('reads both dimension key forms and leaves out the breaker dimension', () => {
+        const metric = getAlarmMetric({
+            Trigger: {
+                Namespace: 'CircuitBreaker/Service',
+                MetricName: 'Error',
+                Dimensions: [{ name: 'ServiceLevel', value: 2 }, { Name: 'ServiceType', Value: 'degraded-service' }, { name: 'BreakerId', value: 'transfers' }]
+            }
+        });
+
+        assert.deepEqual(metric, {
+            namespace: 'CircuitBreaker/Service',
+            metricName: 'Error',
+            dimensions: { ServiceLevel: '2', ServiceType: 'degraded-service' }
+        });
+    });
+});
+
+describe('alarm mapping', () => {
+    it('maps the built-in error and success alarms to the level of the alarm', () => {
+        const dimensions = { ServiceLevel: '2', ServiceType: 'degraded-service' };
+
+        assert.deepEqual(resolveAlarm(buildAlarm('CircuitBreaker/Service', 'Error', dimensions)), {
+            type: 'failure',
+            action: 'failure',
+            serviceLevel: 2,
+            serviceType: 'degraded-service',
+            errorType: 'HighErrorRate'
+        });
+        assert.equal(resolveAlarm(buildAlarm('CircuitBreaker/Service', 'Success', dimensions)).type, 'recovery');
+    });
+
+    it('maps the system-wide error alarm to Level 2', () => {
+        assert.equal(resolveAlarm(buildAlarm('CircuitBreaker/Service', 'Error', {})).serviceLevel, 2);
+    });
+
+    it('checks the configured entries before the built-in ones', () => {
+        const mapping = resolveAlarm(buildAlarm('Payments/Gateway', 'Timeouts', { Gateway: 'visa' }));
+
+        assert.equal(mapping.serviceType, 'full-service');
+        assert.equal(mapping.errorType, 'GatewayTimeout');
+    });
+
+    it('leaves alarms without an exactly matching dimension set unmapped', () => {
+        assert.equal(resolveAlarm(buildAlarm('CircuitBreaker/Service', 'Error', { ServiceLevel: '1' })), null);
+        assert.equal(resolveAlarm(buildAlarm('CircuitBreaker/Service', 'Throttles', {})), null);
+        assert.equal(resolveAlarm(buildAlarm('Payments/Gateway', 'Retries', {})), null);
+        assert.equal(resolveAlarm(buildAlarm('Payments/Gateway', 'Declines', {})), null);
+        assert.equal(resolveAlarm(buildAlarm('CircuitBreaker/Service', 'Error', { ServiceLevel: '7', ServiceType: 'legacy' })), null);
+    });
+});
+
+describe('alarm states', () => {
+    const levelOne = { ServiceLevel: '1', ServiceType: 'full-service' };
+
+    it('maps the other states through the entry, ignoring them by default', () => {
+        assert.equal(resolveAlarm(buildAlarm('CircuitBreaker/Service', 'Error', levelOne, 'OK')).action, 'recovery');
+        assert.equal(resolveAlarm(buildAlarm('CircuitBreaker/Service', 'Error', levelOne, 'INSUFFICIENT_DATA')).action, 'ignore');
+        assert.equal(resolveAlarm(buildAlarm('CircuitBreaker/Service', 'Success', levelOne, 'OK')).action, 'ignore');
+    });
+
+    it('counts a failure alarm clearing for the level above it', () => {
+        const levelOneCleared = resolveAlarm(buildAlarm('CircuitBreaker/Service', 'Error', levelOne, 'OK'));
+        assert.equal(levelOneCleared.serviceLevel, 2);
+        assert.equal(levelOneCleared.serviceType, 'degraded-service');
+        assert.equal(resolveAlarm(buildAlarm('CircuitBreaker/Service', 'Error', levelOne)).serviceLevel, 1);
+
+        const levelThreeCleared = resolveAlarm(buildAlarm('CircuitBreaker/Service', 'Error', { ServiceLevel: '3', ServiceType: 'maintenance-service' }, 'OK'));
+        assert.equal(levelThreeCleared.action, 'ignore');
+        assert.equal(levelThreeCleared.serviceLevel, 3);
+    });
+
+    it('records missing data as its own failure type', () => {
+        const mapping = resolveAlarm(buildAlarm('CircuitBreaker/Service', 'Success', levelOne, 'INSUFFICIENT_DATA'));
+
+        assert.equal(mapping.type, 'recovery');
+        assert.equal(mapping.action, 'failure');
+        assert.equal(mapping.errorType, 'InsufficientData');
+    });
+});
\ No newline at end of file
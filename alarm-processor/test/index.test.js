@@ -0,0 +1,290 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { SQSClient } = require('@aws-sdk/client-sqs');
+
+process.env.METRICS_DISABLED = 'true';
+process.env.ALARM_BREAKER_MAP = JSON.stringify({ 'CircuitBreaker-Transfers-': 'transfers' });
+process.env.ALARM_DLQ_URL = 'https://sqs.us-east-1.amazonaws.com/123456789012/alarm-dlq';
+
+const dynamoOperations = require('circuit-breaker-shared/dynamodb-operations');
+const stateStore = require('circuit-breaker-shared/state-store');
+const { handler } = require('../index');
+
+// Every alarm is logged; keep the test output readable
+['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+mock.method(SQSClient.prototype, 'send', async () => ({}));
+
+/**
+ * Build an SQS record carrying an alarm on a CircuitBreaker/Service metric
+ */
+function buildAlarmRecord(messageId, alarmName, metricName, dimensions, newStateValue = 'ALARM') {
+    return {
+        messageId,
+        body: JSON.stringify({
+            AlarmName: alarmName,
+            NewStateValue: newStateValue,
+            OldStateValue: newStateValue === 'ALARM' ? 'OK' : 'ALARM',
+            Trigger: {
+                Namespace: 'CircuitBreaker/Service',
+                MetricName: metricName,
+                Dimensions: Object.entries(dimensions).map(([name, value]) => ({ name, value }))
+            }
+        })
+    };
+}
+
+/**
+ * Build an SQS record carrying a Level 1 error alarm of a breaker
+ */
+function buildErrorAlarmRecord(messageId, breakerId, stateChangeTime = '2026-01-01T12:00:00.000+0000') {
+    const record = buildAlarmRecord(messageId, `${breakerId}-level1-errors`, 'Error', {
+        ServiceLevel: '1',
+        ServiceType: 'full-service',
+        BreakerId: breakerId
+    });
+    record.body = JSON.stringify({ ...JSON.parse(record.body), StateChangeTime: stateChangeTime });
+    return record;
+}
+
+/**
+ * Get the failure count of a breaker
+ */
+async function getFailureCount(breakerId) {
+    return (await dynamoOperations.getSystemState(breakerId)).failureCount;
+}
+
+let store;
+
+beforeEach(() => {
+    store = stateStore.createStateStore('memory');
+    dynamoOperations.useStateStore(store);
+    SQSClient.prototype.send.mock.resetCalls();
+    mock.timers.reset();
+});
+
+describe('alarm routing', () => {
+    const levelOneErrors = { ServiceLevel: '1', ServiceType: 'full-service' };
+
+    it('records a failure on the breaker of the BreakerId dimension', async () => {
+        await handler({
+            Records: [buildAlarmRecord('message-1', 'checkout-errors', 'Error', { ...levelOneErrors, BreakerId: 'checkout' })]
+        });
+
+        assert.equal(await getFailureCount('checkout'), 1);
+        assert.equal(await getFailureCount('default'), 0);
+    });
+
+    it('falls back to the longest matching alarm name prefix, then the default breaker', async () => {
+        await handler({
+            Records: [
+                buildAlarmRecord('message-1', 'CircuitBreaker-Transfers-Errors', 'Error', levelOneErrors),
+                buildAlarmRecord('message-2', 'CircuitBreaker-Errors', 'Error', levelOneErrors)
+            ]
+        });
+
+        assert.equal(await getFailureCount('transfers'), 1);
+        assert.equal(await getFailureCount('default'), 1);
+    });
+
+    it('ignores a reserved breaker ID in the BreakerId dimension', async () => {
+        await handler({
+            Records: [buildAlarmRecord('message-1', 'legacy-errors', 'Error', { ...levelOneErrors, BreakerId: 'current' })]
+        });
+
+        assert.equal(await getFailureCount('default'), 1);
+    });
+
+    it('reports unmapped alarms without touching a breaker', async () => {
+        const result = await handler({
+            Records: [buildAlarmRecord('message-1', 'CircuitBreaker-Throttles', 'Throttles', levelOneErrors)]
+        });
+
+        assert.deepEqual(result, { batchItemFailures: [] });
+        assert.equal(await getFailureCount('default'), 0);
+    });
+});
+
+describe('alarm deduplication', () => {
+    it('counts an alarm state change delivered twice in one batch once', async () => {
+        const result = await handler({
+            Records: [buildErrorAlarmRecord('message-1', 'checkout'), buildErrorAlarmRecord('message-2', 'checkout')]
+        });
+
+        assert.deepEqual(result, { batchItemFailures: [] });
+        assert.equal(await getFailureCount('checkout'), 1);
+    });
+
+    it('counts a redelivered alarm state change once', async () => {
+        await handler({ Records: [buildErrorAlarmRecord('message-1', 'checkout')] });
+        await handler({ Records: [buildErrorAlarmRecord('message-1', 'checkout')] });
+
+        assert.equal(await getFailureCount('checkout'), 1);
+    });
+
+    it('counts each state change of the same alarm', async () => {
+        await handler({
+            Records: [
+                buildErrorAlarmRecord('message-1', 'checkout', '2026-01-01T12:00:00.000+0000'),
+                buildErrorAlarmRecord('message-2', 'checkout', '2026-01-01T12:05:00.000+0000')
+            ]
+        });
+
+        assert.equal(await getFailureCount('checkout'), 2);
+    });
+
+    it('processes a failed alarm state change again on redelivery', async () => {
+        const putState = store.putState;
+        store.putState = async () => {
+            const throttlingError = new Error('Rate exceeded');
+            throttlingError.name = 'ProvisionedThroughputExceededException';
+            throw throttlingError;
+        };
+
+        const failedResult = await handler({ Records: [buildErrorAlarmRecord('message-1', 'checkout')] });
+        assert.deepEqual(failedResult, { batchItemFailures: [{ itemIdentifier: 'message-1' }] });
+
+        // The claim was released, so the redelivery isn't skipped as a duplicate
+        store.putState = putState;
+        await handler({ Records: [buildErrorAlarmRecord('message-1', 'checkout')] });
+
+        assert.equal(await getFailureCount('checkout'), 1);
+    });
+
+    it('processes the alarm again once the lease of an unfinished claim ran out', async () => {
+        mock.timers.enable({ apis: ['Date'], now: Date.now() });
+        // An invocation that claimed the alarm and died before completing it
+        await dynamoOperations.claimAlarm('checkout-level1-errors', '2026-01-01T12:00:00.000+0000');
+
+        await handler({ Records: [buildErrorAlarmRecord('message-1', 'checkout')] });
+        assert.equal(await getFailureCount('checkout'), 0);
+
+        mock.timers.tick(121 * 1000);
+        await handler({ Records: [buildErrorAlarmRecord('message-1', 'checkout')] });
+
+        assert.equal(await getFailureCount('checkout'), 1);
+    });
+
+    it('keeps the claim of a processed alarm past the lease', async () => {
+        mock.timers.enable({ apis: ['Date'], now: Date.now() });
+        await handler({ Records: [buildErrorAlarmRecord('message-1', 'checkout')] });
+
+        mock.timers.tick(121 * 1000);
+        await handler({ Records: [buildErrorAlarmRecord('message-1', 'checkout')] });
+
+        assert.equal(await getFailureCount('checkout'), 1);
+    });
+});
+
+describe('partial batch failures', () => {
+    it('reports only the records that failed', async () => {
+        const putState = store.putState;
+        store.putState = async (breakerId, state, expectedVersion) => {
+            if (breakerId === 'search') {
+                const throttlingError = new Error('Rate exceeded');
+                throttlingError.name = 'ProvisionedThroughputExceededException';
+                throw throttlingError;
+            }
+            return putState(breakerId, state, expectedVersion);
+        };
+
+        const result = await handler({
+            Records: [
+                buildErrorAlarmRecord('message-1', 'checkout'),
+                buildErrorAlarmRecord('message-2', 'search'),
+                buildErrorAlarmRecord('message-3', 'payments')
+            ]
+        });
+
+        assert.deepEqual(result, { batchItemFailures: [{ itemIdentifier: 'message-2' }] });
+        assert.equal(await getFailureCount('checkout'), 1);
+        assert.equal(await getFailureCount('payments'), 1);
+    });
+
+    it('sends poison messages to the dead-letter queue', async () => {
+        const result = await handler({
+            Records: [
+                { messageId: 'message-1', body: 'not json' },
+                { messageId: 'message-2', body: JSON.stringify({ Message: 'no alarm name' }) },
+                buildErrorAlarmRecord('message-3', 'checkout')
+            ]
+        });
+
+        assert.deepEqual(result, { batchItemFailures: [] });
+        const deadLetters = SQSClient.prototype.send.mock.calls.map(call => call.arguments[0].input);
+        assert.deepEqual(deadLetters.map(input => input.MessageAttributes.SourceMessageId.StringValue), ['message-1', 'message-2']);
+        assert.equal(deadLetters[0].MessageBody, 'not json');
+        assert.equal(await getFailureCount('checkout'), 1);
+    });
+
+    it('leaves poison messages to the redrive policy when the DLQ is unreachable', async () => {
+        SQSClient.prototype.send.mock.mockImplementationOnce(async () => {
+            throw new Error('Network error');
+        });
+
+        const result = await handler({ Records: [{ messageId: 'message-1', body: 'not json' }] });
+
+        assert.deepEqual(result, { batchItemFailures: [{ itemIdentifier: 'message-1' }] });
+    });
+});
+
+describe('alarm states', () => {
+    const levelTwo = { ServiceLevel: '2', ServiceType: 'degraded-service', BreakerId: 'checkout' };
+
+    /**
+     * Decisions logged in the transition history of the checkout breaker
+     */
+    async function loggedDecisions() {
+        const { transitions } = await store.queryTransitions({ limit: 10, breakerId: 'checkout' });
+        return transitions.filter(item => item.eventType === 'decision');
+    }
+
+    beforeEach(() => store.putState('checkout', { breakerId: 'checkout', currentLevel: 2, failureCount: 0, successCount: 0, version: 1 }));
+
+    it('counts an error alarm clearing as a success of the level above it', async () => {
+        const levelOne = { ServiceLevel: '1', ServiceType: 'full-service', BreakerId: 'checkout' };
+
+        await handler({ Records: [buildAlarmRecord('message-1', 'checkout-level1-errors', 'Error', levelOne, 'ALARM')] });
+        await handler({ Records: [buildAlarmRecord('message-2', 'checkout-level1-errors', 'Error', levelOne, 'OK')] });
+
+        assert.equal((await store.getState('checkout')).successCount, 1);
+
+        const [decision] = await loggedDecisions();
+        assert.equal(decision.alarmState, 'OK');
+        assert.equal(decision.action, 'recovery');
+        assert.equal(decision.serviceLevel, 2);
+    });
+
+    it('does not count the errors of the level being served clearing', async () => {
+        await handler({ Records: [buildAlarmRecord('message-1', 'checkout-level2-errors', 'Error', levelTwo, 'OK')] });
+
+        assert.equal((await store.getState('checkout')).successCount, 0);
+    });
+
+    it('counts missing success data as a failure', async () => {
+        await handler({ Records: [buildAlarmRecord('message-1', 'checkout-level2-success', 'Success', levelTwo, 'INSUFFICIENT_DATA')] });
+
+        assert.equal(await getFailureCount('checkout'), 1);
+        assert.equal((await loggedDecisions())[0].errorType, 'InsufficientData');
+    });
+
+    it('logs failure alarms of a level the breaker is not serving without counting them', async () => {
+        await handler({ Records: [buildErrorAlarmRecord('message-1', 'checkout')] });
+
+        const state = await store.getState('checkout');
+        assert.equal(state.failureCount, 0);
+        assert.equal(state.version, 1);
+        assert.equal((await store.queryEventsSince('failure-log', 'checkout', '1970-01-01T00:00:00.000Z')).length, 1);
+    });
+
+    it('logs ignored states without touching the breaker', async () => {
+        await handler({ Records: [buildAlarmRecord('message-1', 'checkout-level2-success', 'Success', levelTwo, 'OK')] });
+
+        const state = await store.getState('checkout');
+        assert.equal(state.version, 1);
+
+        const [decision] = await loggedDecisions();
+        assert.equal(decision.action, 'ignore');
+        assert.equal(decision.transitioned, false);
+    });
+});
\ No newline at end of file
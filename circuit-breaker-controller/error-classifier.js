@@ -0,0 +1,165 @@
+/**
+ * Error Classifier
+ *
+ * Decides what a service answer means for the breaker. Each answer gets one
+ * outcome:
+ * - success: Counts toward recovery
+ * - client_error: The caller's fault (bad request, unauthorized); the breaker
+ *   ignores it
+ * - failure: The level failed; recorded in the failure log
+ * - slow: The answer is returned, but recorded in the failure log too
+ *
+ * Rules are checked in order and the first match wins. A rule matches when
+ * all the criteria it sets match:
+ * - statusCodes: Response status codes, exact (404) or by class ("4xx")
+ * - functionError: Lambda function errors; true for any, or the Lambda
+ *   errorType(s) to match (e.g. "TypeError"). Rules without it only match
+ *   answers that aren't function errors.
+ * - bodyPattern: Regular expression tested against the response body (the
+ *   error payload for function errors)
+ * - minResponseTimeMs: Answers that took at least this long
+ * - outcome: success, client_error, failure or slow (required)
+ * - errorType: Failure type recorded for the answer, e.g. "ValidationError";
+ *   defaults per outcome
+ *
+ * Rules from ERROR_CLASSIFIER_RULES (JSON array) are checked before the
+ * built-in ones. Answers that match no rule are successes, and successes
+ * that took the level's slow-call threshold or longer are slow (SlowCall).
+ */
+
+const OUTCOMES = ['success', 'client_error', 'failure', 'slow'];
+
+const DEFAULT_ERROR_TYPES = {
+    success: null,
+    client_error: 'ClientError',
+    failure: 'ServiceError',
+    slow: 'SlowCall'
+};
+
+const BUILT_IN_RULES = [
+    { functionError: true, outcome: 'failure', errorType: 'LambdaExecutionError' },
+    // Timeouts and rate limiting mean the service is struggling, not the caller
+    { statusCodes: [408], outcome: 'failure', errorType: 'ServiceTimeout' },
+    { statusCodes: [429], outcome: 'failure', errorType: 'Throttled' },
+    { statusCodes: ['4xx'], outcome: 'client_error' },
+    { statusCodes: ['5xx'], outcome: 'failure' }
+];
+
+let rules = null;
+
+/**
+ * Compile a rule, or return null (logging why) when it is unusable
+ */
+function compileRule(rule) {
+    if (!rule || !OUTCOMES.includes(rule.outcome)) {
+        console.error('Invalid error classifier rule, ignoring:', JSON.stringify(rule));
+        return null;
+    }
+
+    try {
+        return {
+            ...rule,
+            bodyRegex: rule.bodyPattern ? new RegExp(rule.bodyPattern) : null
+        };
+    } catch (error) {
+        console.error('Invalid bodyPattern in error classifier rule, ignoring:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Get the rules: ERROR_CLASSIFIER_RULES first, then the built-in ones
+ */
+function getRules() {
+    if (rules) {
+        return rules;
+    }
+
+    let configuredRules = [];
+    if (process.env.ERROR_CLASSIFIER_RULES) {
+        try {
+            configuredRules = JSON.parse(process.env.ERROR_CLASSIFIER_RULES);
+        } catch (error) {
+            console.error('Invalid JSON in ERROR_CLASSIFIER_RULES, ignoring:', error.message);
+        }
+    }
+
+    rules = [...(Array.isArray(configuredRules) ? configuredRules : []), ...BUILT_IN_RULES]
+        .map(compileRule)
+        .filter(Boolean);
+    return rules;
+}
+
+/**
+ * Check whether a status code is in a rule's list
+ */
+function matchesStatusCode(statusCodes, statusCode) {
+    if (statusCode === undefined) {
+        return false;
+    }
+
+    return statusCodes.some(code => (
+        Number(code) === statusCode || String(code).toLowerCase() === `${String(statusCode)[0]}xx`
+    ));
+}
+
+/**
+ * Check whether a rule matches an answer
+ */
+function matchesRule(rule, answer) {
+    if (Boolean(rule.functionError) !== Boolean(answer.functionError)) {
+        return false;
+    }
+    if (typeof rule.functionError === 'string' || Array.isArray(rule.functionError)) {
+        if (![].concat(rule.functionError).includes(answer.lambdaErrorType)) {
+            return false;
+        }
+    }
+    if (rule.statusCodes && !matchesStatusCode(rule.statusCodes, answer.statusCode)) {
+        return false;
+    }
+    if (rule.bodyRegex && !rule.bodyRegex.test(answer.body)) {
+        return false;
+    }
+    if (rule.minResponseTimeMs !== undefined && !(answer.responseTimeMs >= rule.minResponseTimeMs)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Classify a service answer
+ *
+ * `payload` is the parsed Lambda payload: the service response, or the error
+ * payload ({ errorType, errorMessage }) when `functionError` is set.
+ * `slowCallThresholdMs` (0 disables it) comes from the transition policy.
+ * Returns { outcome, errorType }.
+ */
+function classifyResponse({ functionError, payload, responseTimeMs, slowCallThresholdMs = 0 }) {
+    const response = payload || {};
+    const answer = {
+        functionError,
+        lambdaErrorType: functionError ? response.errorType : undefined,
+        statusCode: functionError ? undefined : response.statusCode,
+        body: typeof response.body === 'string' ? response.body : JSON.stringify(response.body !== undefined ? response.body : response),
+        responseTimeMs
+    };
+
+    const rule = getRules().find(candidate => matchesRule(candidate, answer));
+    if (!rule || rule.outcome === 'success') {
+        if (slowCallThresholdMs > 0 && responseTimeMs >= slowCallThresholdMs) {
+            return { outcome: 'slow', errorType: DEFAULT_ERROR_TYPES.slow };
+        }
+        return { outcome: 'success', errorType: null };
+    }
+
+    return {
+        outcome: rule.outcome,
+        errorType: rule.errorType || DEFAULT_ERROR_TYPES[rule.outcome]
+    };
+}
+
+module.exports = {
+    OUTCOMES,
+    classifyResponse
+};
\ No newline at end of file
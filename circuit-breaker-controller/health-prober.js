@@ -0,0 +1,218 @@
+const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
+
+const dynamoOperations = require('circuit-breaker-shared/dynamodb-operations');
+const transitionPolicy = require('circuit-breaker-shared/transition-policy');
+const { parseJsonEnv, parseBreakerMapEnv, withTimeout } = require('circuit-breaker-shared/lambda-helpers');
+const errorClassifier = require('./error-classifier');
+
+// Metrics are buffered and emitted once at the end of each invocation
+const { publishMetric, flush: flushMetrics } = require('circuit-breaker-shared/metrics');
+
+// A failed health probe must not be hidden by SDK retries
+const lambda = new LambdaClient({ maxAttempts: 1 });
+
+/**
+ * Health Prober
+ *
+ * Runs on a schedule (EventBridge rule) and sends one synthetic health
+ * request to every service level, whichever level the breakers route to:
+ * - Each answer is classified like real traffic (see error-classifier.js)
+ * - The outcomes are recorded on every breaker as probe results tagged
+ *   `synthetic`: like half-open probes, only the level above the current one
+ *   counts toward recovery, and they stay out of the error rate and latency
+ *   windows of real traffic
+ * - HealthProbeSuccess and HealthProbeFailure are emitted to
+ *   CircuitBreaker/HealthProber per service level
+ *
+ * Environment variables:
+ * - HEALTH_PROBE_PAYLOADS: JSON service level → event sent to that level
+ *   (levels left out get a POST /health request with a health-check body)
+ * - HEALTH_PROBE_TIMEOUT_MS: Longest wait for each service (default 5000)
+ * - BREAKER_ROUTES: Breakers fed besides the default one, as in the controller
+ */
+
+const HEALTH_PROBE_TIMEOUT_MS = Number(process.env.HEALTH_PROBE_TIMEOUT_MS) || 5000;
+
+// Service probed at each level
+const SERVICES = {
+    1: { serviceType: 'full-service', functionName: process.env.FULL_SERVICE_FUNCTION || 'full-service' },
+    2: { serviceType: 'degraded-service', functionName: process.env.DEGRADED_SERVICE_FUNCTION || 'degraded-service' },
+    3: { serviceType: 'maintenance-service', functionName: process.env.MAINTENANCE_SERVICE_FUNCTION || 'maintenance-service' }
+};
+
+const HEALTH_PROBE_PAYLOADS = parseJsonEnv('HEALTH_PROBE_PAYLOADS');
+const BREAKER_ROUTES = parseBreakerMapEnv('BREAKER_ROUTES');
+
+/**
+ * Invoke a service Lambda synchronously
+ *
+ * The local dev server replaces it to dispatch to the handlers in-process.
+ */
+let invokeService = async (functionName, serviceEvent, abortSignal) => {
+    return lambda.send(new InvokeCommand({
+        FunctionName: functionName,
+        InvocationType: 'RequestResponse',
+        Payload: JSON.stringify(serviceEvent)
+    }), { abortSignal });
+};
+
+/**
+ * Replace how service Lambdas are invoked (see invokeService)
+ */
+exports.useServiceInvoker = (invoker) => {
+    invokeService = invoker;
+};
+
+/**
+ * Get the breakers fed with the probe results
+ */
+function getBreakerIds() {
+    return [...new Set([dynamoOperations.DEFAULT_BREAKER_ID, ...Object.values(BREAKER_ROUTES)])];
+}
+
+/**
+ * Build the synthetic event sent to a level
+ */
+function buildProbeEvent(level) {
+    const payload = HEALTH_PROBE_PAYLOADS[level] || {
+        httpMethod: 'POST',
+        path: '/health',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ type: 'health-check', synthetic: true })
+    };
+
+    return {
+        ...payload,
+        circuitBreakerContext: {
+            healthProbe: true,
+            synthetic: true,
+            serviceLevel: level,
+            controllerTimestamp: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * Invoke a service, failing with a TimeoutError after HEALTH_PROBE_TIMEOUT_MS
+ */
+function invokeWithTimeout(functionName, serviceEvent) {
+    return withTimeout(functionName, HEALTH_PROBE_TIMEOUT_MS, abortSignal => invokeService(functionName, serviceEvent, abortSignal));
+}
+
+/**
+ * Send the health probe of one level and classify the answer
+ *
+ * Resolves with { level, serviceType, outcome, errorType, responseTime };
+ * invocation errors and timeouts are failures.
+ */
+async function probeLevel(level, policy) {
+    const { serviceType, functionName } = SERVICES[level];
+    const startTime = Date.now();
+
+    try {
+        const serviceResponse = await invokeWithTimeout(functionName, buildProbeEvent(level));
+        const responseTime = Date.now() - startTime;
+
+        if (!serviceResponse.FunctionError && !serviceResponse.Payload) {
+            return { level, serviceType, outcome: 'failure', errorType: 'EmptyPayload', responseTime };
+        }
+
+        // AWS SDK v3 returns Payload as Uint8Array, convert to string first
+        const payload = serviceResponse.Payload
+            ? JSON.parse(new TextDecoder().decode(serviceResponse.Payload))
+            : null;
+        const classification = errorClassifier.classifyResponse({
+            functionError: serviceResponse.FunctionError,
+            payload,
+            responseTimeMs: responseTime,
+            slowCallThresholdMs: transitionPolicy.getSlowCallThreshold(policy, level)
+        });
+
+        return { level, serviceType, ...classification, responseTime };
+    } catch (error) {
+        console.error(`Health probe of ${serviceType} failed:`, error);
+        return { level, serviceType, outcome: 'failure', errorType: error.name || 'UnknownError', responseTime: Date.now() - startTime };
+    }
+}
+
+/**
+ * Record a probe result on a breaker
+ *
+ * Client errors say nothing about the service and aren't recorded.
+ */
+async function recordResult(result, breakerId) {
+    const options = { probe: true, synthetic: true, source: 'health-prober', breakerId };
+
+    if (result.outcome === 'success') {
+        return dynamoOperations.incrementSuccessCount(result.serviceType, result.level, result.responseTime, options);
+    }
+    if (result.outcome === 'client_error') {
+        return null;
+    }
+
+    const slow = result.outcome === 'slow';
+    return dynamoOperations.incrementFailureCount(result.serviceType, result.errorType, result.level, {
+        ...options,
+        slow,
+        ...(slow ? { responseTime: result.responseTime } : {})
+    });
+}
+
+/**
+ * Emit the metric of a probe result
+ */
+async function publishResultMetric(result) {
+    if (result.outcome === 'client_error') {
+        return;
+    }
+
+    const dimensions = [
+        { Name: 'ServiceLevel', Value: result.level.toString() },
+        { Name: 'TargetService', Value: result.serviceType }
+    ];
+
+    if (result.outcome === 'success') {
+        await publishMetric('CircuitBreaker/HealthProber', 'HealthProbeSuccess', 1, dimensions);
+    } else {
+        await publishMetric('CircuitBreaker/HealthProber', 'HealthProbeFailure', 1, [
+            ...dimensions,
+            { Name: 'ErrorType', Value: result.errorType }
+        ]);
+    }
+}
+
+exports.handler = async (event) => {
+    try {
+        console.log('Health prober invoked:', JSON.stringify(event));
+
+        const policy = await dynamoOperations.getTransitionPolicy();
+        const results = await Promise.all(Object.keys(SERVICES).map(level => probeLevel(Number(level), policy)));
+        const breakerIds = getBreakerIds();
+
+        for (const result of results) {
+            console.log(`Health probe of ${result.serviceType}: ${result.outcome}`, result.errorType || '', `(${result.responseTime}ms)`);
+            await publishResultMetric(result);
+
+            // One breaker failing to record must not keep the others from their results
+            for (const breakerId of breakerIds) {
+                try {
+                    await recordResult(result, breakerId);
+                } catch (error) {
+                    console.error(`Error recording health probe of ${result.serviceType} on breaker ${breakerId}:`, error);
+                }
+            }
+        }
+
+        return {
+            probedAt: new Date().toISOString(),
+            breakers: breakerIds,
+            results
+        };
+
+    } catch (error) {
+        console.error('Error in health prober:', error);
+        throw error;
+    } finally {
+        await flushMetrics();
+    }
+};
\ No newline at end of file
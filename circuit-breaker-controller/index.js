@@ -1,34 +1,148 @@
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
-const { CloudWatchClient, PutMetricDataCommand } = require('@aws-sdk/client-cloudwatch');
 const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
+const { createHash, timingSafeEqual } = require('crypto');
 
-const dynamoDBClient = new DynamoDBClient({});
-const dynamodb = DynamoDBDocumentClient.from(dynamoDBClient);
-const cloudwatch = new CloudWatchClient({});
+// Retries are done by invokeWithRetry, so the SDK must not retry as well
+const lambda = new LambdaClient({ maxAttempts: 1 });
 
-// Import DynamoDB operations
-const dynamoOperations = require('./dynamodb-operations');
+// Import DynamoDB operations, transition policy, the warm-container state cache, error classifier and latency monitor
+const dynamoOperations = require('circuit-breaker-shared/dynamodb-operations');
+const transitionPolicy = require('circuit-breaker-shared/transition-policy');
+const { parseBreakerMapEnv, withTimeout } = require('circuit-breaker-shared/lambda-helpers');
+const stateCache = require('./state-cache');
+const errorClassifier = require('./error-classifier');
+const latencyMonitor = require('./latency-monitor');
+
+// Metrics are buffered and emitted once at the end of each invocation
+const { publishMetric, flush: flushMetrics } = require('circuit-breaker-shared/metrics');
+
+// Longest an admin pin may hold the circuit level
+const ADMIN_PIN_MAX_MINUTES = Number(process.env.ADMIN_PIN_MAX_MINUTES) || 24 * 60;
+
+// Cascade mode: answer from lower levels when the current level fails, within a time budget.
+// The default leaves room for the Level 2 and 3 deadlines after a full Level 1 deadline.
+const CASCADE_FALLBACK_ENABLED = process.env.CASCADE_FALLBACK_ENABLED === 'true';
+const CASCADE_TIME_BUDGET_MS = Number(process.env.CASCADE_TIME_BUDGET_MS) || 20000;
+
+// Retries of throttled or transient service invocations (exponential backoff with full jitter)
+const INVOKE_MAX_ATTEMPTS = Number(process.env.INVOKE_MAX_ATTEMPTS) || 3;
+const INVOKE_RETRY_BASE_MS = Number(process.env.INVOKE_RETRY_BASE_MS) || 100;
+const INVOKE_RETRY_MAX_MS = Number(process.env.INVOKE_RETRY_MAX_MS) || 1000;
+
+// Longest wait for a service answer per level (retries included); then the call fails with TimeoutError
+const INVOKE_DEADLINES_MS = {
+    1: Number(process.env.LEVEL_1_INVOKE_DEADLINE_MS) || 10000,
+    2: Number(process.env.LEVEL_2_INVOKE_DEADLINE_MS) || 5000,
+    3: Number(process.env.LEVEL_3_INVOKE_DEADLINE_MS) || 3000
+};
+
+// Invoke errors meaning the Lambda service is throttling us
+const THROTTLING_ERRORS = ['TooManyRequestsException', 'ThrottlingException', 'EC2ThrottledException'];
+
+// Invoke errors (service side or network) that may pass on a retry
+const TRANSIENT_ERRORS = [
+    'ServiceException',
+    'ResourceNotReadyException',
+    'EC2UnexpectedException',
+    'TimeoutError',
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN'
+];
+
+// Request path prefix → breaker ID, e.g. {"/accounts": "accounts", "/transfers": "transfers"}
+const BREAKER_ROUTES = parseBreakerMapEnv('BREAKER_ROUTES');
+
+// Service type served at each circuit breaker level
+const SERVICE_TYPES = {
+    1: 'full-service',
+    2: 'degraded-service',
+    3: 'maintenance-service'
+};
 
 /**
- * Publishes metrics to CloudWatch
+ * Invoke a service Lambda synchronously
+ * 
+ * Resolves with the InvokeCommand output ({ FunctionError, Payload }).
+ * `abortSignal` cancels the call when its deadline passes.
+ * The local dev server replaces it to dispatch to the handlers in-process.
  */
-async function publishMetric(namespace, metricName, value, dimensions) {
-    try {
-        const params = {
-            Namespace: namespace,
-            MetricData: [{
-                MetricName: metricName,
-                Value: value,
-                Unit: metricName === 'ResponseTime' ? 'Milliseconds' : 'Count',
-                Dimensions: dimensions,
-                Timestamp: new Date()
-            }]
-        };
-        
-        await cloudwatch.send(new PutMetricDataCommand(params));
-    } catch (error) {
-        console.error('Failed to publish metric:', error);
+let invokeService = async (functionName, serviceEvent, abortSignal) => {
+    return lambda.send(new InvokeCommand({
+        FunctionName: functionName,
+        InvocationType: 'RequestResponse', // Synchronous invocation
+        Payload: JSON.stringify(serviceEvent)
+    }), { abortSignal });
+};
+
+/**
+ * Replace how service Lambdas are invoked (see invokeService)
+ */
+exports.useServiceInvoker = (invoker) => {
+    invokeService = invoker;
+};
+
+/**
+ * Classify a service invocation error
+ * 
+ * Returns { errorType, retryable }: throttling is its own failure type
+ * (Throttled) so the policy can weigh it, transient service and network
+ * errors are InvokeTransientError, anything else (missing function, access
+ * denied, bad request) is InvokeError and isn't retried.
+ */
+function classifyInvokeError(error) {
+    const statusCode = error.$metadata && error.$metadata.httpStatusCode;
+    
+    if (THROTTLING_ERRORS.includes(error.name) || statusCode === 429) {
+        return { errorType: 'Throttled', retryable: true };
+    }
+    if (TRANSIENT_ERRORS.includes(error.name) || TRANSIENT_ERRORS.includes(error.code) || statusCode >= 500) {
+        return { errorType: 'InvokeTransientError', retryable: true };
+    }
+    return { errorType: 'InvokeError', retryable: false };
+}
+
+/**
+ * Wait before the next invocation attempt
+ */
+function sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * Invoke a service, retrying throttled and transient invocation errors
+ * 
+ * Waits a random delay up to INVOKE_RETRY_BASE_MS * 2^(attempt - 1), capped at
+ * INVOKE_RETRY_MAX_MS, between attempts so throttled containers don't retry in
+ * step. The error that ends the retries is tagged with its `errorType`.
+ * Nothing is retried once `abortSignal` fired, and the error is passed on
+ * untouched: it is usually the deadline's own TimeoutError.
+ */
+async function invokeWithRetry(functionName, serviceEvent, abortSignal) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await invokeService(functionName, serviceEvent, abortSignal);
+        } catch (error) {
+            if (abortSignal && abortSignal.aborted) {
+                throw error;
+            }
+            
+            const { errorType, retryable } = classifyInvokeError(error);
+            error.errorType = errorType;
+            
+            if (!retryable || attempt >= INVOKE_MAX_ATTEMPTS) {
+                throw error;
+            }
+            
+            const delay = Math.random() * Math.min(INVOKE_RETRY_MAX_MS, INVOKE_RETRY_BASE_MS * Math.pow(2, attempt - 1));
+            console.warn(`Invoke attempt ${attempt} of ${functionName} failed (${errorType}), retrying in ${Math.round(delay)}ms:`, error.message);
+            
+            await publishMetric('CircuitBreaker/Controller', 'InvokeRetry', 1, [
+                { Name: 'ErrorType', Value: errorType }
+            ]);
+            await sleep(delay);
+        }
     }
 }
 
@@ -58,43 +172,108 @@ function getServiceEndpoint(level) {
  *    - 5+ éxitos consecutivos: Nivel 2 → Nivel 1
  * 4. Actualizar estado del sistema en DynamoDB
  * 5. Registrar transiciones en CloudWatch Logs
- * 6. Exponer endpoint para consultar estado actual del sistema
+ * 6. Exponer endpoint para consultar estado actual del sistema (GET /status)
+ *    y el historial de transiciones (GET /transitions)
+ * 7. Half-open: enviar un porcentaje de solicitudes (o una por intervalo) al
+ *    nivel superior mientras el sistema está degradado; solo esas pruebas
+ *    cuentan para la recuperación
+ * 8. Rutas de administración autenticadas (X-Admin-Token) para forzar, fijar
+ *    (pin con expiración) y liberar el nivel del circuito
+ * 9. Un circuito independiente por producto o dependencia (breakerId), elegido
+ *    por la ruta de la solicitud o por el parámetro ?breakerId=
+ * 10. Caché del estado en el contenedor (TTL corto), actualizada por el stream
+ *     de la tabla de estado; los éxitos se agrupan en menos escrituras
+ * 11. Modo cascada opcional: si el nivel actual falla, reintenta la misma
+ *     solicitud en los niveles inferiores dentro de un presupuesto de tiempo
+ * 12. Clasificar los errores de invocación: throttling y errores transitorios
+ *     se reintentan con backoff exponencial y jitter; el throttling se
+ *     registra como fallo de tipo Throttled con el peso que fije la política
+ * 13. Clasificador de errores configurable: cada respuesta es éxito, error
+ *     del cliente (ignorado), fallo o lenta; los errores 4xx no degradan
+ * 14. Llamadas lentas: umbral por nivel, degradación por tasa de llamadas
+ *     lentas y un plazo máximo por nivel (TimeoutError) para cada invocación
+ * 15. Percentiles de latencia (p50/p95/p99) por nivel en /status y métricas;
+ *     degradar cuando el p95 supera el presupuesto durante N minutos
  * 
  * Variables de entorno requeridas:
  * - STATE_TABLE: Nombre de tabla DynamoDB para estado del sistema
  * - FULL_SERVICE_FUNCTION: ARN de Lambda Nivel 1
  * - DEGRADED_SERVICE_FUNCTION: ARN de Lambda Nivel 2  
  * - MAINTENANCE_SERVICE_FUNCTION: ARN de Lambda Nivel 3
+ * - ADMIN_API_TOKEN: Token para las rutas /admin (vacío deshabilita las rutas)
+ * - BREAKER_ROUTES: JSON prefijo de ruta → breakerId (opcional)
  */
 
 exports.handler = async (event) => {
     const startTime = Date.now();
     const httpMethod = event.httpMethod || 'GET';
     
+    // State table stream batch: refresh the cached breaker states
+    if (isStreamEvent(event)) {
+        const applied = stateCache.applyStreamRecords(event.Records);
+        console.log('State stream records applied to cache:', { records: event.Records.length, applied });
+        return { applied };
+    }
+    
     try {
         console.log('Circuit Breaker Controller invoked:', JSON.stringify(event, null, 2));
         console.log('HTTP Method:', httpMethod);
         
-        // Get current system state from DynamoDB
-        const systemState = await dynamoOperations.getSystemState();
+        // Resolve which breaker this request belongs to
+        const breakerId = resolveBreakerId(event);
+        if (!breakerId) {
+            return jsonResponse(404, {
+                error: 'Not found',
+                message: `Unknown breaker ${event.queryStringParameters.breakerId}`,
+                breakers: getKnownBreakerIds()
+            });
+        }
+        
+        // Write coalesced successes whose window has passed
+        await stateCache.flushExpiredSuccesses();
+        
+        // Get current system state (cached for service requests, fresh for status and admin)
+        const isServiceRequest = httpMethod === 'POST' && !getRequestPath(event).includes('/admin/');
+        let systemState = await stateCache.getState(breakerId, !isServiceRequest);
         console.log('Current system state:', systemState);
         
+        // Latency percentiles and the p95 budget (checked once per interval per container)
+        if (isServiceRequest) {
+            systemState = await latencyMonitor.checkLatency(systemState);
+            stateCache.primeState(systemState);
+        }
+        
+        // Handle /admin routes (operator overrides of the circuit level)
+        if (getRequestPath(event).includes('/admin/')) {
+            return await handleAdminRequest(event, httpMethod, breakerId);
+        }
+        
+        // Handle GET /status (circuit breaker state for dashboards and clients)
+        if (httpMethod === 'GET' && getRequestPath(event).endsWith('/status')) {
+            return await handleStatusRequest(systemState);
+        }
+        
+        // Handle GET /transitions (paginated transition history)
+        if (httpMethod === 'GET' && getRequestPath(event).endsWith('/transitions')) {
+            return await handleTransitionsRequest(event);
+        }
+        
         // Handle POST requests (service routing for K6 tests)
         if (httpMethod === 'POST') {
             return await handleServiceRequest(event, systemState, startTime);
         }
         
-        // Unsupported method - only POST supported for exercise
+        // Unsupported method - only GET /status, GET /transitions and POST are supported
         return {
             statusCode: 405,
             headers: {
                 'Content-Type': 'application/json',
-                'Allow': 'POST'
+                'Allow': 'GET, POST'
             },
             body: JSON.stringify({
                 error: 'Method not allowed',
-                message: `HTTP method ${httpMethod} is not supported - only POST for circuit breaker testing`,
-                allowedMethods: ['POST'],
+                message: `HTTP method ${httpMethod} is not supported on this route - use GET /status, GET /transitions or POST for circuit breaker testing`,
+                allowedMethods: ['GET', 'POST'],
                 timestamp: new Date().toISOString()
             })
         };
@@ -128,30 +307,360 @@ exports.handler = async (event) => {
                 }
             })
         };
+    } finally {
+        // Emit the metrics buffered during this invocation
+        await flushMetrics();
     }
 };
 
 
+/**
+ * Check whether the event is a DynamoDB stream batch (state table stream)
+ */
+function isStreamEvent(event) {
+    return Array.isArray(event.Records) && event.Records.length > 0 && event.Records[0].eventSource === 'aws:dynamodb';
+}
+
+/**
+ * Get the request path (API Gateway resource, falling back to the raw path)
+ */
+function getRequestPath(event) {
+    return event.resource || event.path || '';
+}
+
+/**
+ * Get the breaker IDs this controller serves
+ */
+function getKnownBreakerIds() {
+    return [...new Set([dynamoOperations.DEFAULT_BREAKER_ID, ...Object.values(BREAKER_ROUTES)])];
+}
+
+/**
+ * Resolve the breaker ID of a request
+ * 
+ * An explicit ?breakerId= query parameter wins (null when it is not a known
+ * breaker). Otherwise the longest BREAKER_ROUTES prefix of the request path
+ * selects the breaker, falling back to the default breaker.
+ */
+function resolveBreakerId(event) {
+    const requestedBreakerId = (event.queryStringParameters || {}).breakerId;
+    if (requestedBreakerId !== undefined) {
+        return getKnownBreakerIds().includes(requestedBreakerId) ? requestedBreakerId : null;
+    }
+    
+    const path = event.path || '';
+    const matchingPrefix = Object.keys(BREAKER_ROUTES)
+        .filter(prefix => path === prefix || path.startsWith(`${prefix.replace(/\/$/, '')}/`))
+        .sort((a, b) => b.length - a.length)[0];
+    
+    return matchingPrefix ? BREAKER_ROUTES[matchingPrefix] : dynamoOperations.DEFAULT_BREAKER_ID;
+}
+
+/**
+ * Handle GET /status - report the current circuit breaker state
+ */
+async function handleStatusRequest(systemState) {
+    const policy = await dynamoOperations.getTransitionPolicy();
+    const windowStats = await dynamoOperations.getLevelWindowStats(policy, systemState.currentLevel, systemState.breakerId);
+    const latencyStats = await dynamoOperations.getLatencyStats(policy, systemState.breakerId);
+    const tripBackoff = transitionPolicy.getTripBackoff(systemState, policy);
+    const activeService = SERVICE_TYPES[systemState.currentLevel];
+    
+    await publishMetric('CircuitBreaker/Controller', 'StatusRequest', 1, [
+        { Name: 'CurrentLevel', Value: systemState.currentLevel.toString() }
+    ]);
+    
+    return {
+        statusCode: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store',
+            'X-Circuit-Breaker-Id': systemState.breakerId,
+            'X-Circuit-Breaker-Level': systemState.currentLevel.toString(),
+            'X-Active-Service': activeService
+        },
+        body: JSON.stringify({
+            circuitBreaker: {
+                breakerId: systemState.breakerId,
+                currentLevel: systemState.currentLevel,
+                activeService,
+                failureCount: systemState.failureCount,
+                successCount: systemState.successCount,
+                lastTransition: systemState.lastTransition,
+                transitionReason: systemState.transitionReason,
+                lastUpdated: systemState.lastUpdated,
+                pin: dynamoOperations.isPinActive(systemState) ? systemState.pin : null,
+                policy: {
+                    version: policy.version,
+                    source: policy.source,
+                    tripMode: policy.tripMode
+                },
+                latency: {
+                    windowMinutes: policy.latency.windowMinutes,
+                    levels: latencyStats
+                },
+                recoveryBackoff: {
+                    multiplier: tripBackoff.multiplier,
+                    tripsInWindow: tripBackoff.trips.length,
+                    lastTripAt: tripBackoff.trips.length > 0 ? tripBackoff.trips[tripBackoff.trips.length - 1] : null,
+                    appliesTo: policy.backoff.appliesTo,
+                    tripWindowMinutes: policy.backoff.tripWindowMinutes,
+                    decayMinutes: policy.backoff.decayMinutes
+                },
+                ...transitionPolicy.describeNextTransitions(systemState, policy, windowStats, latencyStats[systemState.currentLevel])
+            },
+            breakers: getKnownBreakerIds(),
+            timestamp: new Date().toISOString()
+        })
+    };
+}
+
+/**
+ * Handle GET /transitions - query the transition history by time range
+ * 
+ * Query parameters: from, to (ISO timestamps), limit (1-100, default 50),
+ * cursor (nextCursor of the previous page) and breakerId (all breakers when
+ * omitted). Results are newest first.
+ */
+async function handleTransitionsRequest(event) {
+    const query = event.queryStringParameters || {};
+    const limit = query.limit !== undefined ? Number(query.limit) : 50;
+    
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        return jsonResponse(400, { error: 'Bad request', message: 'limit must be an integer between 1 and 100' });
+    }
+    
+    const range = {};
+    for (const name of ['from', 'to']) {
+        if (query[name] !== undefined) {
+            const time = new Date(query[name]);
+            if (Number.isNaN(time.getTime())) {
+                return jsonResponse(400, { error: 'Bad request', message: `${name} must be an ISO 8601 timestamp` });
+            }
+            range[name] = time.toISOString();
+        }
+    }
+    
+    if (range.from && range.to && range.from > range.to) {
+        return jsonResponse(400, { error: 'Bad request', message: 'from must not be after to' });
+    }
+    
+    let history;
+    try {
+        history = await dynamoOperations.getTransitionHistory({
+            ...range,
+            limit,
+            cursor: query.cursor,
+            breakerId: query.breakerId
+        });
+    } catch (error) {
+        if (query.cursor && error instanceof SyntaxError) {
+            return jsonResponse(400, { error: 'Bad request', message: 'cursor is invalid' });
+        }
+        throw error;
+    }
+    
+    return jsonResponse(200, {
+        transitions: history.transitions.map(item => ({
+            timestamp: item.timestamp,
+            eventType: item.eventType,
+            breakerId: item.breakerId || dynamoOperations.DEFAULT_BREAKER_ID,
+            fromLevel: item.fromLevel,
+            toLevel: item.toLevel,
+            reason: item.reason,
+            suppressedReason: item.suppressedReason,
+            triggerSource: item.triggerSource,
+            failureCount: item.failureCount,
+            successCount: item.successCount,
+            policyVersion: item.policyVersion
+        })),
+        nextCursor: history.nextCursor
+    });
+}
+
+/**
+ * Get a request header by name, ignoring case
+ */
+function getHeader(event, name) {
+    const headers = event.headers || {};
+    const headerName = Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase());
+    return headerName ? headers[headerName] : undefined;
+}
+
+/**
+ * Build a JSON API response
+ */
+function jsonResponse(statusCode, body) {
+    return {
+        statusCode,
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            ...body,
+            timestamp: new Date().toISOString()
+        })
+    };
+}
+
+/**
+ * Check the X-Admin-Token header against ADMIN_API_TOKEN
+ * 
+ * Admin routes are disabled when no token is configured. Hashing both values
+ * gives equal-length buffers for a constant-time comparison.
+ */
+function isAdminAuthorized(event) {
+    const expectedToken = process.env.ADMIN_API_TOKEN;
+    const providedToken = getHeader(event, 'X-Admin-Token');
+    
+    if (!expectedToken || !providedToken) {
+        return false;
+    }
+    
+    const expectedDigest = createHash('sha256').update(expectedToken).digest();
+    const providedDigest = createHash('sha256').update(providedToken).digest();
+    return timingSafeEqual(expectedDigest, providedDigest);
+}
+
+/**
+ * Handle /admin routes - force, pin and release the circuit level
+ * 
+ * - POST   /admin/level { level, reason }                              Force a level
+ * - POST   /admin/pin   { level, reason, expiresInMinutes | expiresAt } Pin a level
+ * - DELETE /admin/pin                                                  Release the pin
+ * 
+ * Each route acts on the breaker given by ?breakerId= (default breaker when omitted).
+ */
+async function handleAdminRequest(event, httpMethod, breakerId) {
+    if (!isAdminAuthorized(event)) {
+        await publishMetric('CircuitBreaker/Controller', 'AdminUnauthorized', 1, []);
+        return jsonResponse(403, { error: 'Forbidden', message: 'Valid X-Admin-Token header required' });
+    }
+    
+    const path = getRequestPath(event);
+    const actor = getHeader(event, 'X-Admin-User') || 'admin';
+    
+    let request = {};
+    try {
+        request = event.body ? JSON.parse(event.body) : {};
+    } catch (parseError) {
+        return jsonResponse(400, { error: 'Bad request', message: 'Request body must be valid JSON' });
+    }
+    
+    const route = `${httpMethod} ${path.slice(path.indexOf('/admin/'))}`;
+    
+    try {
+        if (route === 'DELETE /admin/pin') {
+            const { state, releasedPin } = await dynamoOperations.releasePin(actor, breakerId);
+            stateCache.primeState(state);
+            await publishMetric('CircuitBreaker/Controller', 'AdminOverride', 1, [
+                { Name: 'Action', Value: 'ReleasePin' }
+            ]);
+            return jsonResponse(200, { action: 'release-pin', releasedPin, circuitBreaker: summarizeState(state) });
+        }
+        
+        if (route !== 'POST /admin/level' && route !== 'POST /admin/pin') {
+            return jsonResponse(404, { error: 'Not found', message: `No admin route for ${route}` });
+        }
+        
+        const level = Number(request.level);
+        if (!SERVICE_TYPES[level]) {
+            return jsonResponse(400, { error: 'Bad request', message: 'level must be 1, 2 or 3' });
+        }
+        if (!request.reason || typeof request.reason !== 'string') {
+            return jsonResponse(400, { error: 'Bad request', message: 'reason is required' });
+        }
+        
+        if (route === 'POST /admin/level') {
+            const state = await dynamoOperations.forceLevel(level, request.reason, actor, breakerId);
+            stateCache.primeState(state);
+            await publishMetric('CircuitBreaker/Controller', 'AdminOverride', 1, [
+                { Name: 'Action', Value: 'ForceLevel' }
+            ]);
+            return jsonResponse(200, { action: 'force-level', circuitBreaker: summarizeState(state) });
+        }
+        
+        const expiresAt = getPinExpiry(request);
+        if (!expiresAt) {
+            return jsonResponse(400, {
+                error: 'Bad request',
+                message: `expiresInMinutes or expiresAt is required and must be within ${ADMIN_PIN_MAX_MINUTES} minutes`
+            });
+        }
+        
+        const state = await dynamoOperations.pinLevel(level, request.reason, expiresAt, actor, breakerId);
+        stateCache.primeState(state);
+        await publishMetric('CircuitBreaker/Controller', 'AdminOverride', 1, [
+            { Name: 'Action', Value: 'PinLevel' }
+        ]);
+        return jsonResponse(200, { action: 'pin-level', circuitBreaker: summarizeState(state) });
+        
+    } catch (error) {
+        if (error.name === 'CircuitPinnedError') {
+            return jsonResponse(409, { error: 'Conflict', message: `${error.message} - release the pin first` });
+        }
+        throw error;
+    }
+}
+
+/**
+ * Resolve the pin expiry from the admin request (null when missing or out of range)
+ */
+function getPinExpiry(request) {
+    let expiresAtMs;
+    if (request.expiresInMinutes !== undefined) {
+        expiresAtMs = Date.now() + Number(request.expiresInMinutes) * 60 * 1000;
+    } else if (request.expiresAt) {
+        expiresAtMs = new Date(request.expiresAt).getTime();
+    }
+    
+    const maxExpiresAtMs = Date.now() + ADMIN_PIN_MAX_MINUTES * 60 * 1000;
+    if (!expiresAtMs || Number.isNaN(expiresAtMs) || expiresAtMs <= Date.now() || expiresAtMs > maxExpiresAtMs) {
+        return null;
+    }
+    
+    return new Date(expiresAtMs).toISOString();
+}
+
+/**
+ * Summarize the state item for API responses
+ */
+function summarizeState(state) {
+    return {
+        breakerId: state.breakerId,
+        currentLevel: state.currentLevel,
+        activeService: SERVICE_TYPES[state.currentLevel],
+        failureCount: state.failureCount,
+        successCount: state.successCount,
+        lastTransition: state.lastTransition,
+        transitionReason: state.transitionReason,
+        pin: dynamoOperations.isPinActive(state) ? state.pin : null
+    };
+}
+
 /**
  * Handle POST requests - route to appropriate service based on circuit breaker level
  */
 async function handleServiceRequest(event, systemState, startTime) {
-    const lambda = new LambdaClient({});
-    
-    console.log('Handling service request, current level:', systemState.currentLevel);
+    console.log('Handling service request:', { breakerId: systemState.breakerId, currentLevel: systemState.currentLevel });
     
     // Log controller invocation metric
     await publishMetric('CircuitBreaker/Controller', 'ServiceRequest', 1, [
         { Name: 'CurrentLevel', Value: systemState.currentLevel.toString() }
     ]);
     
+    // Half-open: send a share of traffic to the level above to prove it recovered
+    const policy = await dynamoOperations.getTransitionPolicy();
+    if (await shouldSendProbe(systemState, policy)) {
+        const probeResponse = await handleProbeRequest(event, systemState);
+        if (probeResponse) {
+            return probeResponse;
+        }
+        // Probe failed - answer the customer from the current level below
+    }
+    
     // Determine target service based on current circuit breaker level
-    const serviceTypeMap = {
-        1: 'full-service',
-        2: 'degraded-service', 
-        3: 'maintenance-service'
-    };
-    const targetServiceType = serviceTypeMap[systemState.currentLevel];
+    const targetServiceType = SERVICE_TYPES[systemState.currentLevel];
     const targetServiceFunction = getServiceEndpoint(systemState.currentLevel);
     
     try {
@@ -162,38 +671,68 @@ async function handleServiceRequest(event, systemState, startTime) {
             ...event,
             // Add circuit breaker context to the event
             circuitBreakerContext: {
+                breakerId: systemState.breakerId,
                 currentLevel: systemState.currentLevel,
                 controllerTimestamp: new Date().toISOString()
             }
         };
         
-        const invokeParams = {
-            FunctionName: targetServiceFunction,
-            InvocationType: 'RequestResponse', // Synchronous invocation
-            Payload: JSON.stringify(serviceEvent)
-        };
+        // Time the service call only: a failed probe or state reads before it aren't the service's latency
+        const invokeStartTime = Date.now();
+        const serviceResponse = await invokeServiceWithin(targetServiceFunction, serviceEvent, INVOKE_DEADLINES_MS[systemState.currentLevel]);
+        const serviceResponseTime = Date.now() - invokeStartTime;
         
-        const serviceResponse = await lambda.send(new InvokeCommand(invokeParams));
+        if (!serviceResponse.FunctionError && !serviceResponse.Payload) {
+            throw new Error('No response payload from service');
+        }
         
-        // Check if Lambda execution failed
-        if (serviceResponse.FunctionError) {
-            console.log(`Lambda execution failed for ${targetServiceType}:`, serviceResponse.FunctionError);
-            
-            // Log the failure in DynamoDB circuit breaker state
-            await dynamoOperations.incrementFailureCount(targetServiceType, 'LambdaExecutionError', systemState.currentLevel);
+        // Classify the answer: success, client error (ignored), failure or slow
+        const parsedResponse = parsePayload(serviceResponse);
+        const classification = errorClassifier.classifyResponse({
+            functionError: serviceResponse.FunctionError,
+            payload: parsedResponse,
+            responseTimeMs: serviceResponseTime,
+            slowCallThresholdMs: transitionPolicy.getSlowCallThreshold(policy, systemState.currentLevel)
+        });
+        
+        // Log the outcome in DynamoDB circuit breaker state
+        await recordServiceOutcome(classification, targetServiceType, systemState.currentLevel, serviceResponseTime, { source: 'controller', breakerId: systemState.breakerId });
+        
+        if (classification.outcome === 'success') {
+            // Log routing success
+            await publishMetric('CircuitBreaker/Controller', 'RoutingSuccess', 1, [
+                { Name: 'TargetService', Value: targetServiceType },
+                { Name: 'CurrentLevel', Value: systemState.currentLevel.toString() }
+            ]);
+        } else if (classification.outcome !== 'client_error') {
+            console.log(`Service ${targetServiceType} answer classified as ${classification.outcome}:`, classification.errorType);
             
             // Log routing error
             await publishMetric('CircuitBreaker/Controller', 'RoutingError', 1, [
                 { Name: 'TargetService', Value: targetServiceType },
                 { Name: 'CurrentLevel', Value: systemState.currentLevel.toString() },
-                { Name: 'ErrorType', Value: 'LambdaExecutionError' }
+                { Name: 'ErrorType', Value: classification.errorType }
             ]);
+        }
+        
+        // Cascade mode: failures (not client errors or slow answers) fall back to a lower level
+        if (classification.outcome === 'failure') {
+            const fallbackResponse = await cascadeToLowerLevels(event, systemState, startTime);
+            if (fallbackResponse) {
+                return fallbackResponse;
+            }
+        }
+        
+        // Check if Lambda execution failed
+        if (serviceResponse.FunctionError) {
+            console.log(`Lambda execution failed for ${targetServiceType}:`, serviceResponse.FunctionError);
             
             // Return error response for failed service
             return {
                 statusCode: 503,
                 headers: {
                     'Content-Type': 'application/json',
+                    'X-Circuit-Breaker-Id': systemState.breakerId,
                     'X-Circuit-Breaker-Level': systemState.currentLevel.toString(),
                     'X-Circuit-Breaker-Controller': 'true',
                     'X-Routed-To': targetServiceType
@@ -210,51 +749,19 @@ async function handleServiceRequest(event, systemState, startTime) {
             };
         }
         
-        // Parse service response
-        let parsedResponse;
-        if (serviceResponse.Payload) {
-            // AWS SDK v3 returns Payload as Uint8Array, convert to string first
-            const payloadString = new TextDecoder().decode(serviceResponse.Payload);
-            parsedResponse = JSON.parse(payloadString);
-        } else {
-            throw new Error('No response payload from service');
-        }
-        
-        // Check if service returned an error status code
-        if (parsedResponse.statusCode >= 400) {
-            console.log(`Service ${targetServiceType} returned error status:`, parsedResponse.statusCode);
-            
-            // Log the failure in DynamoDB circuit breaker state
-            await dynamoOperations.incrementFailureCount(targetServiceType, 'ServiceError', systemState.currentLevel);
-            
-            // Log routing error
-            await publishMetric('CircuitBreaker/Controller', 'RoutingError', 1, [
-                { Name: 'TargetService', Value: targetServiceType },
-                { Name: 'CurrentLevel', Value: systemState.currentLevel.toString() },
-                { Name: 'ErrorType', Value: 'ServiceError' }
-            ]);
-        } else {
-            // Log success in DynamoDB circuit breaker state
-            await dynamoOperations.incrementSuccessCount(targetServiceType, systemState.currentLevel, Date.now() - startTime);
-            
-            // Log routing success
-            await publishMetric('CircuitBreaker/Controller', 'RoutingSuccess', 1, [
-                { Name: 'TargetService', Value: targetServiceType },
-                { Name: 'CurrentLevel', Value: systemState.currentLevel.toString() }
-            ]);
-        }
-        
         console.log(`Successfully routed request to ${targetServiceType}:`, {
             statusCode: parsedResponse.statusCode,
             currentLevel: systemState.currentLevel,
-            responseTime: Date.now() - startTime
+            responseTime: serviceResponseTime
         });
         
         // Add circuit breaker headers to the service response
         if (parsedResponse.headers) {
+            parsedResponse.headers['X-Circuit-Breaker-Id'] = systemState.breakerId;
             parsedResponse.headers['X-Circuit-Breaker-Level'] = systemState.currentLevel.toString();
             parsedResponse.headers['X-Circuit-Breaker-Controller'] = 'true';
             parsedResponse.headers['X-Routed-To'] = targetServiceType;
+            parsedResponse.headers['X-Served-By-Level'] = systemState.currentLevel.toString();
         }
         
         return parsedResponse;
@@ -262,13 +769,24 @@ async function handleServiceRequest(event, systemState, startTime) {
     } catch (error) {
         console.error(`Error routing request to ${targetServiceType}:`, error);
         
+        // Invocation errors (tagged by invokeWithRetry) are failures of the level
+        if (error.errorType) {
+            await recordInvokeFailure(targetServiceType, error.errorType, systemState);
+        }
+        
         // Log routing error
         await publishMetric('CircuitBreaker/Controller', 'RoutingError', 1, [
             { Name: 'TargetService', Value: targetServiceType },
             { Name: 'CurrentLevel', Value: systemState.currentLevel.toString() },
-            { Name: 'ErrorType', Value: error.name || 'UnknownError' }
+            { Name: 'ErrorType', Value: error.errorType || error.name || 'UnknownError' }
         ]);
         
+        // Cascade mode: let a lower level answer the customer instead
+        const fallbackResponse = await cascadeToLowerLevels(event, systemState, startTime);
+        if (fallbackResponse) {
+            return fallbackResponse;
+        }
+        
         // Fall back to maintenance mode response
         return {
             statusCode: 503,
@@ -293,4 +811,261 @@ async function handleServiceRequest(event, systemState, startTime) {
             })
         };
     }
+}
+
+/**
+ * Parse the payload of a service invocation (null when there is none)
+ */
+function parsePayload(serviceResponse) {
+    if (!serviceResponse.Payload) {
+        return null;
+    }
+    
+    // AWS SDK v3 returns Payload as Uint8Array, convert to string first
+    return JSON.parse(new TextDecoder().decode(serviceResponse.Payload));
+}
+
+/**
+ * Record a classified service answer in the breaker state
+ * 
+ * Client errors are only counted in a metric; failures and slow answers are
+ * recorded with the classified errorType.
+ */
+async function recordServiceOutcome(classification, serviceType, serviceLevel, responseTime, options) {
+    if (classification.outcome === 'success') {
+        return stateCache.recordSuccess(serviceType, serviceLevel, responseTime, options);
+    }
+    
+    if (classification.outcome === 'client_error') {
+        console.log(`Client error from ${serviceType} ignored by the breaker:`, classification.errorType);
+        
+        await publishMetric('CircuitBreaker/Controller', 'ClientErrorIgnored', 1, [
+            { Name: 'TargetService', Value: serviceType },
+            { Name: 'ErrorType', Value: classification.errorType }
+        ]);
+        return null;
+    }
+    
+    const slow = classification.outcome === 'slow';
+    return stateCache.recordFailure(serviceType, classification.errorType, serviceLevel, {
+        ...options,
+        slow,
+        ...(slow ? { responseTime } : {})
+    });
+}
+
+/**
+ * Record a failed invocation against the current level
+ * 
+ * Errors are logged rather than thrown so the customer still gets the
+ * fallback response.
+ */
+async function recordInvokeFailure(serviceType, errorType, systemState) {
+    try {
+        await stateCache.recordFailure(serviceType, errorType, systemState.currentLevel, { source: 'controller', breakerId: systemState.breakerId });
+    } catch (error) {
+        console.error('Error recording invoke failure:', error);
+    }
+}
+
+/**
+ * Invoke a service, failing with a TimeoutError when the deadline passes
+ * 
+ * The pending call is aborted, so a hung service never holds the request
+ * past `timeoutMs`. Invokers that ignore the abort signal have their late
+ * answer ignored.
+ */
+function invokeServiceWithin(functionName, serviceEvent, timeoutMs) {
+    return withTimeout(functionName, timeoutMs, abortSignal => invokeWithRetry(functionName, serviceEvent, abortSignal));
+}
+
+/**
+ * Cascade mode: serve the request from the levels below the failed one
+ * 
+ * Tries each lower level in turn while CASCADE_TIME_BUDGET_MS (measured from
+ * the start of the request) lasts, and returns the first answer the error
+ * classifier doesn't call a failure, or null. The failure stays recorded against the original
+ * level; fallback attempts don't change the breaker state.
+ */
+async function cascadeToLowerLevels(event, systemState, startTime) {
+    // Level 3 has no level below it to cascade to
+    if (!CASCADE_FALLBACK_ENABLED || systemState.currentLevel === 3) {
+        return null;
+    }
+    
+    const failedLevel = systemState.currentLevel;
+    
+    for (let level = failedLevel + 1; level <= 3; level++) {
+        const remainingMs = CASCADE_TIME_BUDGET_MS - (Date.now() - startTime);
+        if (remainingMs <= 0) {
+            console.log('Cascade time budget exhausted before level', level);
+            break;
+        }
+        
+        const serviceType = SERVICE_TYPES[level];
+        
+        try {
+            console.log(`Cascading request from level ${failedLevel} to ${serviceType} (${remainingMs}ms left)`);
+            
+            const invokeStartTime = Date.now();
+            const serviceResponse = await invokeServiceWithin(getServiceEndpoint(level), {
+                ...event,
+                circuitBreakerContext: {
+                    breakerId: systemState.breakerId,
+                    currentLevel: systemState.currentLevel,
+                    cascadeFrom: failedLevel,
+                    controllerTimestamp: new Date().toISOString()
+                }
+            }, Math.min(remainingMs, INVOKE_DEADLINES_MS[level]));
+            
+            if (serviceResponse.FunctionError || !serviceResponse.Payload) {
+                console.log(`Cascade to ${serviceType} failed:`, serviceResponse.FunctionError || 'EmptyPayload');
+                continue;
+            }
+            
+            const parsedResponse = parsePayload(serviceResponse);
+            const classification = errorClassifier.classifyResponse({
+                payload: parsedResponse,
+                responseTimeMs: Date.now() - invokeStartTime
+            });
+            if (classification.outcome === 'failure') {
+                console.log(`Cascade to ${serviceType} failed:`, classification.errorType);
+                continue;
+            }
+            
+            await publishMetric('CircuitBreaker/Controller', 'CascadeServed', 1, [
+                { Name: 'CurrentLevel', Value: failedLevel.toString() },
+                { Name: 'ServedByLevel', Value: level.toString() }
+            ]);
+            
+            parsedResponse.headers = parsedResponse.headers || {};
+            parsedResponse.headers['X-Circuit-Breaker-Id'] = systemState.breakerId;
+            parsedResponse.headers['X-Circuit-Breaker-Level'] = failedLevel.toString();
+            parsedResponse.headers['X-Circuit-Breaker-Controller'] = 'true';
+            parsedResponse.headers['X-Routed-To'] = serviceType;
+            parsedResponse.headers['X-Served-By-Level'] = level.toString();
+            parsedResponse.headers['X-Cascade-From-Level'] = failedLevel.toString();
+            
+            return parsedResponse;
+            
+        } catch (error) {
+            console.error(`Error cascading to ${serviceType}:`, error);
+        }
+    }
+    
+    await publishMetric('CircuitBreaker/Controller', 'CascadeExhausted', 1, [
+        { Name: 'CurrentLevel', Value: failedLevel.toString() }
+    ]);
+    return null;
+}
+
+/**
+ * Decide whether this request is a half-open probe of the level above
+ */
+async function shouldSendProbe(systemState, policy) {
+    const { enabled, probePercentage, probeIntervalSeconds } = policy.halfOpen;
+    
+    // No probing while the level is held by an admin pin
+    if (!enabled || systemState.currentLevel === 1 || dynamoOperations.isPinActive(systemState)) {
+        return false;
+    }
+    
+    // One probe per interval across all containers
+    if (probeIntervalSeconds > 0) {
+        return await dynamoOperations.claimProbeSlot(probeIntervalSeconds, systemState.breakerId);
+    }
+    
+    return Math.random() * 100 < probePercentage;
+}
+
+/**
+ * Send a half-open probe to the level above the current one
+ * 
+ * Records the probe outcome toward recovery and returns the probe response
+ * unless the probe failed. Returns null when the probe failed so the caller
+ * can answer from the current level instead.
+ */
+async function handleProbeRequest(event, systemState) {
+    const probeLevel = systemState.currentLevel - 1;
+    const probeServiceType = SERVICE_TYPES[probeLevel];
+    const probeServiceFunction = getServiceEndpoint(probeLevel);
+    let errorType;
+    
+    try {
+        console.log(`Half-open probe to ${probeServiceType} (${probeServiceFunction})`);
+        
+        const serviceEvent = {
+            ...event,
+            circuitBreakerContext: {
+                breakerId: systemState.breakerId,
+                currentLevel: systemState.currentLevel,
+                probe: true,
+                controllerTimestamp: new Date().toISOString()
+            }
+        };
+        
+        const invokeStartTime = Date.now();
+        const serviceResponse = await invokeServiceWithin(probeServiceFunction, serviceEvent, INVOKE_DEADLINES_MS[probeLevel]);
+        const serviceResponseTime = Date.now() - invokeStartTime;
+        
+        if (!serviceResponse.FunctionError && !serviceResponse.Payload) {
+            errorType = 'EmptyPayload';
+        } else {
+            const parsedResponse = parsePayload(serviceResponse);
+            const policy = await dynamoOperations.getTransitionPolicy();
+            const classification = errorClassifier.classifyResponse({
+                functionError: serviceResponse.FunctionError,
+                payload: parsedResponse,
+                responseTimeMs: serviceResponseTime,
+                slowCallThresholdMs: transitionPolicy.getSlowCallThreshold(policy, probeLevel)
+            });
+            
+            await recordServiceOutcome(classification, probeServiceType, probeLevel, serviceResponseTime, { probe: true, breakerId: systemState.breakerId });
+            
+            if (classification.outcome === 'success') {
+                await publishMetric('CircuitBreaker/Controller', 'ProbeSuccess', 1, [
+                    { Name: 'TargetService', Value: probeServiceType },
+                    { Name: 'CurrentLevel', Value: systemState.currentLevel.toString() }
+                ]);
+            } else if (classification.outcome !== 'client_error') {
+                await publishMetric('CircuitBreaker/Controller', 'ProbeFailure', 1, [
+                    { Name: 'TargetService', Value: probeServiceType },
+                    { Name: 'CurrentLevel', Value: systemState.currentLevel.toString() },
+                    { Name: 'ErrorType', Value: classification.errorType }
+                ]);
+            }
+            
+            // Failed probes are answered by the current level instead
+            if (serviceResponse.FunctionError || classification.outcome === 'failure') {
+                console.log(`Half-open probe to ${probeServiceType} failed:`, classification.errorType);
+                return null;
+            }
+            
+            if (parsedResponse.headers) {
+                parsedResponse.headers['X-Circuit-Breaker-Id'] = systemState.breakerId;
+                parsedResponse.headers['X-Circuit-Breaker-Level'] = systemState.currentLevel.toString();
+                parsedResponse.headers['X-Circuit-Breaker-Controller'] = 'true';
+                parsedResponse.headers['X-Circuit-Breaker-Probe'] = 'true';
+                parsedResponse.headers['X-Routed-To'] = probeServiceType;
+                parsedResponse.headers['X-Served-By-Level'] = probeLevel.toString();
+            }
+            
+            return parsedResponse;
+        }
+    } catch (error) {
+        console.error(`Error probing ${probeServiceType}:`, error);
+        errorType = error.errorType || error.name || 'UnknownError';
+    }
+    
+    console.log(`Half-open probe to ${probeServiceType} failed:`, errorType);
+    
+    await stateCache.recordFailure(probeServiceType, errorType, probeLevel, { probe: true, breakerId: systemState.breakerId });
+    
+    await publishMetric('CircuitBreaker/Controller', 'ProbeFailure', 1, [
+        { Name: 'TargetService', Value: probeServiceType },
+        { Name: 'CurrentLevel', Value: systemState.currentLevel.toString() },
+        { Name: 'ErrorType', Value: errorType }
+    ]);
+    
+    return null;
 }
\ No newline at end of file
@@ -0,0 +1,76 @@
+const dynamoOperations = require('circuit-breaker-shared/dynamodb-operations');
+const transitionPolicy = require('circuit-breaker-shared/transition-policy');
+const { publishMetric } = require('circuit-breaker-shared/metrics');
+
+/**
+ * Latency Monitor
+ *
+ * Tracks the rolling p50/p95/p99 latency of each service level and applies
+ * the policy latency budget. The percentiles are interpolated from the
+ * per-minute latency histogram in the window counters; reading the window is
+ * still a query, so each container checks a breaker at most once per
+ * LATENCY_CHECK_INTERVAL_SECONDS:
+ * - The percentiles of every level that served calls are emitted as
+ *   LatencyP50, LatencyP95 and LatencyP99 to CircuitBreaker/Controller
+ * - When the policy has a p95 budget, a breach that lasted the policy
+ *   sustainMinutes degrades the current level
+ */
+
+const LATENCY_CHECK_INTERVAL_MS = (Number(process.env.LATENCY_CHECK_INTERVAL_SECONDS) || 60) * 1000;
+
+// breakerId → time of the next check
+const nextCheckAt = new Map();
+
+/**
+ * Emit the latency percentiles of the levels that served calls
+ */
+async function publishLatencyMetrics(breakerId, latencyStats) {
+    for (const [level, stats] of Object.entries(latencyStats)) {
+        if (stats.count === 0) {
+            continue;
+        }
+
+        const dimensions = [
+            { Name: 'BreakerId', Value: breakerId },
+            { Name: 'ServiceLevel', Value: level }
+        ];
+        await publishMetric('CircuitBreaker/Controller', 'LatencyP50', stats.p50, dimensions);
+        await publishMetric('CircuitBreaker/Controller', 'LatencyP95', stats.p95, dimensions);
+        await publishMetric('CircuitBreaker/Controller', 'LatencyP99', stats.p99, dimensions);
+    }
+}
+
+/**
+ * Check the latency of a breaker when its interval has passed
+ *
+ * Resolves with the state to route with: the degraded state when the
+ * latency budget tripped, otherwise the given one. Errors are logged so they
+ * never fail the request.
+ */
+async function checkLatency(systemState) {
+    const breakerId = systemState.breakerId;
+    if (Date.now() < (nextCheckAt.get(breakerId) || 0)) {
+        return systemState;
+    }
+    nextCheckAt.set(breakerId, Date.now() + LATENCY_CHECK_INTERVAL_MS);
+
+    try {
+        const policy = await dynamoOperations.getTransitionPolicy();
+        const latencyStats = await dynamoOperations.getLatencyStats(policy, breakerId);
+        await publishLatencyMetrics(breakerId, latencyStats);
+
+        if (!transitionPolicy.usesLatencyBudget(policy)) {
+            return systemState;
+        }
+
+        const result = await dynamoOperations.evaluateLatencyBudget(latencyStats, breakerId);
+        return result.transitioned ? result.state : systemState;
+    } catch (error) {
+        console.error('Error checking latency budget:', error);
+        return systemState;
+    }
+}
+
+module.exports = {
+    checkLatency
+};
\ No newline at end of file
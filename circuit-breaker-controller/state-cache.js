@@ -0,0 +1,274 @@
+const dynamoOperations = require('circuit-breaker-shared/dynamodb-operations');
+const transitionPolicy = require('circuit-breaker-shared/transition-policy');
+
+/**
+ * Controller State Cache
+ *
+ * Keeps each breaker's state in the warm Lambda container so the request
+ * path doesn't read DynamoDB on every call:
+ * - Reads are served from the cache for up to STATE_CACHE_TTL_MS
+ * - Writes made by this container refresh the cache with the written state
+ *
+ * The cache is TTL-only across containers: nothing invalidates the entries of
+ * other containers when a breaker changes level, so a container can keep
+ * serving the previous level for up to STATE_CACHE_TTL_MS. The state table
+ * stream only refreshes the one container that receives each batch early.
+ *
+ * Plain successes are coalesced: up to SUCCESS_COALESCE_MAX successes within
+ * SUCCESS_COALESCE_WINDOW_MS are applied in one state write instead of one
+ * read-modify-write each. A timer flushes them when the window ends. Pending
+ * successes are flushed early when they could complete a recovery, and
+ * dropped when a failure resets the streak anyway or the breaker moved to
+ * another level before they were written.
+ * Every success is still logged individually for the rate-mode window.
+ */
+
+const STATE_CACHE_TTL_MS = readMilliseconds('STATE_CACHE_TTL_MS', 1000);
+const SUCCESS_COALESCE_MAX = Number(process.env.SUCCESS_COALESCE_MAX) || 10;
+const SUCCESS_COALESCE_WINDOW_MS = readMilliseconds('SUCCESS_COALESCE_WINDOW_MS', 1000);
+
+// breakerId → { state, expiresAt }
+const cachedStates = new Map();
+
+// breakerId → { count, serviceLevel, firstAt, options, timer }
+const pendingSuccesses = new Map();
+
+/**
+ * Read a millisecond setting where 0 is a valid value
+ */
+function readMilliseconds(name, defaultValue) {
+    const value = Number(process.env[name]);
+    return process.env[name] === undefined || Number.isNaN(value) ? defaultValue : value;
+}
+
+/**
+ * Store a state in the cache unless a newer version is already cached
+ */
+function primeState(state) {
+    if (!state || !state.breakerId) {
+        return;
+    }
+
+    const cached = cachedStates.get(state.breakerId);
+    if (cached && (cached.state.version || 0) > (state.version || 0)) {
+        return;
+    }
+
+    cachedStates.set(state.breakerId, {
+        state,
+        expiresAt: Date.now() + STATE_CACHE_TTL_MS
+    });
+}
+
+/**
+ * Drop the cached state of a breaker
+ */
+function invalidate(breakerId) {
+    cachedStates.delete(breakerId);
+}
+
+/**
+ * Get the state of a breaker, from the cache while it is fresh
+ *
+ * `fresh` forces a read (e.g. for the status endpoint).
+ */
+async function getState(breakerId, fresh = false) {
+    const cached = cachedStates.get(breakerId);
+    if (!fresh && cached && Date.now() < cached.expiresAt) {
+        return cached.state;
+    }
+
+    const state = await dynamoOperations.getSystemState(breakerId);
+    invalidate(breakerId);
+    primeState(state);
+    return state;
+}
+
+/**
+ * Apply state table stream records to the cache
+ *
+ * Only `system-state` items are relevant. Records carry the full new image
+ * (NEW_AND_OLD_IMAGES), so the cache is refreshed without another read.
+ */
+function applyStreamRecords(records) {
+    // Required lazily so local runs on the memory store never load the SDK
+    const { unmarshall } = require('@aws-sdk/util-dynamodb');
+    let applied = 0;
+
+    for (const record of records) {
+        const keys = record.dynamodb && record.dynamodb.Keys ? unmarshall(record.dynamodb.Keys) : {};
+        if (keys.pk !== 'system-state') {
+            continue;
+        }
+
+        const breakerId = keys.sk === 'current' ? dynamoOperations.DEFAULT_BREAKER_ID : keys.sk;
+
+        if (record.eventName === 'REMOVE' || !record.dynamodb.NewImage) {
+            invalidate(breakerId);
+        } else {
+            primeState({ breakerId, ...unmarshall(record.dynamodb.NewImage) });
+        }
+        applied++;
+    }
+
+    return applied;
+}
+
+/**
+ * Drop the pending successes of a breaker and their flush timer
+ */
+function discardPendingSuccesses(breakerId) {
+    const pending = pendingSuccesses.get(breakerId);
+    if (pending) {
+        clearTimeout(pending.timer);
+        pendingSuccesses.delete(breakerId);
+    }
+    return pending;
+}
+
+/**
+ * Start a batch of pending successes, flushed by a timer when its window ends
+ *
+ * The timer doesn't keep the process alive. In Lambda it fires while the
+ * container handles a later invocation, if the container was frozen first.
+ */
+function startPendingSuccesses(breakerId, serviceLevel, options) {
+    discardPendingSuccesses(breakerId);
+
+    const timer = setTimeout(() => {
+        flushPendingSuccesses(breakerId).catch(error => {
+            // Only the streak counter is lost; the success events are already logged
+            console.error('Error flushing coalesced successes:', error);
+        });
+    }, SUCCESS_COALESCE_WINDOW_MS);
+    if (timer.unref) {
+        timer.unref();
+    }
+
+    const pending = { count: 0, serviceLevel, firstAt: Date.now(), options, timer };
+    pendingSuccesses.set(breakerId, pending);
+    return pending;
+}
+
+/**
+ * Check whether a success must be applied right away instead of coalesced
+ */
+function mustApplyNow(options) {
+    return SUCCESS_COALESCE_MAX <= 1 || Boolean(options.probe);
+}
+
+/**
+ * Record a success, coalescing plain successes into fewer state writes
+ *
+ * Resolves with { state, transitioned }; `state` is the cached state while
+ * the success is still pending.
+ */
+async function recordSuccess(serviceType, serviceLevel, responseTime, options = {}) {
+    const breakerId = options.breakerId || dynamoOperations.DEFAULT_BREAKER_ID;
+
+    if (mustApplyNow(options)) {
+        const result = await dynamoOperations.incrementSuccessCount(serviceType, serviceLevel, responseTime, options);
+        primeState(result.state);
+        return result;
+    }
+
+    // Log the individual success now; only the counter update is deferred
+    await dynamoOperations.logSuccess(serviceType, serviceLevel, responseTime, options);
+
+    // Successes of a level the breaker left no longer count toward its streak
+    let pending = pendingSuccesses.get(breakerId);
+    if (!pending || Number(pending.serviceLevel) !== Number(serviceLevel)) {
+        pending = startPendingSuccesses(breakerId, serviceLevel, options);
+    }
+    pending.count++;
+
+    const state = await getState(breakerId);
+    if (await shouldFlush(state, pending)) {
+        return flushPendingSuccesses(breakerId);
+    }
+
+    return { state, transitioned: false };
+}
+
+/**
+ * Check whether pending successes should be written now
+ */
+async function shouldFlush(state, pending) {
+    if (pending.count >= SUCCESS_COALESCE_MAX || Date.now() - pending.firstAt >= SUCCESS_COALESCE_WINDOW_MS) {
+        return true;
+    }
+
+    // Never hold back the success that completes a recovery
+    const policy = await dynamoOperations.getTransitionPolicy();
+    const threshold = transitionPolicy.getSuccessThreshold(state, policy);
+    return threshold !== undefined && state.successCount + pending.count >= threshold;
+}
+
+/**
+ * Write the pending successes of a breaker in one state change
+ */
+async function flushPendingSuccesses(breakerId) {
+    const pending = discardPendingSuccesses(breakerId);
+    if (!pending) {
+        return { state: await getState(breakerId), transitioned: false };
+    }
+
+    // Drop successes of a level the breaker has left since they were recorded
+    const state = await getState(breakerId);
+    if (Number(pending.serviceLevel) !== state.currentLevel) {
+        return { state, transitioned: false };
+    }
+
+    const result = await dynamoOperations.addSuccesses(pending.serviceLevel, pending.count, pending.options);
+    primeState(result.state);
+    return result;
+}
+
+/**
+ * Flush pending successes whose coalescing window has passed
+ *
+ * Called at the start of each invocation as well, so the successes are
+ * written before the request even if the window timer hasn't fired yet.
+ * Errors are logged so they never fail the new request.
+ */
+async function flushExpiredSuccesses() {
+    for (const [breakerId, pending] of pendingSuccesses) {
+        if (Date.now() - pending.firstAt < SUCCESS_COALESCE_WINDOW_MS) {
+            continue;
+        }
+
+        try {
+            await flushPendingSuccesses(breakerId);
+        } catch (error) {
+            // Only the streak counter is lost; the success events are already logged
+            console.error('Error flushing coalesced successes:', error);
+        }
+    }
+}
+
+/**
+ * Record a failure, applied right away
+ *
+ * Pending successes are dropped: the failure resets the streak they were
+ * part of. Their success events stay logged.
+ */
+async function recordFailure(serviceType, errorType, serviceLevel, options = {}) {
+    if (!options.probe) {
+        discardPendingSuccesses(options.breakerId || dynamoOperations.DEFAULT_BREAKER_ID);
+    }
+
+    const result = await dynamoOperations.incrementFailureCount(serviceType, errorType, serviceLevel, options);
+    primeState(result.state);
+    return result;
+}
+
+module.exports = {
+    getState,
+    primeState,
+    invalidate,
+    applyStreamRecords,
+    recordSuccess,
+    recordFailure,
+    flushPendingSuccesses,
+    flushExpiredSuccesses
+};
\ No newline at end of file
@@ -0,0 +1,154 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { LambdaClient } = require('@aws-sdk/client-lambda');
+
+const dynamoOperations = require('circuit-breaker-shared/dynamodb-operations');
+const stateStore = require('circuit-breaker-shared/state-store');
+
+process.env.METRICS_DISABLED = 'true';
+process.env.STATE_CACHE_TTL_MS = '0';
+process.env.SUCCESS_COALESCE_MAX = '1';
+process.env.CASCADE_FALLBACK_ENABLED = 'true';
+process.env.CASCADE_TIME_BUDGET_MS = '100';
+
+const controller = require('../index');
+
+// Every request is logged; keep the test output readable
+['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+let store;
+let serviceResponses;
+
+/**
+ * Answer service invocations with the status code configured per function,
+ * after `delayMs` when one is configured
+ */
+mock.method(LambdaClient.prototype, 'send', async (command) => {
+    const { statusCode, delayMs } = serviceResponses[command.input.FunctionName];
+    if (delayMs) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+    return {
+        Payload: Buffer.from(JSON.stringify({
+            statusCode,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ service: command.input.FunctionName })
+        }))
+    };
+});
+
+beforeEach(async () => {
+    store = stateStore.createStateStore('memory');
+    dynamoOperations.useStateStore(store);
+    LambdaClient.prototype.send.mock.resetCalls();
+    serviceResponses = {
+        'full-service': { statusCode: 500 },
+        'degraded-service': { statusCode: 200 },
+        'maintenance-service': { statusCode: 200 }
+    };
+    await store.putState('default', { breakerId: 'default', currentLevel: 1, failureCount: 0, successCount: 0, version: 1 });
+});
+
+/**
+ * Functions invoked by the controller so far
+ */
+function invokedFunctions() {
+    return LambdaClient.prototype.send.mock.calls.map(call => call.arguments[0].input.FunctionName);
+}
+
+/**
+ * Names of the metrics emitted while running `run` (EMF documents on stdout)
+ */
+async function emittedMetrics(run) {
+    const metricNames = [];
+    delete process.env.METRICS_DISABLED;
+    const write = mock.method(process.stdout, 'write', (line) => {
+        JSON.parse(line)._aws.CloudWatchMetrics.forEach(directive => {
+            metricNames.push(...directive.Metrics.map(metric => metric.Name));
+        });
+        return true;
+    });
+
+    try {
+        await run();
+    } finally {
+        write.mock.restore();
+        process.env.METRICS_DISABLED = 'true';
+    }
+
+    return metricNames;
+}
+
+/**
+ * Send a service request to the controller
+ */
+function request() {
+    return controller.handler({ httpMethod: 'POST', path: '/service', body: '{}' });
+}
+
+describe('cascading fallback', () => {
+    it('answers from the next level down and records the failure against the current one', async () => {
+        const response = await request();
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.headers['X-Circuit-Breaker-Level'], '1');
+        assert.equal(response.headers['X-Served-By-Level'], '2');
+        assert.equal(response.headers['X-Cascade-From-Level'], '1');
+        assert.deepEqual(invokedFunctions(), ['full-service', 'degraded-service']);
+
+        const state = await store.getState('default');
+        assert.equal(state.currentLevel, 1);
+        assert.equal(state.failureCount, 1);
+    });
+
+    it('keeps cascading while the lower levels fail', async () => {
+        serviceResponses['degraded-service'].statusCode = 502;
+
+        const response = await request();
+
+        assert.equal(response.headers['X-Served-By-Level'], '3');
+        assert.deepEqual(invokedFunctions(), ['full-service', 'degraded-service', 'maintenance-service']);
+    });
+
+    it('does not cascade client errors', async () => {
+        serviceResponses['full-service'].statusCode = 400;
+
+        const response = await request();
+
+        assert.equal(response.statusCode, 400);
+        assert.deepEqual(invokedFunctions(), ['full-service']);
+    });
+
+    it('reports a cascade where every lower level failed as exhausted', async () => {
+        await store.putState('default', { breakerId: 'default', currentLevel: 2, failureCount: 0, successCount: 0, version: 2 });
+        serviceResponses['degraded-service'].statusCode = 500;
+        serviceResponses['maintenance-service'].statusCode = 500;
+
+        const metricNames = await emittedMetrics(request);
+
+        assert.ok(metricNames.includes('CascadeExhausted'));
+    });
+
+    it('does not cascade from Level 3', async () => {
+        await store.putState('default', { breakerId: 'default', currentLevel: 3, failureCount: 0, successCount: 0, version: 2 });
+        serviceResponses['maintenance-service'].statusCode = 500;
+
+        let response;
+        const metricNames = await emittedMetrics(async () => {
+            response = await request();
+        });
+
+        assert.equal(response.statusCode, 500);
+        assert.deepEqual(invokedFunctions(), ['maintenance-service']);
+        assert.equal(metricNames.includes('CascadeExhausted'), false);
+    });
+
+    it('stops once the time budget is spent', async () => {
+        serviceResponses['degraded-service'].delayMs = 200;
+
+        const response = await request();
+
+        assert.equal(response.statusCode, 500);
+        assert.deepEqual(invokedFunctions(), ['full-service', 'degraded-service']);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,75 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Rules are read once per container, so they are set before the first classification
+process.env.ERROR_CLASSIFIER_RULES = JSON.stringify([
+    { statusCodes: [402], bodyPattern: 'INSUFFICIENT_FUNDS', outcome: 'client_error', errorType: 'PaymentDeclined' },
+    { functionError: 'TimeoutError', outcome: 'failure', errorType: 'LambdaTimeout' },
+    { statusCodes: [404], outcome: 'success' },
+    { statusCodes: [200], minResponseTimeMs: 5000, outcome: 'failure', errorType: 'VerySlow' },
+    { statusCodes: [400], outcome: 'unknown' }
+]);
+
+// Invalid rules are logged and skipped
+mock.method(console, 'error', () => {});
+
+const { classifyResponse } = require('../error-classifier');
+
+describe('built-in rules', () => {
+    it('treats function errors as failures', () => {
+        assert.deepEqual(
+            classifyResponse({ functionError: 'Unhandled', payload: { errorType: 'TypeError', errorMessage: 'boom' }, responseTimeMs: 10 }),
+            { outcome: 'failure', errorType: 'LambdaExecutionError' }
+        );
+    });
+
+    it('treats timeouts and throttling as failures of the service', () => {
+        assert.deepEqual(classifyResponse({ payload: { statusCode: 408 }, responseTimeMs: 10 }), { outcome: 'failure', errorType: 'ServiceTimeout' });
+        assert.deepEqual(classifyResponse({ payload: { statusCode: 429 }, responseTimeMs: 10 }), { outcome: 'failure', errorType: 'Throttled' });
+    });
+
+    it('treats other 4xx answers as client errors and 5xx answers as failures', () => {
+        assert.deepEqual(classifyResponse({ payload: { statusCode: 403 }, responseTimeMs: 10 }), { outcome: 'client_error', errorType: 'ClientError' });
+        assert.deepEqual(classifyResponse({ payload: { statusCode: 503 }, responseTimeMs: 10 }), { outcome: 'failure', errorType: 'ServiceError' });
+    });
+
+    it('treats unmatched answers as successes, or slow calls past the threshold', () => {
+        const answer = { payload: { statusCode: 200, body: '{}' }, responseTimeMs: 800 };
+
+        assert.deepEqual(classifyResponse(answer), { outcome: 'success', errorType: null });
+        assert.deepEqual(classifyResponse({ ...answer, slowCallThresholdMs: 1000 }), { outcome: 'success', errorType: null });
+        assert.deepEqual(classifyResponse({ ...answer, slowCallThresholdMs: 800 }), { outcome: 'slow', errorType: 'SlowCall' });
+    });
+});
+
+describe('configured rules', () => {
+    it('match on status code and body pattern before the built-in rules', () => {
+        const declined = { payload: { statusCode: 402, body: '{"code":"INSUFFICIENT_FUNDS"}' }, responseTimeMs: 10 };
+        assert.deepEqual(classifyResponse(declined), { outcome: 'client_error', errorType: 'PaymentDeclined' });
+
+        const otherError = { payload: { statusCode: 402, body: '{"code":"CARD_EXPIRED"}' }, responseTimeMs: 10 };
+        assert.deepEqual(classifyResponse(otherError), { outcome: 'client_error', errorType: 'ClientError' });
+    });
+
+    it('match function errors by Lambda error type', () => {
+        const timeout = { functionError: 'Unhandled', payload: { errorType: 'TimeoutError' }, responseTimeMs: 10 };
+        assert.deepEqual(classifyResponse(timeout), { outcome: 'failure', errorType: 'LambdaTimeout' });
+    });
+
+    it('match on response time', () => {
+        assert.deepEqual(classifyResponse({ payload: { statusCode: 200 }, responseTimeMs: 5000 }), { outcome: 'failure', errorType: 'VerySlow' });
+        assert.deepEqual(classifyResponse({ payload: { statusCode: 200 }, responseTimeMs: 4999 }), { outcome: 'success', errorType: null });
+    });
+
+    it('still apply the slow-call threshold to answers they make successes', () => {
+        const notFound = { payload: { statusCode: 404 }, responseTimeMs: 1200 };
+
+        assert.deepEqual(classifyResponse(notFound), { outcome: 'success', errorType: null });
+        assert.deepEqual(classifyResponse({ ...notFound, slowCallThresholdMs: 1000 }), { outcome: 'slow', errorType: 'SlowCall' });
+    });
+
+    it('are skipped when their outcome is unknown', () => {
+        assert.deepEqual(classifyResponse({ payload: { statusCode: 400 }, responseTimeMs: 10 }), { outcome: 'client_error', errorType: 'ClientError' });
+        assert.equal(console.error.mock.callCount(), 1);
+    });
+});
\ No newline at end of file
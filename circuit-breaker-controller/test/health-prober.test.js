@@ -0,0 +1,90 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const dynamoOperations = require('circuit-breaker-shared/dynamodb-operations');
+const stateStore = require('circuit-breaker-shared/state-store');
+
+process.env.METRICS_DISABLED = 'true';
+process.env.HEALTH_PROBE_TIMEOUT_MS = '50';
+process.env.BREAKER_ROUTES = JSON.stringify({ '/transfers': 'transfers' });
+
+const healthProber = require('../health-prober');
+
+// Every probe is logged; keep the test output readable
+['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+let store;
+let serviceResponses;
+
+/**
+ * Answer each service with its configured status code, or never ('hang')
+ */
+healthProber.useServiceInvoker(async (functionName, serviceEvent, abortSignal) => {
+    const statusCode = serviceResponses[functionName];
+    if (statusCode === 'hang') {
+        return new Promise((resolve, reject) => {
+            abortSignal.addEventListener('abort', () => reject(abortSignal.reason));
+        });
+    }
+    return {
+        Payload: Buffer.from(JSON.stringify({ statusCode, body: JSON.stringify({ synthetic: serviceEvent.circuitBreakerContext.synthetic }) }))
+    };
+});
+
+beforeEach(async () => {
+    store = stateStore.createStateStore('memory', {
+        policyItem: { version: 'probe-v1', successThresholds: { 2: 2 } }
+    });
+    dynamoOperations.useStateStore(store);
+    serviceResponses = { 'full-service': 200, 'degraded-service': 200, 'maintenance-service': 200 };
+
+    for (const breakerId of ['default', 'transfers']) {
+        await store.putState(breakerId, { breakerId, currentLevel: 2, failureCount: 0, successCount: 0, version: 1 });
+    }
+});
+
+describe('health probes', () => {
+    it('probes every level and recovers the breakers with the results of the level above', async () => {
+        const first = await healthProber.handler({});
+        assert.deepEqual(first.results.map(result => result.outcome), ['success', 'success', 'success']);
+        assert.deepEqual(first.breakers, ['default', 'transfers']);
+        assert.equal((await store.getState('transfers')).successCount, 1);
+
+        await healthProber.handler({});
+
+        for (const breakerId of ['default', 'transfers']) {
+            const state = await store.getState(breakerId);
+            assert.equal(state.currentLevel, 1);
+        }
+        const [transition] = (await store.queryTransitions({ limit: 1, breakerId: 'transfers' })).transitions;
+        assert.equal(transition.triggerSource, 'health-probe');
+    });
+
+    it('breaks the recovery streak on a failed probe without degrading', async () => {
+        await healthProber.handler({});
+        serviceResponses['full-service'] = 500;
+
+        const { results } = await healthProber.handler({});
+
+        assert.equal(results[0].errorType, 'ServiceError');
+        const state = await store.getState('default');
+        assert.equal(state.currentLevel, 2);
+        assert.equal(state.successCount, 0);
+    });
+
+    it('fails probes that outlast the timeout', async () => {
+        serviceResponses['full-service'] = 'hang';
+
+        const { results } = await healthProber.handler({});
+
+        assert.deepEqual(results[0], { level: 1, serviceType: 'full-service', outcome: 'failure', errorType: 'TimeoutError', responseTime: results[0].responseTime });
+    });
+
+    it('keeps the synthetic calls out of the latency of real traffic', async () => {
+        await healthProber.handler({});
+
+        const policy = await dynamoOperations.getTransitionPolicy();
+        assert.equal((await dynamoOperations.getLatencyStats(policy))[1].count, 0);
+        assert.equal((await dynamoOperations.getRecentSuccesses(1))[0].synthetic, true);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,311 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { LambdaClient } = require('@aws-sdk/client-lambda');
+
+const dynamoOperations = require('circuit-breaker-shared/dynamodb-operations');
+const stateStore = require('circuit-breaker-shared/state-store');
+
+process.env.METRICS_DISABLED = 'true';
+// Every request reads and writes the store directly; state-cache.test.js covers the cache
+process.env.STATE_CACHE_TTL_MS = '0';
+process.env.SUCCESS_COALESCE_MAX = '1';
+process.env.ADMIN_API_TOKEN = 'test-admin-token';
+process.env.BREAKER_ROUTES = JSON.stringify({ '/transfers': 'transfers', '/transfers/international': 'international', '/legacy': 'current' });
+
+// Every request is logged; keep the test output readable
+['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+const controller = require('../index');
+
+let store;
+let serviceResponses;
+
+/**
+ * Answer service invocations with the status code configured per function
+ */
+mock.method(LambdaClient.prototype, 'send', async (command) => {
+    const statusCode = serviceResponses[command.input.FunctionName];
+    return {
+        Payload: Buffer.from(JSON.stringify({
+            statusCode,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ service: command.input.FunctionName })
+        }))
+    };
+});
+
+beforeEach(() => {
+    store = stateStore.createStateStore('memory');
+    dynamoOperations.useStateStore(store);
+    LambdaClient.prototype.send.mock.resetCalls();
+    serviceResponses = { 'full-service': 200, 'degraded-service': 200, 'maintenance-service': 200 };
+});
+
+/**
+ * Store the state of a breaker
+ */
+function putState(breakerId, state) {
+    return store.putState(breakerId, { breakerId, failureCount: 0, successCount: 0, version: 1, ...state });
+}
+
+/**
+ * Functions invoked by the controller so far
+ */
+function invokedFunctions() {
+    return LambdaClient.prototype.send.mock.calls.map(call => call.arguments[0].input.FunctionName);
+}
+
+/**
+ * Send a GET request to the controller and parse the JSON body
+ */
+async function get(path) {
+    const response = await controller.handler({ httpMethod: 'GET', path, resource: path });
+    return { ...response, body: JSON.parse(response.body) };
+}
+
+describe('GET /status', () => {
+    it('reports the current level and the distance to the next transitions', async () => {
+        await putState('default', { currentLevel: 2, failureCount: 3, successCount: 1 });
+
+        const response = await get('/status');
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.headers['X-Circuit-Breaker-Level'], '2');
+        assert.equal(response.headers['Cache-Control'], 'no-store');
+
+        const { circuitBreaker } = response.body;
+        assert.equal(circuitBreaker.activeService, 'degraded-service');
+        assert.deepEqual(circuitBreaker.policy, { version: 'env-default', source: 'env', tripMode: 'count' });
+        assert.equal(circuitBreaker.nextDowngrade.failuresRemaining, 7);
+        assert.equal(circuitBreaker.nextRecovery.successesRemaining, 4);
+        assert.deepEqual(circuitBreaker.recoveryBackoff, {
+            multiplier: 1,
+            tripsInWindow: 0,
+            lastTripAt: null,
+            appliesTo: 'dwell',
+            tripWindowMinutes: 60,
+            decayMinutes: 30
+        });
+        assert.deepEqual(invokedFunctions(), []);
+    });
+
+    it('rejects other GET routes', async () => {
+        const response = await get('/service');
+
+        assert.equal(response.statusCode, 405);
+        assert.equal(response.headers.Allow, 'GET, POST');
+    });
+});
+
+describe('breaker routing', () => {
+    beforeEach(() => putState('transfers', { currentLevel: 3 }));
+
+    it('routes requests by the longest matching path prefix', async () => {
+        const response = await controller.handler({ httpMethod: 'POST', path: '/transfers/domestic', body: '{}' });
+
+        assert.equal(response.headers['X-Circuit-Breaker-Id'], 'transfers');
+        assert.deepEqual(invokedFunctions(), ['maintenance-service']);
+
+        await controller.handler({ httpMethod: 'POST', path: '/transfers/international/swift', body: '{}' });
+        assert.ok(await store.getState('international'));
+    });
+
+    it('uses the default breaker for unmatched paths', async () => {
+        const response = await controller.handler({ httpMethod: 'POST', path: '/transfersummary', body: '{}' });
+
+        assert.equal(response.headers['X-Circuit-Breaker-Id'], 'default');
+        assert.deepEqual(invokedFunctions(), ['full-service']);
+    });
+
+    it('selects a breaker with the breakerId query parameter', async () => {
+        const response = await controller.handler({ httpMethod: 'GET', path: '/status', queryStringParameters: { breakerId: 'transfers' } });
+
+        assert.equal(JSON.parse(response.body).circuitBreaker.currentLevel, 3);
+    });
+
+    it('rejects unknown breaker IDs', async () => {
+        const response = await controller.handler({ httpMethod: 'GET', path: '/status', queryStringParameters: { breakerId: 'loans' } });
+
+        assert.equal(response.statusCode, 404);
+        assert.deepEqual(JSON.parse(response.body).breakers, ['default', 'transfers', 'international']);
+    });
+
+    it('ignores routes to a reserved breaker ID', async () => {
+        const response = await controller.handler({ httpMethod: 'POST', path: '/legacy/accounts', body: '{}' });
+        assert.equal(response.headers['X-Circuit-Breaker-Id'], 'default');
+
+        const statusResponse = await controller.handler({ httpMethod: 'GET', path: '/status', queryStringParameters: { breakerId: 'current' } });
+        assert.equal(statusResponse.statusCode, 404);
+    });
+});
+
+describe('GET /transitions', () => {
+    beforeEach(async () => {
+        const timestamps = ['2026-03-01T10:00:00.000Z', '2026-03-02T10:00:00.000Z', '2026-03-03T10:00:00.000Z'];
+        for (const [index, timestamp] of timestamps.entries()) {
+            await store.appendEvent('transition-log', 'default', {
+                eventType: 'transition',
+                fromLevel: index + 1,
+                toLevel: index + 2,
+                triggerSource: 'controller',
+                timestamp
+            });
+        }
+    });
+
+    /**
+     * Query the transition history with the given query string parameters
+     */
+    async function getTransitions(queryStringParameters) {
+        const response = await controller.handler({ httpMethod: 'GET', path: '/transitions', queryStringParameters });
+        return { ...response, body: JSON.parse(response.body) };
+    }
+
+    it('pages through the history newest first', async () => {
+        const firstPage = await getTransitions({ limit: '2' });
+        assert.equal(firstPage.statusCode, 200);
+        assert.deepEqual(firstPage.body.transitions.map(item => item.timestamp), ['2026-03-03T10:00:00.000Z', '2026-03-02T10:00:00.000Z']);
+        assert.ok(firstPage.body.nextCursor);
+
+        const secondPage = await getTransitions({ limit: '2', cursor: firstPage.body.nextCursor });
+        assert.deepEqual(secondPage.body.transitions.map(item => item.timestamp), ['2026-03-01T10:00:00.000Z']);
+        assert.equal(secondPage.body.nextCursor, null);
+    });
+
+    it('filters by time range', async () => {
+        const response = await getTransitions({ from: '2026-03-02T00:00:00Z', to: '2026-03-02T23:59:59Z' });
+
+        assert.equal(response.body.transitions.length, 1);
+        assert.equal(response.body.transitions[0].fromLevel, 2);
+    });
+
+    it('validates the query parameters', async () => {
+        assert.equal((await getTransitions({ limit: '500' })).statusCode, 400);
+        assert.equal((await getTransitions({ from: 'yesterday' })).statusCode, 400);
+        assert.equal((await getTransitions({ from: '2026-03-03T00:00:00Z', to: '2026-03-01T00:00:00Z' })).statusCode, 400);
+        assert.equal((await getTransitions({ cursor: 'not-a-cursor' })).statusCode, 400);
+    });
+});
+
+describe('half-open probing', () => {
+    beforeEach(async () => {
+        store.setPolicyItem({
+            version: 'probe-v1',
+            halfOpen: { enabled: true, probePercentage: 100, probeIntervalSeconds: 0 }
+        });
+        await putState('default', { currentLevel: 2, failureCount: 5 });
+    });
+
+    it('answers from the level above when the probe succeeds', async () => {
+        const response = await controller.handler({ httpMethod: 'POST', body: '{}' });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.headers['X-Circuit-Breaker-Probe'], 'true');
+        assert.equal(response.headers['X-Routed-To'], 'full-service');
+        assert.deepEqual(invokedFunctions(), ['full-service']);
+        assert.equal((await store.getState('default')).successCount, 1);
+    });
+
+    it('falls back to the current level when the probe fails', async () => {
+        serviceResponses['full-service'] = 500;
+
+        const response = await controller.handler({ httpMethod: 'POST', body: '{}' });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.headers['X-Routed-To'], 'degraded-service');
+        assert.deepEqual(invokedFunctions(), ['full-service', 'degraded-service']);
+
+        const state = await store.getState('default');
+        assert.equal(state.currentLevel, 2);
+        assert.equal(state.successCount, 0);
+    });
+
+    it('does not probe while serving Level 1', async () => {
+        await putState('default', { currentLevel: 1 });
+
+        await controller.handler({ httpMethod: 'POST', body: '{}' });
+
+        assert.deepEqual(invokedFunctions(), ['full-service']);
+    });
+});
+
+describe('admin routes', () => {
+    /**
+     * Send an authenticated admin request and parse the JSON body
+     */
+    async function admin(httpMethod, path, body, token = 'test-admin-token') {
+        const response = await controller.handler({
+            httpMethod,
+            path,
+            headers: { 'x-admin-token': token, 'X-Admin-User': 'oncall' },
+            body: body ? JSON.stringify(body) : null
+        });
+        return { ...response, body: JSON.parse(response.body) };
+    }
+
+    beforeEach(() => putState('default', { currentLevel: 1, failureCount: 3, successCount: 2 }));
+
+    it('rejects requests without the admin token', async () => {
+        assert.equal((await admin('POST', '/admin/level', { level: 3, reason: 'test' }, 'wrong-token')).statusCode, 403);
+        assert.equal((await store.getState('default')).currentLevel, 1);
+    });
+
+    it('forces a level and resets the counters', async () => {
+        const response = await admin('POST', '/admin/level', { level: 3, reason: 'database migration' });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.body.circuitBreaker.currentLevel, 3);
+        assert.equal(response.body.circuitBreaker.failureCount, 0);
+        assert.match(response.body.circuitBreaker.transitionReason, /Admin override by oncall: forced to level 3 \(database migration\)/);
+    });
+
+    it('validates the level and reason', async () => {
+        assert.equal((await admin('POST', '/admin/level', { level: 4, reason: 'test' })).statusCode, 400);
+        assert.equal((await admin('POST', '/admin/level', { level: 2 })).statusCode, 400);
+    });
+
+    it('pins a level, refuses forcing while pinned and releases the pin', async () => {
+        const pinned = await admin('POST', '/admin/pin', { level: 2, reason: 'vendor incident', expiresInMinutes: 30 });
+        assert.equal(pinned.statusCode, 200);
+        assert.equal(pinned.body.circuitBreaker.pin.level, 2);
+        assert.equal(pinned.body.circuitBreaker.pin.pinnedBy, 'oncall');
+
+        assert.equal((await admin('POST', '/admin/level', { level: 1, reason: 'test' })).statusCode, 409);
+
+        const released = await admin('DELETE', '/admin/pin');
+        assert.equal(released.statusCode, 200);
+        assert.equal(released.body.releasedPin.level, 2);
+        assert.equal(released.body.circuitBreaker.pin, null);
+        assert.equal(released.body.circuitBreaker.currentLevel, 2);
+    });
+
+    it('requires a pin expiry within the maximum pin duration', async () => {
+        assert.equal((await admin('POST', '/admin/pin', { level: 2, reason: 'test' })).statusCode, 400);
+        assert.equal((await admin('POST', '/admin/pin', { level: 2, reason: 'test', expiresInMinutes: 2 * 24 * 60 })).statusCode, 400);
+    });
+
+    it('answers unknown admin routes with 404', async () => {
+        assert.equal((await admin('GET', '/admin/pin')).statusCode, 404);
+    });
+});
+
+describe('error classification', () => {
+    beforeEach(() => putState('default', { currentLevel: 1 }));
+
+    it('passes client errors through without counting a failure', async () => {
+        serviceResponses['full-service'] = 422;
+
+        const response = await controller.handler({ httpMethod: 'POST', path: '/service', body: '{}' });
+
+        assert.equal(response.statusCode, 422);
+        assert.equal((await store.getState('default')).failureCount, 0);
+    });
+
+    it('counts server errors as failures of the level', async () => {
+        serviceResponses['full-service'] = 500;
+
+        await controller.handler({ httpMethod: 'POST', path: '/service', body: '{}' });
+
+        assert.equal((await store.getState('default')).failureCount, 1);
+    });
+});
\ No newline at end of file
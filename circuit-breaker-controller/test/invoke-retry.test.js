@@ -0,0 +1,132 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { LambdaClient } = require('@aws-sdk/client-lambda');
+
+const dynamoOperations = require('circuit-breaker-shared/dynamodb-operations');
+const stateStore = require('circuit-breaker-shared/state-store');
+
+process.env.METRICS_DISABLED = 'true';
+process.env.STATE_CACHE_TTL_MS = '0';
+process.env.INVOKE_MAX_ATTEMPTS = '3';
+process.env.INVOKE_RETRY_BASE_MS = '1';
+process.env.LEVEL_1_INVOKE_DEADLINE_MS = '50';
+
+const controller = require('../index');
+
+// Every request is logged; keep the test output readable
+['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+let store;
+let invokeErrors;
+let hangInvocations;
+
+/**
+ * Fail service invocations with the queued errors, then answer 200
+ * (or never answer until aborted, with `hangInvocations`)
+ */
+mock.method(LambdaClient.prototype, 'send', async (command, options) => {
+    if (invokeErrors.length > 0) {
+        throw invokeErrors.shift();
+    }
+    if (hangInvocations) {
+        return new Promise((resolve, reject) => {
+            options.abortSignal.addEventListener('abort', () => reject(options.abortSignal.reason));
+        });
+    }
+    return {
+        Payload: Buffer.from(JSON.stringify({ statusCode: 200, headers: {}, body: '{}' }))
+    };
+});
+
+beforeEach(() => {
+    store = stateStore.createStateStore('memory');
+    dynamoOperations.useStateStore(store);
+    LambdaClient.prototype.send.mock.resetCalls();
+    invokeErrors = [];
+    hangInvocations = false;
+});
+
+/**
+ * Build an invoke error as thrown by the SDK
+ */
+function invokeError(name, httpStatusCode) {
+    const error = new Error(`${name} from Lambda`);
+    error.name = name;
+    error.$metadata = { httpStatusCode };
+    return error;
+}
+
+/**
+ * Send a service request to the controller
+ */
+function request() {
+    return controller.handler({ httpMethod: 'POST', path: '/service', body: '{}' });
+}
+
+describe('invoke retries', () => {
+    it('retries throttled and transient invocations', async () => {
+        invokeErrors = [invokeError('TooManyRequestsException', 429), invokeError('ServiceException', 500)];
+
+        const response = await request();
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(LambdaClient.prototype.send.mock.callCount(), 3);
+        assert.equal((await store.getState('default')).failureCount, 0);
+    });
+
+    it('sends every attempt through the same Lambda client', async () => {
+        invokeErrors = [invokeError('ServiceException', 500)];
+
+        await request();
+        await request();
+
+        const clients = new Set(LambdaClient.prototype.send.mock.calls.map(call => call.this));
+        assert.equal(clients.size, 1);
+    });
+
+    it('records throttling that outlasts the retries at its policy weight', async () => {
+        invokeErrors = [1, 2, 3].map(() => invokeError('TooManyRequestsException', 429));
+
+        const response = await request();
+
+        assert.equal(response.statusCode, 503);
+        assert.equal(LambdaClient.prototype.send.mock.callCount(), 3);
+        assert.equal((await store.getState('default')).failureCount, 0.5);
+
+        const [failure] = await dynamoOperations.getRecentFailures(1);
+        assert.equal(failure.errorType, 'Throttled');
+    });
+
+    it('does not retry other invoke errors', async () => {
+        invokeErrors = [invokeError('ResourceNotFoundException', 404)];
+
+        await request();
+
+        assert.equal(LambdaClient.prototype.send.mock.callCount(), 1);
+        assert.equal((await store.getState('default')).failureCount, 1);
+    });
+
+    it('retries network errors', async () => {
+        const networkError = new Error('socket hang up');
+        networkError.code = 'ECONNRESET';
+        invokeErrors = [networkError];
+
+        assert.equal((await request()).statusCode, 200);
+    });
+});
+
+describe('invoke deadlines', () => {
+    it('aborts a call that outlasts the level deadline and records a timeout', async () => {
+        hangInvocations = true;
+
+        const response = await request();
+
+        assert.equal(response.statusCode, 503);
+        assert.ok(LambdaClient.prototype.send.mock.calls[0].arguments[1].abortSignal.aborted);
+        assert.equal(LambdaClient.prototype.send.mock.callCount(), 1);
+
+        assert.equal((await store.getState('default')).failureCount, 1);
+        const [failure] = await dynamoOperations.getRecentFailures(1);
+        assert.equal(failure.errorType, 'TimeoutError');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,59 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const dynamoOperations = require('circuit-breaker-shared/dynamodb-operations');
+const stateStore = require('circuit-breaker-shared/state-store');
+
+process.env.METRICS_DISABLED = 'true';
+process.env.LATENCY_CHECK_INTERVAL_SECONDS = '60';
+
+const { checkLatency } = require('../latency-monitor');
+
+// Every state change is logged; keep the test output readable
+['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+let store;
+
+beforeEach(async () => {
+    store = stateStore.createStateStore('memory', {
+        policyItem: {
+            version: 'latency-v1',
+            latency: { windowMinutes: 5, minimumCalls: 2, sustainMinutes: 0, p95BudgetsMs: { 1: 500 } }
+        }
+    });
+    dynamoOperations.useStateStore(store);
+
+    await dynamoOperations.logSuccess('full-service', 1, 900, { breakerId: 'transfers' });
+    await dynamoOperations.logSuccess('full-service', 1, 900, { breakerId: 'transfers' });
+});
+
+describe('latency checks', () => {
+    it('degrades the breaker when its p95 is over budget', async () => {
+        const state = await dynamoOperations.getSystemState('transfers');
+
+        const checkedState = await checkLatency(state);
+
+        assert.equal(checkedState.currentLevel, 2);
+        assert.equal((await store.getState('transfers')).currentLevel, 2);
+    });
+
+    it('checks a breaker once per interval', async () => {
+        const state = await dynamoOperations.getSystemState('accounts');
+        await checkLatency(state);
+
+        await dynamoOperations.logSuccess('full-service', 1, 900, { breakerId: 'accounts' });
+        await dynamoOperations.logSuccess('full-service', 1, 900, { breakerId: 'accounts' });
+
+        assert.equal(await checkLatency(state), state);
+        assert.equal((await store.getState('accounts')).currentLevel, 1);
+    });
+
+    it('never fails the request when the check fails', async () => {
+        store.queryEventsSince = async () => {
+            throw new Error('Network error');
+        };
+        const state = { breakerId: 'payments', currentLevel: 1 };
+
+        assert.equal(await checkLatency(state), state);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,187 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { marshall } = require('@aws-sdk/util-dynamodb');
+
+const dynamoOperations = require('circuit-breaker-shared/dynamodb-operations');
+const stateStore = require('circuit-breaker-shared/state-store');
+
+process.env.STATE_CACHE_TTL_MS = '60000';
+process.env.SUCCESS_COALESCE_MAX = '3';
+process.env.SUCCESS_COALESCE_WINDOW_MS = '1000';
+
+const stateCache = require('../state-cache');
+
+// Every state change is logged; keep the test output readable
+['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+let store;
+
+beforeEach(() => {
+    store = stateStore.createStateStore('memory');
+    dynamoOperations.useStateStore(store);
+    stateCache.invalidate('default');
+    mock.timers.reset();
+});
+
+/**
+ * Store the state of the default breaker
+ */
+function putState(state) {
+    return store.putState('default', { breakerId: 'default', failureCount: 0, successCount: 0, version: 1, ...state });
+}
+
+/**
+ * Build a state table stream record for the item with the given keys
+ */
+function streamRecord(eventName, keys, newImage) {
+    return {
+        eventName,
+        dynamodb: {
+            Keys: marshall(keys),
+            NewImage: newImage ? marshall({ ...keys, ...newImage }) : undefined
+        }
+    };
+}
+
+/**
+ * Record a plain success of Level 1 on the default breaker
+ */
+function succeed() {
+    return stateCache.recordSuccess('full-service', 1, 100);
+}
+
+describe('cached reads', () => {
+    it('serves the state from the cache until it is read fresh', async () => {
+        await putState({ currentLevel: 1 });
+        await stateCache.getState('default');
+        await putState({ currentLevel: 3, version: 2 });
+
+        assert.equal((await stateCache.getState('default')).currentLevel, 1);
+        assert.equal((await stateCache.getState('default', true)).currentLevel, 3);
+        assert.equal((await stateCache.getState('default')).currentLevel, 3);
+    });
+
+    it('reads the state again once the TTL ran out', async () => {
+        mock.timers.enable({ apis: ['Date'], now: Date.now() });
+        await putState({ currentLevel: 1 });
+        await stateCache.getState('default');
+        await putState({ currentLevel: 2, version: 2 });
+
+        mock.timers.tick(60000);
+
+        assert.equal((await stateCache.getState('default')).currentLevel, 2);
+    });
+
+    it('keeps a newer cached version over an older primed state', async () => {
+        stateCache.primeState({ breakerId: 'default', currentLevel: 2, version: 5 });
+        stateCache.primeState({ breakerId: 'default', currentLevel: 1, version: 4 });
+
+        assert.equal((await stateCache.getState('default')).currentLevel, 2);
+    });
+});
+
+describe('stream records', () => {
+    it('replaces the cached state with the new image of a state item', async () => {
+        await putState({ currentLevel: 1 });
+        await stateCache.getState('default');
+
+        const applied = stateCache.applyStreamRecords([
+            streamRecord('MODIFY', { pk: 'system-state', sk: 'current' }, { currentLevel: 3, version: 2 }),
+            streamRecord('INSERT', { pk: 'failure-log', sk: '2026-03-01T10:00:00.000Z#1' }, { serviceLevel: 1 })
+        ]);
+
+        assert.equal(applied, 1);
+        assert.equal((await stateCache.getState('default')).currentLevel, 3);
+        assert.equal((await stateCache.getState('default')).breakerId, 'default');
+    });
+
+    it('drops the cached state when the state item is removed', async () => {
+        await putState({ currentLevel: 1 });
+        await stateCache.getState('default');
+        await putState({ currentLevel: 2, version: 2 });
+
+        stateCache.applyStreamRecords([streamRecord('REMOVE', { pk: 'system-state', sk: 'current' })]);
+
+        assert.equal((await stateCache.getState('default')).currentLevel, 2);
+    });
+});
+
+describe('coalesced successes', () => {
+    beforeEach(() => putState({ currentLevel: 1 }));
+
+    it('writes up to the coalescing maximum in one state change', async () => {
+        await succeed();
+        await succeed();
+        assert.equal((await store.getState('default')).version, 1);
+
+        const result = await succeed();
+
+        const state = await store.getState('default');
+        assert.equal(result.state.successCount, 3);
+        assert.equal(state.successCount, 3);
+        assert.equal(state.version, 2);
+        assert.equal((await store.queryEventsSince('success-log', 'default', '1970-01-01T00:00:00.000Z')).length, 3);
+    });
+
+    it('flushes right away when the pending successes complete a recovery', async () => {
+        await putState({ currentLevel: 2, successCount: 4 });
+
+        const result = await stateCache.recordSuccess('degraded-service', 2, 100);
+
+        assert.equal(result.transitioned, true);
+        assert.equal((await store.getState('default')).currentLevel, 1);
+    });
+
+    it('flushes the successes whose window has passed', async () => {
+        mock.timers.enable({ apis: ['Date'], now: Date.now() });
+        await succeed();
+
+        await stateCache.flushExpiredSuccesses();
+        assert.equal((await store.getState('default')).successCount, 0);
+
+        mock.timers.tick(1000);
+        await stateCache.flushExpiredSuccesses();
+        assert.equal((await store.getState('default')).successCount, 1);
+    });
+
+    it('flushes the pending successes when the window ends', async () => {
+        mock.timers.enable({ apis: ['Date', 'setTimeout'], now: Date.now() });
+        await succeed();
+
+        mock.timers.tick(1000);
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.equal((await store.getState('default')).successCount, 1);
+    });
+
+    it('drops the pending successes on a failure', async () => {
+        await succeed();
+
+        await stateCache.recordFailure('full-service', 'ServiceError', 1);
+        await stateCache.flushPendingSuccesses('default');
+
+        const state = await store.getState('default');
+        assert.equal(state.failureCount, 1);
+        assert.equal(state.successCount, 0);
+    });
+
+    it('drops pending successes of a level the breaker has left', async () => {
+        await succeed();
+        await putState({ currentLevel: 2, version: 2 });
+        await stateCache.getState('default', true);
+
+        const result = await stateCache.flushPendingSuccesses('default');
+
+        assert.equal(result.transitioned, false);
+        assert.equal((await store.getState('default')).successCount, 0);
+        assert.equal((await store.getState('default')).version, 2);
+    });
+
+    it('applies probe successes right away', async () => {
+        await putState({ currentLevel: 2 });
+
+        await stateCache.recordSuccess('full-service', 1, 100, { probe: true });
+
+        assert.equal((await store.getState('default')).successCount, 1);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,169 @@
+const http = require('http');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+/**
+ * LOCAL DEVELOPMENT SERVER
+ *
+ * Serves the circuit breaker controller over HTTP on a local port, so the
+ * k6 script (reto3.js) or curl can drive level transitions on a laptop
+ * without deploying or any network access:
+ * 1. Each HTTP request becomes an API Gateway proxy event for the controller
+ * 2. The controller's "Lambda invocations" of full-service, degraded-service
+ *    and maintenance-service run in-process
+ * 3. Breaker state lives in the in-memory state store (or a JSON file)
+ * 4. CloudWatch metrics are disabled
+ *
+ * Environment variables (all optional):
+ * - PORT: Port to listen on (default 3000)
+ * - STATE_STORE: memory (default, lost on restart) or file
+ * - STATE_FILE: Snapshot file of the file store (default circuit-breaker-state.local.json)
+ * - ADMIN_API_TOKEN: Enables the /admin routes
+ * - HEALTH_PROBE_INTERVAL_SECONDS: Run the health prober this often (default 0, off)
+ * - Any transition policy variable (TRIP_MODE, HALF_OPEN_ENABLED, ...)
+ */
+
+// Local defaults, set before the Lambda modules read their configuration
+process.env.STATE_STORE = process.env.STATE_STORE || 'memory';
+process.env.METRICS_DISABLED = process.env.METRICS_DISABLED || 'true';
+
+const PORT = Number(process.env.PORT) || 3000;
+const HEALTH_PROBE_INTERVAL_SECONDS = Number(process.env.HEALTH_PROBE_INTERVAL_SECONDS) || 0;
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const controller = require(path.join(ROOT_DIR, 'circuit-breaker-controller', 'index.js'));
+const healthProber = require(path.join(ROOT_DIR, 'circuit-breaker-controller', 'health-prober.js'));
+
+// Service directory for each function name the controller invokes
+const SERVICE_DIRECTORIES = {
+    [process.env.FULL_SERVICE_FUNCTION || 'full-service']: 'full-service',
+    [process.env.DEGRADED_SERVICE_FUNCTION || 'degraded-service']: 'degraded-service',
+    [process.env.MAINTENANCE_SERVICE_FUNCTION || 'maintenance-service']: 'maintenance-service'
+};
+
+const serviceHandlers = {};
+for (const serviceDirectory of Object.values(SERVICE_DIRECTORIES)) {
+    serviceHandlers[serviceDirectory] = require(path.join(ROOT_DIR, serviceDirectory, 'index.js')).handler;
+}
+
+/**
+ * Encode a handler result like the Lambda Invoke API payload
+ */
+function encodePayload(value) {
+    return new TextEncoder().encode(JSON.stringify(value === undefined ? null : value));
+}
+
+/**
+ * Invoke a service handler in-process, mirroring the InvokeCommand output
+ *
+ * A handler that throws is reported as a function error (not a rejected
+ * invoke), exactly as Lambda reports unhandled errors.
+ */
+async function invokeLocal(functionName, serviceEvent) {
+    const serviceDirectory = SERVICE_DIRECTORIES[functionName];
+    if (!serviceDirectory) {
+        const notFoundError = new Error(`Function not found: ${functionName}`);
+        notFoundError.name = 'ResourceNotFoundException';
+        throw notFoundError;
+    }
+
+    // The real invoke serializes the event, so handlers never share objects with the controller
+    const event = JSON.parse(JSON.stringify(serviceEvent));
+
+    try {
+        const result = await serviceHandlers[serviceDirectory](event);
+        return { StatusCode: 200, Payload: encodePayload(result) };
+    } catch (error) {
+        return {
+            StatusCode: 200,
+            FunctionError: 'Unhandled',
+            Payload: encodePayload({ errorType: error.name, errorMessage: error.message })
+        };
+    }
+}
+
+/**
+ * Build an API Gateway proxy event from an HTTP request
+ */
+function toProxyEvent(request, body) {
+    const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+    const query = Object.fromEntries(url.searchParams);
+
+    return {
+        resource: url.pathname,
+        path: url.pathname,
+        httpMethod: request.method,
+        headers: request.headers,
+        queryStringParameters: Object.keys(query).length > 0 ? query : null,
+        body: body || null,
+        isBase64Encoded: false,
+        requestContext: {
+            stage: 'local',
+            requestId: randomUUID(),
+            identity: {
+                sourceIp: request.socket.remoteAddress
+            }
+        }
+    };
+}
+
+/**
+ * Read the full request body as a string
+ */
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Handle an HTTP request with the controller handler
+ */
+async function handleRequest(request, response) {
+    try {
+        const body = await readBody(request);
+        const result = await controller.handler(toProxyEvent(request, body));
+        const responseBody = result.isBase64Encoded
+            ? Buffer.from(result.body || '', 'base64')
+            : (result.body || '');
+
+        response.writeHead(result.statusCode || 200, result.headers || {});
+        response.end(responseBody);
+    } catch (error) {
+        console.error('Dev server error:', error);
+
+        response.writeHead(500, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ error: 'Dev server error', message: error.message }));
+    }
+}
+
+controller.useServiceInvoker(invokeLocal);
+healthProber.useServiceInvoker(invokeLocal);
+
+const server = http.createServer(handleRequest);
+
+// Stands in for the EventBridge schedule of the deployed health prober
+let healthProbeTimer = null;
+if (HEALTH_PROBE_INTERVAL_SECONDS > 0) {
+    healthProbeTimer = setInterval(() => {
+        healthProber.handler({ source: 'dev-server' }).catch(error => console.error('Health prober error:', error));
+    }, HEALTH_PROBE_INTERVAL_SECONDS * 1000);
+}
+
+server.listen(PORT, () => {
+    console.log(`Circuit breaker dev server listening on http://localhost:${PORT}`);
+    console.log(`State store: ${process.env.STATE_STORE}`, process.env.STATE_STORE === 'file'
+        ? `(${process.env.STATE_FILE || 'circuit-breaker-state.local.json'})`
+        : '');
+});
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        console.log(`Received ${signal}, shutting down`);
+        clearInterval(healthProbeTimer);
+        server.close(() => process.exit(0));
+    });
+}
\ No newline at end of file
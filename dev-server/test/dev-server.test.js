@@ -0,0 +1,99 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const net = require('node:net');
+const path = require('node:path');
+
+let server;
+let baseUrl;
+
+/**
+ * Find a free local port
+ */
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Start the dev server and wait until it listens
+ */
+async function startServer() {
+    const port = await getFreePort();
+    const child = spawn(process.execPath, ['index.js'], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...process.env, PORT: String(port), STATE_STORE: 'memory', ADMIN_API_TOKEN: 'dev-token' },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Dev server did not start')), 10000);
+        child.stdout.on('data', (chunk) => {
+            if (chunk.toString().includes('listening')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Dev server exited with code ${code}`));
+        });
+    });
+
+    return { child, baseUrl: `http://localhost:${port}` };
+}
+
+/**
+ * POST a k6-style payload to the dev server
+ */
+function post(requestPath, payload, headers = {}) {
+    return fetch(`${baseUrl}${requestPath}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(payload)
+    });
+}
+
+before(async () => {
+    ({ child: server, baseUrl } = await startServer());
+});
+
+after(() => {
+    server.kill();
+});
+
+describe('dev server', () => {
+    it('routes requests through the controller to the in-process services', async () => {
+        const response = await post('/', { error: false });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('x-routed-to'), 'full-service');
+        assert.equal((await response.json()).level, 1);
+    });
+
+    it('degrades after repeated service failures', async () => {
+        for (let request = 0; request < 5; request++) {
+            assert.equal((await post('/', { error: true })).status, 500);
+        }
+
+        const status = await (await fetch(`${baseUrl}/status`)).json();
+        assert.equal(status.circuitBreaker.currentLevel, 2);
+
+        const response = await post('/', { error: false });
+        assert.equal(response.headers.get('x-routed-to'), 'degraded-service');
+    });
+
+    it('serves the admin routes', async () => {
+        const response = await post('/admin/level', { level: 3, reason: 'local test' }, { 'X-Admin-Token': 'dev-token' });
+
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).circuitBreaker.currentLevel, 3);
+        assert.equal((await post('/', {})).headers.get('x-routed-to'), 'maintenance-service');
+    });
+});
\ No newline at end of file
@@ -1,27 +1,5 @@
-const { CloudWatchClient, PutMetricDataCommand } = require('@aws-sdk/client-cloudwatch');
-const cloudwatch = new CloudWatchClient({});
-
-/**
- * Publishes metrics to CloudWatch
- */
-async function publishMetric(namespace, metricName, value, dimensions) {
-    try {
-        const params = {
-            Namespace: namespace,
-            MetricData: [{
-                MetricName: metricName,
-                Value: value,
-                Unit: metricName === 'ResponseTime' ? 'Milliseconds' : 'Count',
-                Dimensions: dimensions,
-                Timestamp: new Date()
-            }]
-        };
-        
-        await cloudwatch.send(new PutMetricDataCommand(params));
-    } catch (error) {
-        console.error('Failed to publish metric:', error);
-    }
-}
+// Metrics are buffered and emitted once at the end of each invocation
+const { publishMetric, flush: flushMetrics } = require('circuit-breaker-shared/metrics');
 
 /**
  * NIVEL 1 - SERVICIO COMPLETO
@@ -134,5 +112,8 @@ exports.handler = async (event) => {
                 message: 'Full service error'
             })
         };
+    } finally {
+        // Emit the metrics buffered during this invocation
+        await flushMetrics();
     }
 };
\ No newline at end of file
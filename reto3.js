@@ -1,7 +1,8 @@
 import http from 'k6/http';
 import { sleep } from 'k6';
 
-const url = 'https://3qf6pj63m8.execute-api.us-east-1.amazonaws.com/dev/test';
+// Override with: k6 run -e TARGET_URL=http://localhost:3000/test reto3.js
+const url = __ENV.TARGET_URL || 'https://3qf6pj63m8.execute-api.us-east-1.amazonaws.com/dev/test';
 
 export const options = {
   scenarios: {
@@ -0,0 +1,1112 @@
+const transitionPolicy = require('./transition-policy');
+const stateStore = require('./state-store');
+
+const POLICY_CACHE_TTL_MS = (Number(process.env.POLICY_CACHE_TTL_SECONDS) || 60) * 1000;
+const STATE_UPDATE_MAX_ATTEMPTS = Number(process.env.STATE_UPDATE_MAX_ATTEMPTS) || 5;
+const STATE_UPDATE_RETRY_BASE_DELAY_MS = 25;
+const TRANSITION_LOG_TTL_DAYS = Number(process.env.TRANSITION_LOG_TTL_DAYS) || 90;
+const ALARM_DEDUPE_TTL_HOURS = Number(process.env.ALARM_DEDUPE_TTL_HOURS) || 24;
+const ALARM_CLAIM_LEASE_SECONDS = Number(process.env.ALARM_CLAIM_LEASE_SECONDS) || 120;
+const WINDOW_COUNTER_TTL_HOURS = 24;
+
+// Upper bounds (ms) of the latency histogram buckets; slower calls fall in a last, open bucket
+const LATENCY_HISTOGRAM_BOUNDS_MS = [
+    10, 25, 50, 75, 100, 150, 200, 300, 400, 500, 750, 1000,
+    1500, 2000, 3000, 4000, 5000, 7500, 10000, 15000, 20000, 30000, 60000
+];
+
+const DEFAULT_BREAKER_ID = stateStore.DEFAULT_BREAKER_ID;
+
+// Persistence backend (STATE_STORE), replaceable with useStateStore()
+let store = null;
+
+// Policy cached per container to avoid a read on every state change
+let cachedPolicy = null;
+let cachedPolicyExpiresAt = 0;
+
+/**
+ * Circuit Breaker State Management
+ * 
+ * Handles all state operations for the circuit breaker system:
+ * - System state tracking (current level, failure/success counts)
+ * - Failure logging with timestamps
+ * - State transitions and recovery tracking (optimistic concurrency on `version`)
+ * - Transition policy loading (env vars + optional policy item)
+ * - Transition history (one `transition-log` item per level change)
+ * 
+ * State is kept per breaker ID (e.g. per product or downstream dependency),
+ * so one flaky dependency only degrades the features that rely on it.
+ * 
+ * Persistence goes through the state store interface (state-store.js), so
+ * the same logic runs against DynamoDB in Lambda and in memory locally.
+ */
+
+/**
+ * Get the state store, creating the STATE_STORE backend on first use
+ */
+function getStateStore() {
+    if (!store) {
+        store = stateStore.createStateStore();
+    }
+    return store;
+}
+
+/**
+ * Replace the state store (e.g. an in-memory store in tests and local tools)
+ */
+function useStateStore(newStore) {
+    store = newStore;
+    cachedPolicy = null;
+    cachedPolicyExpiresAt = 0;
+}
+
+/**
+ * Get current system state of a breaker
+ */
+async function getSystemState(breakerId = DEFAULT_BREAKER_ID) {
+    try {
+        const item = await getStateStore().getState(breakerId);
+        
+        if (!item) {
+            // Initialize with default state if not exists
+            const defaultState = {
+                breakerId: breakerId,
+                currentLevel: 1,
+                failureCount: 0,
+                successCount: 0,
+                lastTransition: new Date().toISOString(),
+                lastUpdated: new Date().toISOString(),
+                transitionReason: 'Initial state'
+            };
+            
+            try {
+                // Only create the item if no concurrent invocation created it first
+                return await updateSystemState(defaultState, 0);
+            } catch (error) {
+                if (!stateStore.isVersionConflict(error)) {
+                    throw error;
+                }
+                
+                console.log('System state initialized concurrently, re-reading');
+                return await getSystemState(breakerId);
+            }
+        }
+        
+        // Items created before per-breaker state carry no breakerId
+        return { breakerId, ...item };
+    } catch (error) {
+        console.error('Error getting system state:', error);
+        throw error;
+    }
+}
+
+/**
+ * Update system state
+ * 
+ * When expectedVersion is provided the write is conditional on the stored
+ * item still having that version (0 means the item must not exist yet, or
+ * predates versioning). The written item always carries the next version.
+ */
+async function updateSystemState(stateUpdate, expectedVersion) {
+    try {
+        const breakerId = stateUpdate.breakerId || DEFAULT_BREAKER_ID;
+        const nextState = {
+            ...stateUpdate,
+            breakerId: breakerId,
+            version: (expectedVersion !== undefined ? expectedVersion : (stateUpdate.version || 0)) + 1,
+            lastUpdated: new Date().toISOString()
+        };
+        
+        const writtenState = await getStateStore().putState(breakerId, nextState, expectedVersion);
+        console.log('System state updated:', writtenState);
+        
+        return writtenState;
+    } catch (error) {
+        if (stateStore.isVersionConflict(error)) {
+            console.log('System state version conflict, expected version:', expectedVersion);
+        } else {
+            console.error('Error updating system state:', error);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Apply a change to the system state with optimistic concurrency
+ * 
+ * Reads the current state, lets `computeUpdate` derive the new state and
+ * writes it conditionally on the version that was read. If another invocation
+ * wrote in between, the change is recomputed from the fresh state, up to
+ * STATE_UPDATE_MAX_ATTEMPTS times. Each transition is therefore decided
+ * against the exact state it was evaluated on and applied exactly once.
+ * `computeUpdate` may return null to leave the state untouched.
+ */
+async function applyStateChange(breakerId, computeUpdate) {
+    for (let attempt = 1; attempt <= STATE_UPDATE_MAX_ATTEMPTS; attempt++) {
+        const currentState = await getSystemState(breakerId);
+        const updatedState = await computeUpdate(currentState);
+        
+        if (!updatedState) {
+            return currentState;
+        }
+        
+        try {
+            return await updateSystemState(updatedState, currentState.version || 0);
+        } catch (error) {
+            if (!stateStore.isVersionConflict(error)) {
+                throw error;
+            }
+            
+            if (attempt === STATE_UPDATE_MAX_ATTEMPTS) {
+                const conflictError = new Error(`System state update failed after ${attempt} attempts due to concurrent writes`);
+                conflictError.name = 'StateUpdateConflictError';
+                throw conflictError;
+            }
+            
+            // Back off with jitter so competing writers spread out
+            const delay = Math.floor(Math.random() * STATE_UPDATE_RETRY_BASE_DELAY_MS * attempt);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Claim the half-open probe slot for the current interval
+ * 
+ * Atomically sets `lastProbeAt` only if no probe was sent within the last
+ * `intervalSeconds`, so concurrent invocations send a single probe per
+ * interval. Returns true when this invocation won the slot.
+ */
+async function claimProbeSlot(intervalSeconds, breakerId = DEFAULT_BREAKER_ID) {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - (intervalSeconds * 1000)).toISOString();
+    
+    try {
+        return await getStateStore().claimProbeSlot(breakerId, now.toISOString(), cutoff);
+    } catch (error) {
+        console.error('Error claiming probe slot:', error);
+        throw error;
+    }
+}
+
+/**
+ * Claim an alarm state change for processing
+ * 
+ * SQS delivers at least once, so the same alarm notification can arrive
+ * again. The claim is a conditional write keyed on the alarm name and its
+ * StateChangeTime. It starts as a lease of ALARM_CLAIM_LEASE_SECONDS, shorter
+ * than the queue visibility timeout, so the redelivery of an invocation that
+ * died mid-processing can claim it again; completeAlarmClaim keeps it for
+ * ALARM_DEDUPE_TTL_HOURS once the alarm was processed. Returns true when this
+ * invocation won the claim, false for a duplicate.
+ */
+async function claimAlarm(alarmName, stateChangeTime) {
+    const ttl = Math.floor(Date.now() / 1000) + ALARM_CLAIM_LEASE_SECONDS;
+    
+    try {
+        return await getStateStore().claimOnce('alarm-dedupe', `${alarmName}#${stateChangeTime}`, ttl);
+    } catch (error) {
+        console.error('Error claiming alarm:', error);
+        throw error;
+    }
+}
+
+/**
+ * Keep an alarm claim for ALARM_DEDUPE_TTL_HOURS once the alarm was processed
+ */
+async function completeAlarmClaim(alarmName, stateChangeTime) {
+    const ttl = Math.floor(Date.now() / 1000) + (ALARM_DEDUPE_TTL_HOURS * 60 * 60);
+    
+    try {
+        await getStateStore().completeClaim('alarm-dedupe', `${alarmName}#${stateChangeTime}`, ttl);
+    } catch (error) {
+        console.error('Error completing alarm claim:', error);
+        throw error;
+    }
+}
+
+/**
+ * Release an alarm claim so a redelivery is processed again (after a failure)
+ */
+async function releaseAlarmClaim(alarmName, stateChangeTime) {
+    try {
+        await getStateStore().releaseClaim('alarm-dedupe', `${alarmName}#${stateChangeTime}`);
+    } catch (error) {
+        console.error('Error releasing alarm claim:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the transition policy in effect
+ *
+ * Starts from the environment policy and overlays the `pk: 'policy'` item
+ * when present. Falls back to the environment policy if the read fails so
+ * that a policy problem never blocks state updates.
+ */
+async function getTransitionPolicy() {
+    if (cachedPolicy && Date.now() < cachedPolicyExpiresAt) {
+        return cachedPolicy;
+    }
+    
+    const envPolicy = transitionPolicy.loadPolicyFromEnv();
+    
+    try {
+        const policyItem = await getStateStore().getPolicyItem();
+        cachedPolicy = transitionPolicy.mergePolicy(envPolicy, policyItem);
+    } catch (error) {
+        console.error('Error loading transition policy, using environment policy:', error);
+        cachedPolicy = envPolicy;
+    }
+    
+    cachedPolicyExpiresAt = Date.now() + POLICY_CACHE_TTL_MS;
+    return cachedPolicy;
+}
+
+/**
+ * Log a failure event
+ */
+async function logFailure(serviceType, errorType, serviceLevel, options = {}) {
+    try {
+        const item = await getStateStore().appendEvent('failure-log', options.breakerId || DEFAULT_BREAKER_ID, {
+            service: serviceType,
+            serviceLevel: serviceLevel,
+            errorType: errorType,
+            probe: Boolean(options.probe),
+            synthetic: Boolean(options.synthetic),
+            slow: Boolean(options.slow),
+            // Slow calls keep their response time for the latency percentiles
+            ...(options.responseTime !== undefined ? { responseTime: options.responseTime } : {}),
+            timestamp: new Date().toISOString(),
+            ttl: Math.floor(Date.now() / 1000) + (7 * 24 * 60 * 60) // 7 days TTL
+        });
+        console.log('Failure logged:', item);
+        
+        await countWindowCall(options.breakerId || DEFAULT_BREAKER_ID, serviceLevel, options, options.slow
+            ? { slowCalls: 1 }
+            : { [`failures:${errorType}`]: 1 }, options.responseTime);
+        
+    } catch (error) {
+        console.error('Error logging failure:', error);
+        throw error;
+    }
+}
+
+/**
+ * Log a success event
+ */
+async function logSuccess(serviceType, serviceLevel, responseTime, options = {}) {
+    try {
+        const item = await getStateStore().appendEvent('success-log', options.breakerId || DEFAULT_BREAKER_ID, {
+            service: serviceType,
+            serviceLevel: serviceLevel,
+            responseTime: responseTime,
+            probe: Boolean(options.probe),
+            synthetic: Boolean(options.synthetic),
+            timestamp: new Date().toISOString(),
+            ttl: Math.floor(Date.now() / 1000) + (7 * 24 * 60 * 60) // 7 days TTL
+        });
+        console.log('Success logged:', item);
+        
+        await countWindowCall(options.breakerId || DEFAULT_BREAKER_ID, serviceLevel, options, { successes: 1 }, responseTime);
+        
+    } catch (error) {
+        console.error('Error logging success:', error);
+        throw error;
+    }
+}
+
+/**
+ * Record a level change in the transition history
+ * 
+ * Written after the state change is committed. A failure here is logged but
+ * not rethrown, since the transition itself already took effect.
+ */
+async function logTransition(fromLevel, state, triggerSource) {
+    try {
+        const item = await getStateStore().appendEvent('transition-log', state.breakerId, {
+            eventType: 'transition',
+            breakerId: state.breakerId,
+            fromLevel: fromLevel,
+            toLevel: state.currentLevel,
+            reason: state.transitionReason,
+            triggerSource: triggerSource,
+            failureCount: state.failureCount,
+            successCount: state.successCount,
+            policyVersion: state.policyVersion || null,
+            stateVersion: state.version,
+            timestamp: new Date().toISOString(),
+            ttl: Math.floor(Date.now() / 1000) + (TRANSITION_LOG_TTL_DAYS * 24 * 60 * 60)
+        });
+        console.log('Transition logged:', item);
+        
+    } catch (error) {
+        console.error('Error logging transition:', error);
+    }
+}
+
+/**
+ * Log a suppressed transition in the transition history
+ * 
+ * Records an automatic transition an admin pin, the minimum dwell time or the
+ * cooldown blocked, as `eventType: 'suppressed'` with the level it would have
+ * moved to and until when the level is held.
+ */
+async function logSuppressedTransition(fromLevel, state, transition, triggerSource) {
+    try {
+        const item = await getStateStore().appendEvent('transition-log', state.breakerId, {
+            eventType: 'suppressed',
+            breakerId: state.breakerId,
+            fromLevel: fromLevel,
+            toLevel: transition.suppressedLevel,
+            suppressedReason: transition.suppressedReason,
+            suppressedUntil: transition.suppressedUntil,
+            triggerSource: triggerSource,
+            failureCount: state.failureCount,
+            successCount: state.successCount,
+            policyVersion: state.policyVersion || null,
+            stateVersion: state.version,
+            timestamp: new Date().toISOString(),
+            ttl: Math.floor(Date.now() / 1000) + (TRANSITION_LOG_TTL_DAYS * 24 * 60 * 60)
+        });
+        console.log('Suppressed transition logged:', item);
+        
+    } catch (error) {
+        console.error('Error logging suppressed transition:', error);
+    }
+}
+
+/**
+ * Log an alarm decision in the transition history
+ * 
+ * Records what the alarm processor did with an alarm state change (failure,
+ * recovery or ignore) next to the transitions, as `eventType: 'decision'`,
+ * whether or not the breaker changed level.
+ */
+async function logAlarmDecision(decision) {
+    try {
+        const item = await getStateStore().appendEvent('transition-log', decision.breakerId, {
+            eventType: 'decision',
+            ...decision,
+            triggerSource: 'alarm-processor',
+            timestamp: new Date().toISOString(),
+            ttl: Math.floor(Date.now() / 1000) + (TRANSITION_LOG_TTL_DAYS * 24 * 60 * 60)
+        });
+        console.log('Alarm decision logged:', item);
+        
+    } catch (error) {
+        console.error('Error logging alarm decision:', error);
+    }
+}
+
+/**
+ * Query the transition history within a time range, newest first
+ * 
+ * `cursor` is the opaque nextCursor returned by the previous page. When
+ * `breakerId` is given only that breaker's transitions are returned, so a
+ * page may hold fewer than `limit` items while more remain.
+ */
+async function getTransitionHistory({ from, to, limit = 50, cursor, breakerId } = {}) {
+    try {
+        return await getStateStore().queryTransitions({ from, to, limit, cursor, breakerId });
+    } catch (error) {
+        console.error('Error getting transition history:', error);
+        throw error;
+    }
+}
+
+/**
+ * Query a breaker's event log for events newer than the given number of minutes
+ */
+async function queryLogSince(logType, breakerId, minutesBack) {
+    const timeThreshold = new Date(Date.now() - (minutesBack * 60 * 1000)).toISOString();
+    return getStateStore().queryEventsSince(logType, breakerId, timeThreshold);
+}
+
+/**
+ * Get recent failures count within time window
+ */
+async function getRecentFailures(minutesBack = 5, breakerId = DEFAULT_BREAKER_ID) {
+    try {
+        return await queryLogSince('failure-log', breakerId, minutesBack);
+    } catch (error) {
+        console.error('Error getting recent failures:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get recent successes count within time window
+ */
+async function getRecentSuccesses(minutesBack = 5, breakerId = DEFAULT_BREAKER_ID) {
+    try {
+        return await queryLogSince('success-log', breakerId, minutesBack);
+    } catch (error) {
+        console.error('Error getting recent successes:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the minute a timestamp falls in, as the window counter key prefix
+ */
+function getCounterMinute(date) {
+    return date.toISOString().slice(0, 16);
+}
+
+/**
+ * Get the latency histogram bucket of a response time
+ */
+function getLatencyBucket(responseTime) {
+    const index = LATENCY_HISTOGRAM_BOUNDS_MS.findIndex(bound => responseTime <= bound);
+    return index === -1 ? LATENCY_HISTOGRAM_BOUNDS_MS.length : index;
+}
+
+/**
+ * Add a call to the window counters of its minute and level
+ * 
+ * The sliding-window and latency checks read these per-minute counters
+ * instead of every logged event. Synthetic health probes aren't customer
+ * calls and are left out.
+ */
+async function countWindowCall(breakerId, serviceLevel, options, increments, responseTime) {
+    if (options.synthetic) {
+        return;
+    }
+    
+    const now = new Date();
+    const latencyIncrements = typeof responseTime === 'number'
+        ? { [`latency:${getLatencyBucket(responseTime)}`]: 1 }
+        : {};
+    
+    await getStateStore().addToCounters(breakerId, `${getCounterMinute(now)}#${serviceLevel}`, {
+        calls: 1,
+        ...increments,
+        ...latencyIncrements
+    }, {
+        level: Number(serviceLevel),
+        ttl: Math.floor(now.getTime() / 1000) + (WINDOW_COUNTER_TTL_HOURS * 60 * 60)
+    });
+}
+
+/**
+ * Load the window counters of the last `minutesBack` minutes
+ * 
+ * Whole minutes are read, so the window reaches back to the start of the
+ * minute `minutesBack` ago.
+ */
+async function getWindowCounters(minutesBack, breakerId = DEFAULT_BREAKER_ID) {
+    try {
+        const since = getCounterMinute(new Date(Date.now() - (minutesBack * 60 * 1000)));
+        return await getStateStore().queryCountersSince(breakerId, since);
+    } catch (error) {
+        console.error('Error getting window counters:', error);
+        throw error;
+    }
+}
+
+/**
+ * Load the counters inside the policy window (when the policy needs them)
+ */
+async function getPolicyWindowCounters(policy, breakerId) {
+    if (!transitionPolicy.needsWindowStats(policy)) {
+        return null;
+    }
+    
+    return getWindowCounters(policy.rateWindow.windowMinutes, breakerId);
+}
+
+/**
+ * Count the window calls that were served at the given level
+ * 
+ * `failures` is weighted by the policy failureWeights and leaves slow calls
+ * (which answered) out; `slowCalls` and `total` count calls.
+ */
+function getWindowStats(windowCounters, level, policy) {
+    if (!windowCounters) {
+        return null;
+    }
+    
+    const stats = { failures: 0, slowCalls: 0, total: 0 };
+    for (const counters of windowCounters.filter(item => Number(item.level) === level)) {
+        stats.slowCalls += counters.slowCalls || 0;
+        stats.total += counters.calls || 0;
+        
+        for (const [name, count] of Object.entries(counters)) {
+            if (name.startsWith('failures:')) {
+                stats.failures += count * transitionPolicy.getFailureWeight(policy, name.slice('failures:'.length));
+            }
+        }
+    }
+    
+    return stats;
+}
+
+/**
+ * Get the sliding-window call stats at a level (null when the policy doesn't use them)
+ */
+async function getLevelWindowStats(policy, level, breakerId = DEFAULT_BREAKER_ID) {
+    return getWindowStats(await getPolicyWindowCounters(policy, breakerId), level, policy);
+}
+
+/**
+ * Get the value at a percentile of a latency histogram
+ * 
+ * Finds the bucket holding the nearest rank and interpolates linearly
+ * within it; the open last bucket reports the highest bound.
+ */
+function getPercentile(bucketCounts, count, percentile) {
+    const rank = Math.max(Math.ceil((percentile / 100) * count), 1);
+    let seen = 0;
+    
+    for (let index = 0; index < bucketCounts.length; index++) {
+        const bucketCount = bucketCounts[index];
+        if (seen + bucketCount >= rank) {
+            const lower = index === 0 ? 0 : LATENCY_HISTOGRAM_BOUNDS_MS[index - 1];
+            const upper = LATENCY_HISTOGRAM_BOUNDS_MS[index] !== undefined ? LATENCY_HISTOGRAM_BOUNDS_MS[index] : lower;
+            return Math.round(lower + ((upper - lower) * (rank - seen)) / bucketCount);
+        }
+        seen += bucketCount;
+    }
+    
+    return null;
+}
+
+/**
+ * Get the rolling p50/p95/p99 latency of each level
+ * 
+ * Computed from the latency histograms of the window counters in the policy
+ * latency window: every success, plus slow calls; synthetic health probes
+ * are left out. Returns level → { count, p50, p95, p99 }; percentiles are
+ * null when the level served no calls.
+ */
+async function getLatencyStats(policy, breakerId = DEFAULT_BREAKER_ID) {
+    const windowCounters = await getWindowCounters(policy.latency.windowMinutes, breakerId);
+    
+    const latencyStats = {};
+    for (const level of [1, 2, 3]) {
+        const bucketCounts = new Array(LATENCY_HISTOGRAM_BOUNDS_MS.length + 1).fill(0);
+        for (const counters of windowCounters.filter(item => Number(item.level) === level)) {
+            bucketCounts.forEach((bucketCount, index) => {
+                bucketCounts[index] = bucketCount + (counters[`latency:${index}`] || 0);
+            });
+        }
+        
+        const count = bucketCounts.reduce((sum, bucketCount) => sum + bucketCount, 0);
+        latencyStats[level] = {
+            count,
+            p50: count > 0 ? getPercentile(bucketCounts, count, 50) : null,
+            p95: count > 0 ? getPercentile(bucketCounts, count, 95) : null,
+            p99: count > 0 ? getPercentile(bucketCounts, count, 99) : null
+        };
+    }
+    
+    return latencyStats;
+}
+
+/**
+ * Check whether two latency breach records ({ level, since }) are the same
+ */
+function isSameLatencyBreach(breach, otherBreach) {
+    const { level, since } = breach || {};
+    const other = otherBreach || {};
+    return level === other.level && since === other.since;
+}
+
+/**
+ * Degrade the current level when its p95 latency stayed above budget
+ * 
+ * Tracks when the breach started on the state (`latencyBreach`) and degrades
+ * once it lasted the policy sustainMinutes. Only writes when the breach
+ * tracking or the level changes.
+ */
+async function evaluateLatencyBudget(latencyStats, breakerId = DEFAULT_BREAKER_ID) {
+    try {
+        const policy = await getTransitionPolicy();
+        let transition;
+        let fromLevel;
+        let logSuppression;
+        
+        const updatedState = await applyStateChange(breakerId, (currentState) => {
+            fromLevel = currentState.currentLevel;
+            
+            const evaluation = transitionPolicy.evaluateLatencyTransition(currentState, policy, latencyStats[currentState.currentLevel]);
+            transition = suppressBlockedTransition(currentState, policy, evaluation);
+            logSuppression = isNewSuppression(currentState, transition);
+            
+            // A pinned or held breach keeps its start, so it degrades as soon as the hold ends
+            const latencyBreach = transition.suppressedReason ? (currentState.latencyBreach || null) : evaluation.latencyBreach;
+            if (!transition.shouldTransition && !logSuppression && isSameLatencyBreach(latencyBreach, currentState.latencyBreach)) {
+                return null;
+            }
+            
+            const nextState = { ...currentState, latencyBreach };
+            if (logSuppression) {
+                nextState.suppressionLoggedUntil = transition.suppressedUntil;
+            }
+            
+            if (transition.shouldTransition) {
+                nextState.currentLevel = transition.newLevel;
+                nextState.lastTransition = new Date().toISOString();
+                nextState.transitionReason = transition.transitionReason;
+                nextState.policyVersion = policy.version;
+                nextState.cooldownUntil = transitionPolicy.getCooldownEnd(policy);
+                nextState.successCount = 0;
+                Object.assign(nextState, transitionPolicy.recordTrip(currentState, policy));
+            }
+            
+            return nextState;
+        });
+        
+        if (transition.shouldTransition) {
+            console.log('Latency transition triggered:', transition.transitionReason);
+            await logTransition(fromLevel, updatedState, 'latency');
+        } else if (transition.suppressedReason) {
+            console.log('Latency transition suppressed:', transition.suppressedReason);
+            if (logSuppression) {
+                await logSuppressedTransition(fromLevel, updatedState, transition, 'latency');
+            }
+        }
+        
+        return { state: updatedState, transitioned: transition.shouldTransition };
+        
+    } catch (error) {
+        console.error('Error evaluating latency budget:', error);
+        throw error;
+    }
+}
+
+/**
+ * Check whether an admin pin currently holds the circuit level
+ */
+function isPinActive(state) {
+    return Boolean(state.pin) && new Date(state.pin.expiresAt).getTime() > Date.now();
+}
+
+/**
+ * Block an automatic transition while an admin pin is active
+ */
+function suppressIfPinned(state, transition) {
+    if (!transition.shouldTransition || !isPinActive(state)) {
+        return transition;
+    }
+    
+    return {
+        shouldTransition: false,
+        newLevel: state.currentLevel,
+        transitionReason: '',
+        suppressedReason: `${transition.transitionReason} - suppressed, pinned at level ${state.pin.level} until ${state.pin.expiresAt} (${state.pin.reason})`,
+        suppressedLevel: transition.newLevel,
+        suppressedUntil: state.pin.expiresAt
+    };
+}
+
+/**
+ * Block an automatic transition while an admin pin, the minimum dwell time
+ * or the cooldown after the last transition holds the current level
+ */
+function suppressBlockedTransition(state, policy, transition) {
+    return transitionPolicy.suppressIfHeld(state, policy, suppressIfPinned(state, transition));
+}
+
+/**
+ * Check whether a suppressed transition still has to be logged
+ * 
+ * A blocked transition is evaluated again on every call while the level is
+ * held; it is logged once per hold, remembered on the state as
+ * `suppressionLoggedUntil`.
+ */
+function isNewSuppression(state, transition) {
+    return Boolean(transition.suppressedReason) && state.suppressionLoggedUntil !== transition.suppressedUntil;
+}
+
+/**
+ * Get the state fields an admin override resets
+ * 
+ * The failure and success counts and the latency breach belong to the level
+ * as it was before the override. `startCooldown` also holds the next automatic
+ * transition for the policy cooldown, so it can't undo the override right away.
+ */
+function getAdminResetFields(policy, startCooldown) {
+    const fields = { failureCount: 0, successCount: 0, latencyBreach: null };
+    if (startCooldown) {
+        fields.cooldownUntil = transitionPolicy.getCooldownEnd(policy);
+    }
+    return fields;
+}
+
+/**
+ * Force the circuit to a level (admin override)
+ * 
+ * Counters are reset so the automatic logic starts fresh at the new level,
+ * and a level change starts the cooldown.
+ * Refused while a pin is active: the pin must be released first.
+ */
+async function forceLevel(level, reason, actor, breakerId = DEFAULT_BREAKER_ID) {
+    try {
+        const policy = await getTransitionPolicy();
+        let fromLevel;
+        
+        const updatedState = await applyStateChange(breakerId, (currentState) => {
+            fromLevel = currentState.currentLevel;
+            
+            if (isPinActive(currentState)) {
+                const pinnedError = new Error(`Circuit is pinned at level ${currentState.pin.level} until ${currentState.pin.expiresAt}`);
+                pinnedError.name = 'CircuitPinnedError';
+                throw pinnedError;
+            }
+            
+            return {
+                ...currentState,
+                ...getAdminResetFields(policy, currentState.currentLevel !== level),
+                currentLevel: level,
+                lastTransition: new Date().toISOString(),
+                transitionReason: `Admin override by ${actor}: forced to level ${level} (${reason})`
+            };
+        });
+        
+        console.log('Circuit level forced:', { breakerId, level, reason, actor });
+        
+        if (fromLevel !== level) {
+            await logTransition(fromLevel, updatedState, 'admin');
+        }
+        
+        return updatedState;
+    } catch (error) {
+        console.error('Error forcing circuit level:', error);
+        throw error;
+    }
+}
+
+/**
+ * Pin the circuit at a level until expiresAt (admin override)
+ * 
+ * While the pin is active, automatic transitions are suppressed. The pin is
+ * recorded on the state item so every container and the alarm processor see it.
+ * Counters are reset as for a forced level.
+ */
+async function pinLevel(level, reason, expiresAt, actor, breakerId = DEFAULT_BREAKER_ID) {
+    try {
+        const policy = await getTransitionPolicy();
+        let fromLevel;
+        
+        const updatedState = await applyStateChange(breakerId, (currentState) => {
+            const now = new Date().toISOString();
+            fromLevel = currentState.currentLevel;
+            
+            return {
+                ...currentState,
+                ...getAdminResetFields(policy, currentState.currentLevel !== level),
+                currentLevel: level,
+                lastTransition: currentState.currentLevel !== level ? now : currentState.lastTransition,
+                transitionReason: `Admin pin by ${actor}: level ${level} until ${expiresAt} (${reason})`,
+                pin: {
+                    level,
+                    reason,
+                    expiresAt,
+                    pinnedBy: actor,
+                    pinnedAt: now
+                }
+            };
+        });
+        
+        console.log('Circuit level pinned:', updatedState.pin);
+        
+        if (fromLevel !== level) {
+            await logTransition(fromLevel, updatedState, 'admin');
+        }
+        
+        return updatedState;
+    } catch (error) {
+        console.error('Error pinning circuit level:', error);
+        throw error;
+    }
+}
+
+/**
+ * Release the admin pin so automatic transitions resume
+ * 
+ * The counts kept while pinned are reset and the cooldown starts, so the
+ * failures the pin suppressed don't trip the breaker the moment it is released.
+ */
+async function releasePin(actor, breakerId = DEFAULT_BREAKER_ID) {
+    try {
+        const policy = await getTransitionPolicy();
+        let releasedPin = null;
+        
+        const updatedState = await applyStateChange(breakerId, (currentState) => {
+            releasedPin = currentState.pin || null;
+            if (!releasedPin) {
+                return null;
+            }
+            
+            const nextState = {
+                ...currentState,
+                ...getAdminResetFields(policy, true),
+                transitionReason: `Admin pin released by ${actor} (level ${currentState.currentLevel})`
+            };
+            delete nextState.pin;
+            return nextState;
+        });
+        
+        console.log('Circuit pin released:', { breakerId, actor, releasedPin });
+        return { state: updatedState, releasedPin };
+    } catch (error) {
+        console.error('Error releasing circuit pin:', error);
+        throw error;
+    }
+}
+
+/**
+ * Check whether a probe result still applies to the current state
+ * 
+ * Probes target the level directly above the current one; a result that
+ * arrives after the level changed says nothing about the next recovery.
+ */
+function isCurrentProbe(state, serviceLevel) {
+    return Number(serviceLevel) === state.currentLevel - 1;
+}
+
+/**
+ * Check whether a result came from the level the breaker currently serves
+ * 
+ * A plain result for another level (e.g. answered just before a transition)
+ * says nothing about the current one.
+ */
+function isCurrentLevel(state, serviceLevel) {
+    return Number(serviceLevel) === state.currentLevel;
+}
+
+/**
+ * Resolve the trigger source of a counter update for the transition history
+ */
+function getTriggerSource(options) {
+    if (options.probe) {
+        return options.synthetic ? 'health-probe' : 'probe';
+    }
+    return options.source || 'unknown';
+}
+
+/**
+ * Increment failure count and check for level transition
+ * 
+ * Options:
+ * - probe: The failure came from a half-open probe of the level above. It only
+ *   breaks the recovery streak and never degrades the current level.
+ * - synthetic: The probe was a scheduled health probe, not customer traffic
+ * - source: Trigger source recorded in the transition history
+ *   (e.g. "controller", "alarm-processor")
+ * - breakerId: Breaker whose state is updated (default breaker when omitted)
+ * - slow: The call answered, but too slowly. It only counts in the slow-call
+ *   rate: it neither adds to the failure count nor breaks the recovery streak.
+ * - responseTime: Response time of a slow call, for the latency percentiles
+ * 
+ * Failures of a level other than the current one are only logged.
+ */
+async function incrementFailureCount(serviceType, errorType, serviceLevel, options = {}) {
+    try {
+        // Log the individual failure
+        await logFailure(serviceType, errorType, serviceLevel, options);
+        
+        if (options.probe) {
+            const updatedState = await applyStateChange(options.breakerId, (currentState) => {
+                if (!isCurrentProbe(currentState, serviceLevel) || options.slow) {
+                    return null;
+                }
+                
+                return { ...currentState, successCount: 0 };
+            });
+            
+            console.log('Probe failure recorded, recovery streak reset:', { serviceType, errorType });
+            return { state: updatedState, transitioned: false };
+        }
+        
+        const policy = await getTransitionPolicy();
+        const windowCounters = await getPolicyWindowCounters(policy, options.breakerId);
+        let transition;
+        let fromLevel;
+        let counted;
+        let logSuppression;
+        
+        const updatedState = await applyStateChange(options.breakerId, (currentState) => {
+            transition = { shouldTransition: false };
+            fromLevel = currentState.currentLevel;
+            logSuppression = false;
+            
+            // A failure of another level (e.g. a stale alarm) stays logged but isn't counted
+            counted = isCurrentLevel(currentState, serviceLevel);
+            if (!counted) {
+                return null;
+            }
+            
+            // Increment failure count (weighted by error type) and reset success count;
+            // slow calls only weigh in through the slow-call rate
+            const nextState = {
+                ...currentState,
+                failureCount: currentState.failureCount + (options.slow ? 0 : transitionPolicy.getFailureWeight(policy, errorType)),
+                successCount: options.slow ? currentState.successCount : 0,
+                recoveryMultiplier: transitionPolicy.getTripBackoff(currentState, policy).multiplier
+            };
+            
+            // Check for level transitions based on the policy failure thresholds or window rate
+            transition = suppressBlockedTransition(currentState, policy, transitionPolicy.evaluateFailureTransition(
+                nextState,
+                policy,
+                getWindowStats(windowCounters, nextState.currentLevel, policy)
+            ));
+            
+            logSuppression = isNewSuppression(currentState, transition);
+            if (logSuppression) {
+                nextState.suppressionLoggedUntil = transition.suppressedUntil;
+            }
+            
+            if (transition.shouldTransition) {
+                nextState.currentLevel = transition.newLevel;
+                nextState.lastTransition = new Date().toISOString();
+                nextState.transitionReason = transition.transitionReason;
+                nextState.policyVersion = policy.version;
+                nextState.cooldownUntil = transitionPolicy.getCooldownEnd(policy);
+                Object.assign(nextState, transitionPolicy.recordTrip(currentState, policy));
+            }
+            
+            return nextState;
+        });
+        
+        if (!counted) {
+            console.log('Failure not counted, breaker is at another level:', { serviceType, serviceLevel, currentLevel: updatedState.currentLevel });
+        } else if (transition.shouldTransition) {
+            console.log('Level transition triggered:', transition.transitionReason);
+            await logTransition(fromLevel, updatedState, getTriggerSource(options));
+        } else if (transition.suppressedReason) {
+            console.log('Level transition suppressed:', transition.suppressedReason);
+            if (logSuppression) {
+                await logSuppressedTransition(fromLevel, updatedState, transition, getTriggerSource(options));
+            }
+        }
+        
+        return { state: updatedState, transitioned: transition.shouldTransition };
+        
+    } catch (error) {
+        console.error('Error incrementing failure count:', error);
+        throw error;
+    }
+}
+
+/**
+ * Increment success count and check for recovery
+ * 
+ * Options:
+ * - probe: The success came from a half-open probe of the level above
+ * - synthetic: The probe was a scheduled health probe, not customer traffic
+ * - source: Trigger source recorded in the transition history
+ * - breakerId: Breaker whose state is updated (default breaker when omitted)
+ */
+async function incrementSuccessCount(serviceType, serviceLevel, responseTime, options = {}) {
+    // Log the individual success
+    await logSuccess(serviceType, serviceLevel, responseTime, options);
+    
+    return addSuccesses(serviceLevel, 1, options);
+}
+
+/**
+ * Add successes to the recovery streak and check for recovery
+ * 
+ * Lets a caller coalesce several successes into a single state write; the
+ * individual success events must already have been logged with logSuccess.
+ * Takes the same options as incrementSuccessCount.
+ */
+async function addSuccesses(serviceLevel, count, options = {}) {
+    try {
+        const policy = await getTransitionPolicy();
+        let transition;
+        let fromLevel;
+        let logSuppression;
+        
+        const updatedState = await applyStateChange(options.breakerId, (currentState) => {
+            transition = { shouldTransition: false };
+            fromLevel = currentState.currentLevel;
+            logSuppression = false;
+            
+            // While half-open, only probe results of the level above count toward recovery
+            if (!transitionPolicy.countsTowardRecovery(currentState, policy, options.probe)) {
+                return null;
+            }
+            if (options.probe ? !isCurrentProbe(currentState, serviceLevel) : !isCurrentLevel(currentState, serviceLevel)) {
+                return null;
+            }
+            
+            // Increment success count
+            const nextState = {
+                ...currentState,
+                successCount: currentState.successCount + count,
+                recoveryMultiplier: transitionPolicy.getTripBackoff(currentState, policy).multiplier
+            };
+            
+            // Check for recovery transitions based on the policy success thresholds
+            transition = suppressBlockedTransition(currentState, policy, transitionPolicy.evaluateRecoveryTransition(nextState, policy));
+            
+            logSuppression = isNewSuppression(currentState, transition);
+            if (logSuppression) {
+                nextState.suppressionLoggedUntil = transition.suppressedUntil;
+            }
+            
+            if (transition.shouldTransition) {
+                nextState.currentLevel = transition.newLevel;
+                nextState.lastTransition = new Date().toISOString();
+                nextState.transitionReason = transition.transitionReason;
+                nextState.policyVersion = policy.version;
+                nextState.cooldownUntil = transitionPolicy.getCooldownEnd(policy);
+                nextState.failureCount = 0; // Reset failure count on recovery
+                nextState.successCount = 0; // Reset success count after successful recovery
+                nextState.incidentOpen = false; // The next downgrade is a new trip
+            }
+            
+            return nextState;
+        });
+        
+        if (transition.shouldTransition) {
+            console.log('Recovery transition triggered:', transition.transitionReason);
+            await logTransition(fromLevel, updatedState, getTriggerSource(options));
+        } else if (transition.suppressedReason) {
+            console.log('Recovery transition suppressed:', transition.suppressedReason);
+            if (logSuppression) {
+                await logSuppressedTransition(fromLevel, updatedState, transition, getTriggerSource(options));
+            }
+        }
+        
+        return { state: updatedState, transitioned: transition.shouldTransition };
+        
+    } catch (error) {
+        console.error('Error incrementing success count:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    DEFAULT_BREAKER_ID,
+    useStateStore,
+    getSystemState,
+    updateSystemState,
+    getTransitionPolicy,
+    claimProbeSlot,
+    claimAlarm,
+    completeAlarmClaim,
+    releaseAlarmClaim,
+    logFailure,
+    logSuccess,
+    getRecentFailures,
+    getRecentSuccesses,
+    getLevelWindowStats,
+    getLatencyStats,
+    evaluateLatencyBudget,
+    logTransition,
+    logAlarmDecision,
+    getTransitionHistory,
+    isPinActive,
+    forceLevel,
+    pinLevel,
+    releasePin,
+    incrementFailureCount,
+    incrementSuccessCount,
+    addSuccesses
+};
\ No newline at end of file
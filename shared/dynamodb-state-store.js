@@ -0,0 +1,329 @@
+const { randomUUID } = require('crypto');
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, DeleteCommand, GetCommand, PutCommand, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+
+const stateStore = require('./state-store');
+
+/**
+ * DynamoDB State Store
+ *
+ * Keeps everything in the single STATE_TABLE (pk/sk):
+ * - Breaker state: `pk: 'system-state'`, `sk: 'current'` for the default
+ *   breaker and `sk: <breakerId>` for every other breaker
+ * - Failure/success logs: `pk: 'failure-log' | 'success-log'`, suffixed with
+ *   `#<breakerId>` for non-default breakers, `sk: <timestamp>#<uuid>`
+ * - Transition history: `pk: 'transition-log'`, `sk: <timestamp>#<uuid>`
+ * - Window counters: `pk: 'window-counters'` (suffixed like the logs),
+ *   `sk: <minute>#<level>`, one item of call counts and latency histogram
+ *   counts per minute and level
+ * - Policy override: `pk: 'policy'`, `sk: 'current'`
+ * - One-time claims: `pk: <scope>` (e.g. 'alarm-dedupe'), `sk: <key>`
+ *
+ * Expired log items are removed by the table TTL on `ttl`.
+ */
+function createDynamoDBStateStore(options = {}) {
+    const tableName = options.tableName || process.env.STATE_TABLE || 'circuit-breaker-state';
+    const dynamodb = options.client || DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+    /**
+     * Get the state item key of a breaker
+     */
+    function getStateKey(breakerId) {
+        return {
+            pk: 'system-state',
+            sk: breakerId === stateStore.DEFAULT_BREAKER_ID ? 'current' : breakerId
+        };
+    }
+
+    /**
+     * Get the partition of an event log
+     */
+    function getLogPartition(logType, breakerId) {
+        if (logType === 'transition-log' || breakerId === stateStore.DEFAULT_BREAKER_ID) {
+            return logType;
+        }
+        return `${logType}#${breakerId}`;
+    }
+
+    /**
+     * Check whether an error is a failed conditional write
+     */
+    function isConditionalCheckFailure(error) {
+        return error.name === 'ConditionalCheckFailedException';
+    }
+
+    async function getState(breakerId) {
+        const result = await dynamodb.send(new GetCommand({
+            TableName: tableName,
+            Key: getStateKey(breakerId),
+            ConsistentRead: true
+        }));
+
+        return result.Item || null;
+    }
+
+    async function putState(breakerId, state, expectedVersion) {
+        const params = {
+            TableName: tableName,
+            Item: {
+                ...state,
+                ...getStateKey(breakerId)
+            }
+        };
+
+        if (expectedVersion !== undefined) {
+            params.ExpressionAttributeNames = { '#version': 'version' };
+
+            if (expectedVersion === 0) {
+                params.ConditionExpression = 'attribute_not_exists(#version)';
+            } else {
+                params.ConditionExpression = '#version = :expectedVersion';
+                params.ExpressionAttributeValues = { ':expectedVersion': expectedVersion };
+            }
+        }
+
+        try {
+            await dynamodb.send(new PutCommand(params));
+            return params.Item;
+        } catch (error) {
+            if (isConditionalCheckFailure(error)) {
+                throw stateStore.createVersionConflictError(breakerId, expectedVersion);
+            }
+            throw error;
+        }
+    }
+
+    async function claimProbeSlot(breakerId, now, cutoff) {
+        try {
+            await dynamodb.send(new UpdateCommand({
+                TableName: tableName,
+                Key: getStateKey(breakerId),
+                UpdateExpression: 'SET lastProbeAt = :now, #version = if_not_exists(#version, :zero) + :one',
+                // Never create a partial state: a breaker with no state has nothing to probe
+                ConditionExpression: 'attribute_exists(currentLevel) AND (attribute_not_exists(lastProbeAt) OR lastProbeAt < :cutoff)',
+                ExpressionAttributeNames: { '#version': 'version' },
+                ExpressionAttributeValues: {
+                    ':now': now,
+                    ':cutoff': cutoff,
+                    ':zero': 0,
+                    ':one': 1
+                }
+            }));
+            return true;
+        } catch (error) {
+            if (isConditionalCheckFailure(error)) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async function getPolicyItem() {
+        const result = await dynamodb.send(new GetCommand({
+            TableName: tableName,
+            Key: {
+                pk: 'policy',
+                sk: 'current'
+            }
+        }));
+
+        return result.Item || null;
+    }
+
+    async function appendEvent(logType, breakerId, event) {
+        const item = {
+            pk: getLogPartition(logType, breakerId),
+            sk: `${event.timestamp}#${randomUUID()}`, // Unique even for events in the same millisecond
+            ...event
+        };
+
+        await dynamodb.send(new PutCommand({
+            TableName: tableName,
+            Item: item
+        }));
+
+        return item;
+    }
+
+    async function queryEventsSince(logType, breakerId, since) {
+        const items = [];
+        let exclusiveStartKey;
+
+        // Follow pagination so busy windows are counted completely
+        do {
+            const result = await dynamodb.send(new QueryCommand({
+                TableName: tableName,
+                KeyConditionExpression: 'pk = :pk AND sk > :threshold',
+                ExpressionAttributeValues: {
+                    ':pk': getLogPartition(logType, breakerId),
+                    ':threshold': since
+                },
+                ExclusiveStartKey: exclusiveStartKey
+            }));
+
+            items.push(...(result.Items || []));
+            exclusiveStartKey = result.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+
+        return items;
+    }
+
+    async function addToCounters(breakerId, key, increments, attributes = {}) {
+        const names = {};
+        const values = {};
+        const setClauses = [];
+        const addClauses = [];
+
+        // Counter names are free-form (e.g. "failures:Throttling"), so every name is a placeholder
+        Object.entries(attributes).forEach(([name, value], index) => {
+            names[`#a${index}`] = name;
+            values[`:a${index}`] = value;
+            setClauses.push(`#a${index} = :a${index}`);
+        });
+        Object.entries(increments).forEach(([name, value], index) => {
+            names[`#c${index}`] = name;
+            values[`:c${index}`] = value;
+            addClauses.push(`#c${index} :c${index}`);
+        });
+
+        await dynamodb.send(new UpdateCommand({
+            TableName: tableName,
+            Key: {
+                pk: getLogPartition('window-counters', breakerId),
+                sk: key
+            },
+            UpdateExpression: [
+                setClauses.length > 0 ? `SET ${setClauses.join(', ')}` : '',
+                `ADD ${addClauses.join(', ')}`
+            ].join(' ').trim(),
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: values
+        }));
+    }
+
+    async function queryCountersSince(breakerId, since) {
+        const items = [];
+        let exclusiveStartKey;
+
+        do {
+            const result = await dynamodb.send(new QueryCommand({
+                TableName: tableName,
+                KeyConditionExpression: 'pk = :pk AND sk >= :since',
+                ExpressionAttributeValues: {
+                    ':pk': getLogPartition('window-counters', breakerId),
+                    ':since': since
+                },
+                ExclusiveStartKey: exclusiveStartKey
+            }));
+
+            items.push(...(result.Items || []));
+            exclusiveStartKey = result.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+
+        return items;
+    }
+
+    async function queryTransitions({ from, to, limit, cursor, breakerId }) {
+        const params = {
+            TableName: tableName,
+            KeyConditionExpression: 'pk = :pk AND sk BETWEEN :from AND :to',
+            ExpressionAttributeValues: {
+                ':pk': 'transition-log',
+                ':from': from || '0000',
+                // Sort keys carry a "#id" suffix, so extend the upper bound past it
+                ':to': `${to || '9999'}\uffff`
+            },
+            ScanIndexForward: false,
+            Limit: limit
+        };
+
+        if (breakerId) {
+            // Transitions logged before per-breaker state belong to the default breaker
+            params.FilterExpression = breakerId === stateStore.DEFAULT_BREAKER_ID
+                ? 'breakerId = :breakerId OR attribute_not_exists(breakerId)'
+                : 'breakerId = :breakerId';
+            params.ExpressionAttributeValues[':breakerId'] = breakerId;
+        }
+
+        if (cursor) {
+            params.ExclusiveStartKey = stateStore.decodeCursor(cursor);
+        }
+
+        const result = await dynamodb.send(new QueryCommand(params));
+
+        return {
+            transitions: result.Items || [],
+            nextCursor: result.LastEvaluatedKey ? stateStore.encodeCursor(result.LastEvaluatedKey) : null
+        };
+    }
+
+    async function claimOnce(scope, key, ttl) {
+        try {
+            await dynamodb.send(new PutCommand({
+                TableName: tableName,
+                Item: {
+                    pk: scope,
+                    sk: key,
+                    claimedAt: new Date().toISOString(),
+                    ttl
+                },
+                // TTL deletion lags, so an expired claim counts as released
+                ConditionExpression: 'attribute_not_exists(pk) OR #ttl < :now',
+                ExpressionAttributeNames: { '#ttl': 'ttl' },
+                ExpressionAttributeValues: { ':now': Math.floor(Date.now() / 1000) }
+            }));
+            return true;
+        } catch (error) {
+            if (isConditionalCheckFailure(error)) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async function completeClaim(scope, key, ttl) {
+        await dynamodb.send(new UpdateCommand({
+            TableName: tableName,
+            Key: {
+                pk: scope,
+                sk: key
+            },
+            UpdateExpression: 'SET #ttl = :ttl, completedAt = :now',
+            ExpressionAttributeNames: { '#ttl': 'ttl' },
+            ExpressionAttributeValues: {
+                ':ttl': ttl,
+                ':now': new Date().toISOString()
+            }
+        }));
+    }
+
+    async function releaseClaim(scope, key) {
+        await dynamodb.send(new DeleteCommand({
+            TableName: tableName,
+            Key: {
+                pk: scope,
+                sk: key
+            }
+        }));
+    }
+
+    return {
+        type: 'dynamodb',
+        getState,
+        putState,
+        claimProbeSlot,
+        getPolicyItem,
+        appendEvent,
+        queryEventsSince,
+        addToCounters,
+        queryCountersSince,
+        queryTransitions,
+        claimOnce,
+        completeClaim,
+        releaseClaim
+    };
+}
+
+module.exports = {
+    createDynamoDBStateStore
+};
\ No newline at end of file
@@ -0,0 +1,85 @@
+/**
+ * Lambda Helpers
+ *
+ * Small helpers every Lambda needs the same way:
+ * - parseJsonEnv: Read a JSON environment variable, falling back to a default
+ *   when it is unset or invalid
+ * - parseBreakerMapEnv: Read a JSON map of keys to breaker IDs, leaving out
+ *   entries whose breaker ID is reserved
+ * - withTimeout: Run a call that takes an abort signal, failing with a
+ *   TimeoutError (errorType 'TimeoutError') when it doesn't answer in time
+ *
+ * Shared by every Lambda through the SharedModulesLayer layer.
+ */
+
+const stateStore = require('./state-store');
+
+/**
+ * Parse a JSON environment variable (the default when unset or invalid)
+ */
+function parseJsonEnv(name, defaultValue = {}) {
+    const rawValue = process.env[name];
+    if (!rawValue) {
+        return defaultValue;
+    }
+
+    try {
+        return JSON.parse(rawValue);
+    } catch (error) {
+        console.error(`Invalid JSON in ${name}, ignoring:`, error.message);
+        return defaultValue;
+    }
+}
+
+/**
+ * Parse a JSON map of keys to breaker IDs (e.g. BREAKER_ROUTES)
+ *
+ * An entry mapping to a reserved breaker ID (see state-store.js) would share
+ * the default breaker's state item, so it is left out with an error logged.
+ */
+function parseBreakerMapEnv(name) {
+    const breakerMap = {};
+
+    for (const [key, breakerId] of Object.entries(parseJsonEnv(name))) {
+        if (stateStore.isReservedBreakerId(breakerId)) {
+            console.error(`Reserved breaker ID "${breakerId}" in ${name}, ignoring ${key}`);
+            continue;
+        }
+        breakerMap[key] = breakerId;
+    }
+
+    return breakerMap;
+}
+
+/**
+ * Run `call(abortSignal)`, failing with a TimeoutError after `timeoutMs`
+ *
+ * The signal is aborted with the same error, so a call that honours it
+ * stops; the late answer of one that doesn't is ignored. `target` names
+ * what was called in the error message.
+ */
+async function withTimeout(target, timeoutMs, call) {
+    const abortController = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const timeoutError = new Error(`No answer from ${target} within ${timeoutMs}ms`);
+            timeoutError.name = 'TimeoutError';
+            timeoutError.errorType = 'TimeoutError';
+            abortController.abort(timeoutError);
+            reject(timeoutError);
+        }, timeoutMs);
+    });
+
+    try {
+        return await Promise.race([call(abortController.signal), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+module.exports = {
+    parseJsonEnv,
+    parseBreakerMapEnv,
+    withTimeout
+};
\ No newline at end of file
@@ -0,0 +1,235 @@
+const { randomUUID } = require('crypto');
+const fs = require('fs');
+
+const stateStore = require('./state-store');
+
+/**
+ * In-Memory State Store
+ *
+ * Implements the state-store interface with process-local Maps so the
+ * breaker logic runs in local tests and tools without AWS or DynamoDB Local.
+ * State is not shared between processes and is lost on exit.
+ *
+ * Items are copied on every read and write, like a real store, so callers
+ * can never mutate stored state in place. Events past their `ttl` (epoch
+ * seconds) are skipped by queries.
+ *
+ * Options:
+ * - policyItem: Initial transition policy override (same shape as the
+ *   DynamoDB `pk: 'policy'` item)
+ * - filePath: Snapshot every change to this JSON file and load it on start,
+ *   so state survives restarts of a local process (STATE_STORE=file)
+ */
+function createMemoryStateStore(options = {}) {
+    const states = new Map();
+    const eventLogs = new Map();
+    const claims = new Map();
+    const counters = new Map();
+    let policyItem = options.policyItem ? structuredClone(options.policyItem) : null;
+
+    if (options.filePath && fs.existsSync(options.filePath)) {
+        const snapshot = JSON.parse(fs.readFileSync(options.filePath, 'utf8'));
+        Object.entries(snapshot.states || {}).forEach(([breakerId, state]) => states.set(breakerId, state));
+        Object.entries(snapshot.eventLogs || {}).forEach(([logKey, events]) => eventLogs.set(logKey, events));
+        Object.entries(snapshot.claims || {}).forEach(([claimKey, ttl]) => claims.set(claimKey, ttl));
+        Object.entries(snapshot.counters || {}).forEach(([counterKey, item]) => counters.set(counterKey, item));
+        policyItem = snapshot.policyItem || policyItem;
+    }
+
+    /**
+     * Write the snapshot file (file-backed stores only)
+     *
+     * Written to a temporary file first so a crash never leaves a torn snapshot.
+     */
+    function persist() {
+        if (!options.filePath) {
+            return;
+        }
+
+        const snapshot = {
+            states: Object.fromEntries(states),
+            eventLogs: Object.fromEntries(eventLogs),
+            claims: Object.fromEntries(claims),
+            counters: Object.fromEntries(counters),
+            policyItem
+        };
+        const tempPath = `${options.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+        fs.renameSync(tempPath, options.filePath);
+    }
+
+    /**
+     * Get the event array of a log, creating it on first use
+     */
+    function getEventLog(logType, breakerId) {
+        // The transition history is one log shared by all breakers
+        const logKey = logType === 'transition-log' ? logType : `${logType}#${breakerId}`;
+        if (!eventLogs.has(logKey)) {
+            eventLogs.set(logKey, []);
+        }
+        return eventLogs.get(logKey);
+    }
+
+    /**
+     * Check whether an event has passed its TTL
+     */
+    function isExpired(event) {
+        return event.ttl !== undefined && event.ttl * 1000 <= Date.now();
+    }
+
+    async function getState(breakerId) {
+        return states.has(breakerId) ? structuredClone(states.get(breakerId)) : null;
+    }
+
+    async function putState(breakerId, state, expectedVersion) {
+        const storedState = states.get(breakerId);
+
+        if (expectedVersion !== undefined) {
+            const storedVersion = storedState ? storedState.version : undefined;
+            const matches = expectedVersion === 0
+                ? storedVersion === undefined
+                : storedVersion === expectedVersion;
+
+            if (!matches) {
+                throw stateStore.createVersionConflictError(breakerId, expectedVersion);
+            }
+        }
+
+        states.set(breakerId, structuredClone(state));
+        persist();
+        return structuredClone(state);
+    }
+
+    async function claimProbeSlot(breakerId, now, cutoff) {
+        // Never create a partial state: a breaker with no state has nothing to probe
+        const storedState = states.get(breakerId);
+        if (!storedState || (storedState.lastProbeAt && storedState.lastProbeAt >= cutoff)) {
+            return false;
+        }
+
+        states.set(breakerId, {
+            ...storedState,
+            lastProbeAt: now,
+            version: (storedState.version || 0) + 1
+        });
+        persist();
+        return true;
+    }
+
+    async function getPolicyItem() {
+        return policyItem ? structuredClone(policyItem) : null;
+    }
+
+    async function appendEvent(logType, breakerId, event) {
+        const item = {
+            sk: `${event.timestamp}#${randomUUID()}`,
+            ...structuredClone(event)
+        };
+
+        // Keep the log sorted by sk like a DynamoDB partition
+        const eventLog = getEventLog(logType, breakerId);
+        let index = eventLog.length;
+        while (index > 0 && eventLog[index - 1].sk > item.sk) {
+            index--;
+        }
+        eventLog.splice(index, 0, item);
+        persist();
+
+        return structuredClone(item);
+    }
+
+    async function queryEventsSince(logType, breakerId, since) {
+        return getEventLog(logType, breakerId)
+            .filter(event => event.sk > since && !isExpired(event))
+            .map(event => structuredClone(event));
+    }
+
+    async function addToCounters(breakerId, key, increments, attributes = {}) {
+        const counterKey = `${breakerId}#${key}`;
+        const item = { ...(counters.get(counterKey) || { breakerId, sk: key }), ...structuredClone(attributes) };
+
+        for (const [name, value] of Object.entries(increments)) {
+            item[name] = (item[name] || 0) + value;
+        }
+
+        counters.set(counterKey, item);
+        persist();
+    }
+
+    async function queryCountersSince(breakerId, since) {
+        return [...counters.values()]
+            .filter(item => item.breakerId === breakerId && item.sk >= since && !isExpired(item))
+            .sort((a, b) => (a.sk < b.sk ? -1 : 1))
+            .map(item => structuredClone(item));
+    }
+
+    async function queryTransitions({ from, to, limit, cursor, breakerId }) {
+        const lowerBound = from || '0000';
+        const upperBound = `${to || '9999'}\uffff`;
+        const startAfter = cursor ? stateStore.decodeCursor(cursor).sk : null;
+
+        const matching = getEventLog('transition-log')
+            .filter(event => event.sk >= lowerBound && event.sk <= upperBound && !isExpired(event))
+            .filter(event => !breakerId || (event.breakerId || stateStore.DEFAULT_BREAKER_ID) === breakerId)
+            .reverse()
+            .filter(event => !startAfter || event.sk < startAfter);
+
+        const transitions = matching.slice(0, limit).map(event => structuredClone(event));
+        const hasMore = matching.length > transitions.length;
+
+        return {
+            transitions,
+            nextCursor: hasMore ? stateStore.encodeCursor({ sk: transitions[transitions.length - 1].sk }) : null
+        };
+    }
+
+    async function claimOnce(scope, key, ttl) {
+        const claimKey = `${scope}#${key}`;
+        if (claims.has(claimKey) && !isExpired({ ttl: claims.get(claimKey) })) {
+            return false;
+        }
+
+        claims.set(claimKey, ttl);
+        persist();
+        return true;
+    }
+
+    async function completeClaim(scope, key, ttl) {
+        claims.set(`${scope}#${key}`, ttl);
+        persist();
+    }
+
+    async function releaseClaim(scope, key) {
+        claims.delete(`${scope}#${key}`);
+        persist();
+    }
+
+    /**
+     * Replace the stored transition policy override (null removes it)
+     */
+    function setPolicyItem(item) {
+        policyItem = item ? structuredClone(item) : null;
+        persist();
+    }
+
+    return {
+        type: 'memory',
+        getState,
+        putState,
+        claimProbeSlot,
+        getPolicyItem,
+        appendEvent,
+        queryEventsSince,
+        addToCounters,
+        queryCountersSince,
+        queryTransitions,
+        claimOnce,
+        completeClaim,
+        releaseClaim,
+        setPolicyItem
+    };
+}
+
+module.exports = {
+    createMemoryStateStore
+};
\ No newline at end of file
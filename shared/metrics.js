@@ -0,0 +1,206 @@
+/**
+ * Metrics Recorder
+ *
+ * Buffers CloudWatch metrics during a Lambda invocation and emits them once
+ * when the handler calls flush(), instead of one PutMetricData call per
+ * metric on the request path. Namespaces, metric names and dimensions are
+ * passed through unchanged.
+ *
+ * METRICS_MODE selects how buffered metrics are emitted:
+ * - emf (default): CloudWatch Embedded Metric Format log lines, extracted
+ *   from the function logs by CloudWatch with no API call
+ * - putmetricdata: One batched PutMetricData call per namespace
+ * - off: Dropped (also when METRICS_DISABLED=true, e.g. the dev server)
+ *
+ * Shared by every Lambda through the SharedModulesLayer layer.
+ */
+
+const METRICS_MODES = ['emf', 'putmetricdata', 'off'];
+
+// CloudWatch limits per EMF document and per PutMetricData request
+const EMF_MAX_METRICS_PER_DOCUMENT = 100;
+const EMF_MAX_VALUES_PER_METRIC = 100;
+const PUT_METRIC_DATA_MAX_ITEMS = 1000;
+
+let bufferedMetrics = [];
+let cloudwatch = null;
+
+/**
+ * Get the configured metrics mode
+ */
+function getMetricsMode() {
+    if (process.env.METRICS_DISABLED === 'true') {
+        return 'off';
+    }
+
+    const mode = (process.env.METRICS_MODE || 'emf').toLowerCase();
+    if (!METRICS_MODES.includes(mode)) {
+        console.warn(`Unknown metrics mode ${mode}, using emf`);
+        return 'emf';
+    }
+
+    return mode;
+}
+
+/**
+ * Get the unit of a metric (response times and latency percentiles are milliseconds, the rest counts)
+ */
+function getUnit(metricName) {
+    return metricName === 'ResponseTime' || metricName.startsWith('Latency') ? 'Milliseconds' : 'Count';
+}
+
+/**
+ * Record a metric to be emitted at the end of the invocation
+ *
+ * Keeps the signature of the former per-function publishMetric helpers.
+ * Resolves immediately; nothing is sent until flush().
+ */
+async function publishMetric(namespace, metricName, value, dimensions = []) {
+    bufferedMetrics.push({
+        namespace,
+        metricName,
+        value,
+        unit: getUnit(metricName),
+        dimensions: dimensions || [],
+        timestamp: new Date()
+    });
+}
+
+/**
+ * Emit every buffered metric and clear the buffer
+ *
+ * Errors are logged and never thrown, so metrics can't fail a request.
+ */
+async function flush() {
+    const metrics = bufferedMetrics;
+    bufferedMetrics = [];
+
+    if (metrics.length === 0) {
+        return;
+    }
+
+    try {
+        const mode = getMetricsMode();
+        if (mode === 'emf') {
+            writeEmfDocuments(metrics);
+        } else if (mode === 'putmetricdata') {
+            await sendPutMetricData(metrics);
+        }
+    } catch (error) {
+        console.error('Failed to publish metrics:', error);
+    }
+}
+
+/**
+ * Group metrics that can share an EMF document or PutMetricData request
+ */
+function groupBy(metrics, getKey) {
+    const groups = new Map();
+    for (const metric of metrics) {
+        const key = getKey(metric);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(metric);
+    }
+    return [...groups.values()];
+}
+
+/**
+ * Write the metrics as Embedded Metric Format log lines
+ *
+ * Dimension values are top-level properties of an EMF document, so one
+ * document is written per namespace and dimension set. Repeated metrics in
+ * a document are emitted as a value array; values past the per-metric limit
+ * continue in further documents so none are dropped.
+ */
+function writeEmfDocuments(metrics) {
+    const groups = groupBy(metrics, metric => JSON.stringify([metric.namespace, metric.dimensions]));
+
+    for (const group of groups) {
+        const valuesByName = new Map();
+
+        for (const metric of group) {
+            if (!valuesByName.has(metric.metricName)) {
+                valuesByName.set(metric.metricName, { unit: metric.unit, values: [] });
+            }
+            valuesByName.get(metric.metricName).values.push(metric.value);
+        }
+
+        // Round n holds the n-th slice of EMF_MAX_VALUES_PER_METRIC values of each metric
+        const rounds = [];
+        for (const [name, { unit, values }] of valuesByName) {
+            for (let start = 0; start < values.length; start += EMF_MAX_VALUES_PER_METRIC) {
+                const round = start / EMF_MAX_VALUES_PER_METRIC;
+                rounds[round] = rounds[round] || [];
+                rounds[round].push({ name, unit, values: values.slice(start, start + EMF_MAX_VALUES_PER_METRIC) });
+            }
+        }
+
+        for (const roundMetrics of rounds) {
+            for (let start = 0; start < roundMetrics.length; start += EMF_MAX_METRICS_PER_DOCUMENT) {
+                writeEmfDocument(group[0], roundMetrics.slice(start, start + EMF_MAX_METRICS_PER_DOCUMENT));
+            }
+        }
+    }
+}
+
+/**
+ * Write one EMF document for the namespace and dimensions of `sample`
+ */
+function writeEmfDocument(sample, documentMetrics) {
+    const { namespace, dimensions } = sample;
+    const document = {
+        _aws: {
+            Timestamp: sample.timestamp.getTime(),
+            CloudWatchMetrics: [{
+                Namespace: namespace,
+                Dimensions: [dimensions.map(dimension => dimension.Name)],
+                Metrics: documentMetrics.map(metric => ({ Name: metric.name, Unit: metric.unit }))
+            }]
+        }
+    };
+
+    for (const dimension of dimensions) {
+        document[dimension.Name] = dimension.Value;
+    }
+    for (const metric of documentMetrics) {
+        document[metric.name] = metric.values.length === 1 ? metric.values[0] : metric.values;
+    }
+
+    // EMF documents must be written as a single line to stdout
+    process.stdout.write(`${JSON.stringify(document)}\n`);
+}
+
+/**
+ * Send the metrics with one PutMetricData request per namespace
+ */
+async function sendPutMetricData(metrics) {
+    // Required lazily so EMF mode and local runs never load the SDK
+    const { CloudWatchClient, PutMetricDataCommand } = require('@aws-sdk/client-cloudwatch');
+    if (!cloudwatch) {
+        cloudwatch = new CloudWatchClient({});
+    }
+
+    for (const group of groupBy(metrics, metric => metric.namespace)) {
+        for (let start = 0; start < group.length; start += PUT_METRIC_DATA_MAX_ITEMS) {
+            const params = {
+                Namespace: group[0].namespace,
+                MetricData: group.slice(start, start + PUT_METRIC_DATA_MAX_ITEMS).map(metric => ({
+                    MetricName: metric.metricName,
+                    Value: metric.value,
+                    Unit: metric.unit,
+                    Dimensions: metric.dimensions,
+                    Timestamp: metric.timestamp
+                }))
+            };
+
+            await cloudwatch.send(new PutMetricDataCommand(params));
+        }
+    }
+}
+
+module.exports = {
+    publishMetric,
+    flush
+};
\ No newline at end of file
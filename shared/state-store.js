@@ -0,0 +1,115 @@
+/**
+ * State Store
+ *
+ * Persistence interface used by the circuit breaker logic in
+ * dynamodb-operations.js. The backend is chosen with STATE_STORE:
+ * - dynamodb (default): STATE_TABLE, shared by every Lambda container
+ * - memory: process-local Maps, for local tests and tools without AWS
+ * - file: the memory store snapshotted to STATE_FILE, so local state
+ *   survives restarts (single process only)
+ *
+ * A store is a plain object with these async methods:
+ * - getState(breakerId): State item of a breaker, or null when missing
+ * - putState(breakerId, state, expectedVersion): Write the state item. When
+ *   expectedVersion is given the write only succeeds if the stored version
+ *   still matches (0 = item must not exist yet); otherwise it throws a
+ *   StateVersionConflictError. Returns the written item.
+ * - claimProbeSlot(breakerId, now, cutoff): Atomically set `lastProbeAt` to
+ *   `now` if it is unset or older than `cutoff`. Returns true when claimed,
+ *   false when the slot is taken or the breaker has no state yet.
+ * - getPolicyItem(): Stored transition policy override, or null
+ * - appendEvent(logType, breakerId, event): Append an event with a unique,
+ *   time-ordered `sk` to "failure-log", "success-log" or "transition-log"
+ * - queryEventsSince(logType, breakerId, since): Events of a breaker logged
+ *   after the ISO timestamp `since`, oldest first
+ * - addToCounters(breakerId, key, increments, attributes): Atomically add
+ *   each `increments` value to the counter of that name on the `key` item
+ *   (missing counters start at 0) and set `attributes` (e.g. `ttl`)
+ * - queryCountersSince(breakerId, since): Counter items of a breaker whose
+ *   key is `since` or later, in key order
+ * - queryTransitions({ from, to, limit, cursor, breakerId }): Page of the
+ *   transition history, newest first, as { transitions, nextCursor }
+ * - claimOnce(scope, key, ttl): Atomically record `key` in `scope` unless it
+ *   is already recorded and its `ttl` (epoch seconds) hasn't passed. Returns
+ *   true when this call recorded it (used to skip redelivered messages).
+ * - completeClaim(scope, key, ttl): Keep a claimed key until the new `ttl`
+ *   once the claimed work is done
+ * - releaseClaim(scope, key): Forget a claimed key so it can be claimed again
+ */
+
+// Breaker used when a request or alarm does not map to a specific one
+const DEFAULT_BREAKER_ID = 'default';
+
+// Breaker IDs that would collide with the DynamoDB key of the default breaker's state (`sk: 'current'`)
+const RESERVED_BREAKER_IDS = ['current'];
+
+const STATE_STORE_TYPES = ['dynamodb', 'memory', 'file'];
+
+/**
+ * Create the state store selected by `type` (defaults to STATE_STORE)
+ *
+ * Backends are required lazily so the memory store works without the AWS SDK.
+ */
+function createStateStore(type = process.env.STATE_STORE || 'dynamodb', options = {}) {
+    if (type === 'dynamodb') {
+        return require('./dynamodb-state-store').createDynamoDBStateStore(options);
+    }
+    if (type === 'memory') {
+        return require('./memory-state-store').createMemoryStateStore(options);
+    }
+    if (type === 'file') {
+        return require('./memory-state-store').createMemoryStateStore({
+            ...options,
+            filePath: options.filePath || process.env.STATE_FILE || 'circuit-breaker-state.local.json'
+        });
+    }
+
+    throw new Error(`Unknown state store ${type}, expected one of: ${STATE_STORE_TYPES.join(', ')}`);
+}
+
+/**
+ * Build the error thrown when a conditional state write loses to another writer
+ */
+function createVersionConflictError(breakerId, expectedVersion) {
+    const conflictError = new Error(`State of breaker ${breakerId} changed since version ${expectedVersion}`);
+    conflictError.name = 'StateVersionConflictError';
+    return conflictError;
+}
+
+/**
+ * Check whether an error is a lost conditional state write
+ */
+function isVersionConflict(error) {
+    return error.name === 'StateVersionConflictError';
+}
+
+/**
+ * Encode a store pagination key as an opaque cursor
+ */
+function encodeCursor(key) {
+    return Buffer.from(JSON.stringify(key)).toString('base64');
+}
+
+/**
+ * Check whether a breaker ID is reserved and can't name a breaker
+ */
+function isReservedBreakerId(breakerId) {
+    return RESERVED_BREAKER_IDS.includes(breakerId);
+}
+
+/**
+ * Decode a cursor produced by encodeCursor (throws SyntaxError when malformed)
+ */
+function decodeCursor(cursor) {
+    return JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+}
+
+module.exports = {
+    DEFAULT_BREAKER_ID,
+    isReservedBreakerId,
+    createStateStore,
+    createVersionConflictError,
+    isVersionConflict,
+    encodeCursor,
+    decodeCursor
+};
\ No newline at end of file
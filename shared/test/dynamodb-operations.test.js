@@ -0,0 +1,672 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ops = require('../dynamodb-operations');
+const stateStore = require('../state-store');
+
+// Every state change is logged; keep the test output readable
+['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+let store;
+
+/**
+ * Use a fresh memory store, optionally with a transition policy override
+ */
+function useMemoryStore(policyItem) {
+    store = stateStore.createStateStore('memory', { policyItem });
+    ops.useStateStore(store);
+    return store;
+}
+
+beforeEach(() => useMemoryStore());
+
+/**
+ * Store the state of a breaker, filling in empty counters
+ */
+function putState(state, breakerId = 'default') {
+    return store.putState(breakerId, { breakerId, failureCount: 0, successCount: 0, version: 1, ...state });
+}
+
+/**
+ * Record a failure of `serviceLevel`
+ */
+function fail(serviceLevel) {
+    return ops.incrementFailureCount('full-service', 'ServiceError', serviceLevel);
+}
+
+/**
+ * Record a success of `serviceLevel`
+ */
+function succeed(serviceLevel) {
+    return ops.incrementSuccessCount('full-service', serviceLevel, 100);
+}
+
+/**
+ * Transitions recorded in the history so far, newest first
+ */
+async function loggedTransitions() {
+    return (await store.queryTransitions({ limit: 100 })).transitions;
+}
+
+describe('transition policy', () => {
+    it('degrades with the thresholds of the stored policy item and records its version', async () => {
+        useMemoryStore({ version: 'prod-v7', failureThresholds: { 1: 2 } });
+
+        await fail(1);
+        assert.equal((await ops.getSystemState()).currentLevel, 1);
+        await fail(1);
+
+        const state = await ops.getSystemState();
+        assert.equal(state.currentLevel, 2);
+        assert.equal(state.policyVersion, 'prod-v7');
+    });
+
+    it('recovers with the policy success thresholds and resets the counters', async () => {
+        useMemoryStore({ version: 'v1', successThresholds: { 3: 2 } });
+        await putState({ currentLevel: 3, failureCount: 12 });
+
+        await succeed(3);
+        await succeed(3);
+
+        const state = await ops.getSystemState();
+        assert.equal(state.currentLevel, 2);
+        assert.equal(state.failureCount, 0);
+        assert.equal(state.successCount, 0);
+    });
+
+    it('falls back to the environment policy when the policy item cannot be read', async () => {
+        store.getPolicyItem = async () => {
+            throw new Error('Network error');
+        };
+
+        const policy = await ops.getTransitionPolicy();
+
+        assert.equal(policy.source, 'env');
+        assert.equal(policy.failureThresholds[1], 5);
+    });
+
+    it('caches the policy per container', async () => {
+        await ops.getTransitionPolicy();
+        store.setPolicyItem({ version: 'v2', failureThresholds: { 1: 1 } });
+
+        assert.equal((await ops.getTransitionPolicy()).source, 'env');
+    });
+});
+
+describe('level of the result', () => {
+    it('only logs failures of a level the breaker is not serving', async () => {
+        await putState({ currentLevel: 2, successCount: 2 });
+
+        const result = await fail(1);
+
+        assert.equal(result.transitioned, false);
+        assert.equal(result.state.failureCount, 0);
+        assert.equal(result.state.successCount, 2);
+        assert.equal((await ops.getRecentFailures(1)).length, 1);
+    });
+});
+
+describe('failure weights', () => {
+    it('counts throttled failures at their policy weight', async () => {
+        await ops.incrementFailureCount('full-service', 'Throttled', 1);
+        await ops.incrementFailureCount('full-service', 'Throttled', 1);
+
+        assert.equal((await ops.getSystemState()).failureCount, 1);
+    });
+
+    it('weighs the window failures in rate mode', async () => {
+        useMemoryStore({
+            version: 'rate-v1',
+            tripMode: 'rate',
+            failureWeights: { Throttled: 0 },
+            rateWindow: { windowMinutes: 5, minimumCalls: 2, failureRateThresholds: { 1: 0.5 } }
+        });
+
+        await ops.incrementFailureCount('full-service', 'Throttled', 1);
+        const result = await ops.incrementFailureCount('full-service', 'Throttled', 1);
+
+        assert.equal(result.transitioned, false);
+        assert.deepEqual(await ops.getLevelWindowStats(await ops.getTransitionPolicy(), 1), { failures: 0, slowCalls: 0, total: 2 });
+    });
+});
+
+describe('slow calls', () => {
+    beforeEach(() => useMemoryStore({
+        version: 'slow-v1',
+        rateWindow: { windowMinutes: 5, minimumCalls: 4 },
+        slowCall: { thresholdsMs: { 1: 1000 }, rateThresholds: { 1: 0.5 } }
+    }));
+
+    /**
+     * Record a slow answer of Level 1
+     */
+    function slow() {
+        return ops.incrementFailureCount('full-service', 'SlowCall', 1, { slow: true });
+    }
+
+    it('degrades once the share of slow calls in the window exceeds the rate', async () => {
+        await succeed(1);
+        await slow();
+        await slow();
+        // 2 of 4 calls were slow, at the threshold
+        assert.equal((await succeed(1)).transitioned, false);
+
+        const trip = await slow();
+        assert.equal(trip.transitioned, true);
+        assert.match(trip.state.transitionReason, /slow-call rate 60\.0%/);
+    });
+
+    it('flags slow failures in the failure log', async () => {
+        await slow();
+
+        const [failure] = await ops.getRecentFailures(1);
+        assert.equal(failure.slow, true);
+    });
+
+    it('neither counts slow calls as failures nor breaks the recovery streak', async () => {
+        await putState({ currentLevel: 2, successCount: 2 });
+
+        const result = await ops.incrementFailureCount('degraded-service', 'SlowCall', 2, { slow: true });
+
+        assert.equal(result.state.failureCount, 0);
+        assert.equal(result.state.successCount, 2);
+        assert.deepEqual(await ops.getLevelWindowStats(await ops.getTransitionPolicy(), 2), { failures: 0, slowCalls: 1, total: 1 });
+    });
+});
+
+describe('latency budget', () => {
+    beforeEach(() => useMemoryStore({
+        version: 'latency-v1',
+        latency: { windowMinutes: 5, minimumCalls: 4, sustainMinutes: 3, p95BudgetsMs: { 1: 500 } }
+    }));
+
+    /**
+     * Log successes of Level 1 with the given response times
+     */
+    async function logResponseTimes(responseTimes) {
+        for (const responseTime of responseTimes) {
+            await ops.logSuccess('full-service', 1, responseTime);
+        }
+    }
+
+    it('computes the percentiles per level from the latency histogram, including slow calls', async () => {
+        await logResponseTimes([100, 200, 300, 400]);
+        await ops.incrementFailureCount('full-service', 'SlowCall', 1, { slow: true, responseTime: 5000 });
+
+        const latencyStats = await ops.getLatencyStats(await ops.getTransitionPolicy());
+
+        assert.deepEqual(latencyStats[1], { count: 5, p50: 300, p95: 5000, p99: 5000 });
+        assert.deepEqual(latencyStats[2], { count: 0, p50: null, p95: null, p99: null });
+    });
+
+    it('interpolates within a histogram bucket and leaves synthetic probes out', async () => {
+        await logResponseTimes([110, 120, 130, 140]);
+        await ops.logSuccess('full-service', 1, 60000, { probe: true, synthetic: true });
+
+        const latencyStats = await ops.getLatencyStats(await ops.getTransitionPolicy());
+
+        // All four calls fall in the 100-150ms bucket
+        assert.deepEqual(latencyStats[1], { count: 4, p50: 125, p95: 150, p99: 150 });
+    });
+
+    it('tracks the breach start, then degrades once the breach is sustained', async () => {
+        await logResponseTimes([900, 900, 900, 900]);
+        const latencyStats = await ops.getLatencyStats(await ops.getTransitionPolicy());
+
+        const first = await ops.evaluateLatencyBudget(latencyStats);
+        assert.equal(first.transitioned, false);
+        assert.equal(first.state.latencyBreach.level, 1);
+
+        const since = new Date(Date.now() - 4 * 60 * 1000).toISOString();
+        await putState({ currentLevel: 1, latencyBreach: { level: 1, since }, version: first.state.version + 1 });
+
+        const second = await ops.evaluateLatencyBudget(latencyStats);
+        assert.equal(second.transitioned, true);
+        assert.equal(second.state.currentLevel, 2);
+        assert.equal((await loggedTransitions())[0].triggerSource, 'latency');
+    });
+
+    it('does not write the state while nothing changed', async () => {
+        await logResponseTimes([100, 100, 100, 100]);
+        await ops.getSystemState();
+
+        await ops.evaluateLatencyBudget(await ops.getLatencyStats(await ops.getTransitionPolicy()));
+
+        assert.equal((await store.getState('default')).version, 1);
+    });
+});
+
+describe('rate mode', () => {
+    beforeEach(() => useMemoryStore({
+        version: 'rate-v1',
+        tripMode: 'rate',
+        rateWindow: { windowMinutes: 5, minimumCalls: 4, failureRateThresholds: { 1: 0.5, 2: 0.5 } }
+    }));
+
+    it('degrades once the window failure rate exceeds the threshold', async () => {
+        await succeed(1);
+        await succeed(1);
+        // 1 of 3 calls failed, below the minimum call volume
+        assert.equal((await fail(1)).transitioned, false);
+        // 2 of 4 calls failed, at the threshold
+        assert.equal((await fail(1)).transitioned, false);
+
+        const trip = await fail(1);
+        assert.equal(trip.transitioned, true);
+        assert.equal(trip.state.currentLevel, 2);
+    });
+
+    it('only counts the calls inside the window', async () => {
+        const oldMinute = new Date(Date.now() - 10 * 60 * 1000).toISOString().slice(0, 16);
+        await store.addToCounters('default', `${oldMinute}#1`, { calls: 4, 'failures:ServiceError': 4 }, { level: 1 });
+
+        const result = await fail(1);
+
+        assert.equal(result.transitioned, false);
+        assert.equal(result.state.currentLevel, 1);
+    });
+});
+
+describe('half-open probing', () => {
+    beforeEach(async () => {
+        useMemoryStore({
+            version: 'probe-v1',
+            successThresholds: { 2: 2 },
+            halfOpen: { enabled: true, probePercentage: 100, probeIntervalSeconds: 0 }
+        });
+        await putState({ currentLevel: 2, failureCount: 5 });
+    });
+
+    /**
+     * Record a probe result for Level 1 while the breaker serves Level 2
+     */
+    function probe(succeeded, serviceLevel = 1) {
+        return succeeded
+            ? ops.incrementSuccessCount('full-service', serviceLevel, 100, { probe: true })
+            : ops.incrementFailureCount('full-service', 'ServiceError', serviceLevel, { probe: true });
+    }
+
+    it('only recovers on probe successes of the level above', async () => {
+        await succeed(2);
+        await succeed(2);
+        assert.equal((await ops.getSystemState()).successCount, 0);
+
+        await probe(true);
+        const recovery = await probe(true);
+
+        assert.equal(recovery.transitioned, true);
+        assert.equal(recovery.state.currentLevel, 1);
+    });
+
+    it('ignores probe results for a level that is no longer above the current one', async () => {
+        const result = await probe(true, 2);
+
+        assert.equal(result.transitioned, false);
+        assert.equal(result.state.successCount, 0);
+    });
+
+    it('resets the recovery streak on a probe failure without degrading', async () => {
+        await probe(true);
+        const result = await probe(false);
+
+        assert.equal(result.transitioned, false);
+        assert.equal(result.state.currentLevel, 2);
+        assert.equal(result.state.successCount, 0);
+        assert.equal(result.state.failureCount, 5);
+    });
+
+    it('grants a single probe slot per interval', async () => {
+        assert.equal(await ops.claimProbeSlot(60), true);
+        assert.equal(await ops.claimProbeSlot(60), false);
+        assert.ok((await store.getState('default')).lastProbeAt);
+    });
+});
+
+describe('admin pin', () => {
+    /**
+     * Store a state with a pin expiring `minutesFromNow` minutes from now
+     */
+    function putPinnedState(minutesFromNow) {
+        const expiresAt = new Date(Date.now() + minutesFromNow * 60 * 1000).toISOString();
+        return putState({
+            currentLevel: 1,
+            failureCount: 4,
+            pin: { level: 1, reason: 'release freeze', expiresAt, pinnedBy: 'oncall' }
+        });
+    }
+
+    it('suppresses automatic transitions while the pin is active', async () => {
+        await putPinnedState(30);
+
+        const result = await fail(1);
+
+        assert.equal(result.transitioned, false);
+        assert.equal(result.state.currentLevel, 1);
+    });
+
+    it('resumes automatic transitions once the pin expired', async () => {
+        await putPinnedState(-1);
+
+        const result = await fail(1);
+
+        assert.equal(result.transitioned, true);
+        assert.equal(result.state.currentLevel, 2);
+    });
+
+    it('refuses to force a level while pinned', async () => {
+        await putPinnedState(30);
+
+        await assert.rejects(ops.forceLevel(3, 'test', 'oncall'), { name: 'CircuitPinnedError' });
+    });
+
+    it('resets the counters and starts the cooldown when forcing another level', async () => {
+        await putState({ currentLevel: 1, failureCount: 4, successCount: 2, latencyBreach: { level: 1, since: new Date().toISOString() } });
+
+        const state = await ops.forceLevel(2, 'test', 'oncall');
+
+        assert.equal(state.failureCount, 0);
+        assert.equal(state.successCount, 0);
+        assert.equal(state.latencyBreach, null);
+        assert.ok(new Date(state.cooldownUntil) > new Date());
+        assert.equal((await fail(2)).transitioned, false);
+    });
+
+    it('resets the counts kept while pinned and starts the cooldown on release', async () => {
+        await putPinnedState(30);
+
+        const { state } = await ops.releasePin('oncall');
+
+        assert.equal(state.failureCount, 0);
+        assert.equal(state.pin, undefined);
+        assert.ok(new Date(state.cooldownUntil) > new Date());
+        assert.equal((await fail(1)).state.currentLevel, 1);
+    });
+
+    it('records a suppressed transition once while the pin holds', async () => {
+        await putPinnedState(30);
+
+        await fail(1);
+        await fail(1);
+
+        const [suppressed, ...others] = await loggedTransitions();
+        assert.equal(others.length, 0);
+        assert.equal(suppressed.eventType, 'suppressed');
+        assert.equal(suppressed.fromLevel, 1);
+        assert.equal(suppressed.toLevel, 2);
+        assert.match(suppressed.suppressedReason, /pinned at level 1/);
+    });
+});
+
+describe('level holds', () => {
+    it('starts a cooldown on every transition and holds the next one until it ends', async () => {
+        useMemoryStore({ version: 'v1', failureThresholds: { 1: 1, 2: 1 } });
+
+        await fail(1);
+        const degraded = await ops.getSystemState();
+        assert.equal(degraded.currentLevel, 2);
+        assert.ok(new Date(degraded.cooldownUntil) > new Date());
+
+        const result = await fail(2);
+        assert.equal(result.transitioned, false);
+        assert.equal(result.state.currentLevel, 2);
+
+        await putState({ ...result.state, cooldownUntil: new Date(Date.now() - 1000).toISOString() });
+        assert.equal((await fail(2)).state.currentLevel, 3);
+    });
+
+    it('records a held transition once per hold', async () => {
+        useMemoryStore({ version: 'v1', failureThresholds: { 1: 1, 2: 1 } });
+
+        await fail(1);
+        await fail(2);
+        await fail(2);
+
+        const events = await loggedTransitions();
+        assert.deepEqual(events.map(event => event.eventType).sort(), ['suppressed', 'transition']);
+        const suppressed = events.find(event => event.eventType === 'suppressed');
+        assert.equal(suppressed.fromLevel, 2);
+        assert.equal(suppressed.toLevel, 3);
+        assert.equal(suppressed.suppressedUntil, (await ops.getSystemState()).cooldownUntil);
+        assert.match(suppressed.suppressedReason, /suppressed, cooldown after the last transition/);
+    });
+
+    it('holds a recovery until the level reached its minimum dwell time', async () => {
+        useMemoryStore({ version: 'v1', successThresholds: { 3: 1 }, dwell: { minimumSeconds: { 3: 60 } } });
+        await putState({ currentLevel: 3, lastTransition: new Date(Date.now() - 30 * 1000).toISOString() });
+
+        assert.equal((await succeed(3)).state.currentLevel, 3);
+
+        await putState({ currentLevel: 3, lastTransition: new Date(Date.now() - 60 * 1000).toISOString() });
+        assert.equal((await succeed(3)).state.currentLevel, 2);
+    });
+});
+
+describe('recovery backoff', () => {
+    it('records every trip and backs off the recovery after repeated trips', async () => {
+        useMemoryStore({
+            version: 'v1',
+            failureThresholds: { 1: 1 },
+            successThresholds: { 2: 2 },
+            dwell: { minimumSeconds: { 2: 0 }, cooldownSeconds: 0 },
+            backoff: { multiplier: 2, maxMultiplier: 8, tripWindowMinutes: 60, appliesTo: 'successes' }
+        });
+        await putState({ currentLevel: 1, tripHistory: [new Date(Date.now() - 10 * 60000).toISOString()] });
+
+        await fail(1);
+
+        const state = await ops.getSystemState();
+        assert.equal(state.currentLevel, 2);
+        assert.equal(state.tripHistory.length, 2);
+        assert.equal(state.recoveryMultiplier, 2);
+
+        await succeed(2);
+        await succeed(2);
+        assert.equal((await ops.getSystemState()).currentLevel, 2);
+        await succeed(2);
+        await succeed(2);
+        assert.match((await ops.getSystemState()).transitionReason, /threshold 4, trip backoff x2/);
+    });
+
+    it('opens one trip per incident and closes it on recovery', async () => {
+        useMemoryStore({
+            version: 'v1',
+            failureThresholds: { 1: 1, 2: 1 },
+            successThresholds: { 3: 1 },
+            dwell: { minimumSeconds: { 3: 0 }, cooldownSeconds: 0 }
+        });
+
+        await fail(1);
+        await fail(2);
+
+        const state = await ops.getSystemState();
+        assert.equal(state.currentLevel, 3);
+        assert.equal(state.tripHistory.length, 1);
+        assert.equal(state.incidentOpen, true);
+
+        await succeed(3);
+        assert.equal((await ops.getSystemState()).incidentOpen, false);
+    });
+});
+
+describe('transition history', () => {
+    it('records each level change with its trigger source', async () => {
+        await putState({ currentLevel: 1, failureCount: 4 });
+
+        await ops.incrementFailureCount('full-service', 'ServiceError', 1, { source: 'controller' });
+
+        const [transition] = await loggedTransitions();
+        assert.equal(transition.eventType, 'transition');
+        assert.equal(transition.fromLevel, 1);
+        assert.equal(transition.toLevel, 2);
+        assert.equal(transition.triggerSource, 'controller');
+        assert.equal(transition.stateVersion, 2);
+        assert.match(transition.reason, /Transition 1→2/);
+    });
+
+    it('does not record counter updates without a level change', async () => {
+        await fail(1);
+        await succeed(1);
+
+        assert.equal((await loggedTransitions()).length, 0);
+    });
+
+    it('records admin overrides', async () => {
+        await ops.forceLevel(3, 'maintenance window', 'oncall');
+
+        const [transition] = await loggedTransitions();
+        assert.equal(transition.triggerSource, 'admin');
+        assert.equal(transition.toLevel, 3);
+    });
+
+    it('keeps the transition when the history write fails', async () => {
+        await putState({ currentLevel: 1, failureCount: 4 });
+        const appendEvent = store.appendEvent;
+        store.appendEvent = async (logType, breakerId, event) => {
+            if (logType === 'transition-log') {
+                throw new Error('Network error');
+            }
+            return appendEvent(logType, breakerId, event);
+        };
+
+        const result = await fail(1);
+
+        assert.equal(result.transitioned, true);
+        assert.equal((await store.getState('default')).currentLevel, 2);
+    });
+});
+
+describe('per-breaker state', () => {
+    /**
+     * Record a failure of `serviceLevel` on the given breaker
+     */
+    function failBreaker(breakerId, serviceLevel) {
+        return ops.incrementFailureCount('full-service', 'ServiceError', serviceLevel, { breakerId });
+    }
+
+    it('trips one breaker without touching the others', async () => {
+        for (let failure = 0; failure < 5; failure++) {
+            await failBreaker('transfers', 1);
+        }
+        await failBreaker('payments', 1);
+
+        assert.equal((await ops.getSystemState('transfers')).currentLevel, 2);
+        assert.equal((await ops.getSystemState('payments')).failureCount, 1);
+        assert.equal((await ops.getSystemState()).failureCount, 0);
+    });
+
+    it('reports the breaker of items written before per-breaker state', async () => {
+        await store.putState('default', { currentLevel: 2, failureCount: 0, successCount: 0 });
+
+        assert.equal((await ops.getSystemState()).breakerId, 'default');
+    });
+
+    it('filters the transition history by breaker', async () => {
+        await ops.forceLevel(3, 'test', 'oncall', 'transfers');
+        await ops.forceLevel(2, 'test', 'oncall');
+
+        const { transitions } = await ops.getTransitionHistory({ breakerId: 'transfers' });
+
+        assert.equal(transitions.length, 1);
+        assert.equal(transitions[0].breakerId, 'transfers');
+    });
+});
+
+describe('versioned state writes', () => {
+    /**
+     * Let another writer bump the failure count right before each of the
+     * next `concurrentWrites` conditional updates
+     */
+    function contendStore(concurrentWrites) {
+        const putState = store.putState;
+        let remainingWrites = concurrentWrites;
+
+        store.putState = async (breakerId, state, expectedVersion) => {
+            if (expectedVersion > 0 && remainingWrites > 0) {
+                remainingWrites--;
+                const storedState = await store.getState(breakerId);
+                await putState(breakerId, {
+                    ...storedState,
+                    failureCount: storedState.failureCount + 1,
+                    version: storedState.version + 1
+                }, storedState.version);
+            }
+            return putState(breakerId, state, expectedVersion);
+        };
+    }
+
+    it('creates the state at version 1 and bumps the version on every write', async () => {
+        assert.equal((await ops.getSystemState()).version, 1);
+
+        await fail(1);
+        await succeed(1);
+
+        assert.equal((await store.getState('default')).version, 3);
+    });
+
+    it('re-reads the state when another invocation created it first', async () => {
+        const putState = store.putState;
+        store.putState = async (breakerId, state, expectedVersion) => {
+            if (expectedVersion === 0) {
+                await putState(breakerId, { ...state, currentLevel: 2, version: 1 });
+            }
+            return putState(breakerId, state, expectedVersion);
+        };
+
+        const state = await ops.getSystemState();
+
+        assert.equal(state.currentLevel, 2);
+        assert.equal(state.version, 1);
+    });
+
+    it('recomputes the change from the fresh state after a lost write', async () => {
+        await ops.getSystemState();
+        contendStore(2);
+
+        const result = await fail(1);
+
+        // The two concurrent failures and this one are all counted
+        assert.equal(result.state.failureCount, 3);
+        assert.equal(result.state.version, 4);
+    });
+
+    it('gives up after the maximum number of attempts', async () => {
+        await ops.getSystemState();
+        contendStore(Infinity);
+
+        await assert.rejects(fail(1), { name: 'StateUpdateConflictError' });
+    });
+
+    it('does not retry other write errors', async () => {
+        await ops.getSystemState();
+        store.putState = mock.fn(async () => {
+            const throttlingError = new Error('Rate exceeded');
+            throttlingError.name = 'ProvisionedThroughputExceededException';
+            throw throttlingError;
+        });
+
+        await assert.rejects(fail(1), { name: 'ProvisionedThroughputExceededException' });
+        assert.equal(store.putState.mock.callCount(), 1);
+    });
+});
+
+describe('coalesced successes', () => {
+    it('adds several successes in one state write without logging them again', async () => {
+        await putState({ currentLevel: 3, successCount: 1 });
+
+        const result = await ops.addSuccesses(3, 2);
+
+        assert.equal(result.transitioned, true);
+        assert.equal(result.state.currentLevel, 2);
+        assert.equal((await store.getState('default')).version, 2);
+        assert.equal((await store.queryEventsSince('success-log', 'default', '1970-01-01T00:00:00.000Z')).length, 0);
+    });
+
+    it('ignores successes of a level the breaker no longer serves', async () => {
+        await putState({ currentLevel: 2, successCount: 1 });
+
+        const result = await ops.addSuccesses(1, 2);
+
+        assert.equal(result.state.successCount, 1);
+        assert.equal((await store.getState('default')).version, 1);
+    });
+});
\ No newline at end of file
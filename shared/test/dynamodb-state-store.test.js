@@ -0,0 +1,174 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createDynamoDBStateStore } = require('../dynamodb-state-store');
+const { createFakeTable } = require('./fake-dynamodb');
+
+let fakeTable;
+let store;
+
+beforeEach(() => {
+    fakeTable = createFakeTable();
+    store = createDynamoDBStateStore({ tableName: 'test-table', client: fakeTable });
+});
+
+describe('state items', () => {
+    it('keys the default breaker as sk "current" and other breakers by their ID', async () => {
+        await store.putState('default', { breakerId: 'default', currentLevel: 1, version: 1 });
+        await store.putState('transfers', { breakerId: 'transfers', currentLevel: 3, version: 1 });
+
+        assert.equal(fakeTable.getItem('system-state', 'current').currentLevel, 1);
+        assert.equal(fakeTable.getItem('system-state', 'transfers').currentLevel, 3);
+        assert.equal((await store.getState('transfers')).currentLevel, 3);
+        assert.equal(await store.getState('payments'), null);
+    });
+
+    it('only writes over the expected version', async () => {
+        await store.putState('default', { currentLevel: 1, version: 1 }, 0);
+
+        await assert.rejects(store.putState('default', { currentLevel: 1, version: 1 }, 0), { name: 'StateVersionConflictError' });
+        await assert.rejects(store.putState('default', { currentLevel: 2, version: 3 }, 2), { name: 'StateVersionConflictError' });
+
+        await store.putState('default', { currentLevel: 2, version: 2 }, 1);
+        assert.equal(fakeTable.getItem('system-state', 'current').currentLevel, 2);
+    });
+
+    it('passes other write errors through', async () => {
+        const throttlingError = new Error('Rate exceeded');
+        throttlingError.name = 'ProvisionedThroughputExceededException';
+        fakeTable.failNext('PutCommand', throttlingError);
+
+        await assert.rejects(store.putState('default', { version: 1 }, 0), { name: 'ProvisionedThroughputExceededException' });
+    });
+
+    it('claims the probe slot once per interval', async () => {
+        const now = new Date().toISOString();
+        const cutoff = new Date(Date.now() - 60 * 1000).toISOString();
+
+        await store.putState('default', { currentLevel: 2, version: 1 });
+
+        assert.equal(await store.claimProbeSlot('default', now, cutoff), true);
+        assert.equal(await store.claimProbeSlot('default', now, cutoff), false);
+        assert.equal(fakeTable.getItem('system-state', 'current').version, 2);
+    });
+
+    it('does not claim a probe slot for a breaker without state', async () => {
+        const now = new Date().toISOString();
+
+        assert.equal(await store.claimProbeSlot('transfers', now, now), false);
+        assert.equal(fakeTable.getItem('system-state', 'transfers'), undefined);
+    });
+
+    it('reads the policy override item', async () => {
+        assert.equal(await store.getPolicyItem(), null);
+
+        fakeTable.putItem({ pk: 'policy', sk: 'current', version: 'prod-v7' });
+        assert.equal((await store.getPolicyItem()).version, 'prod-v7');
+    });
+});
+
+describe('event logs', () => {
+    it('keeps the unsuffixed partitions for the default breaker and the transition log', async () => {
+        const timestamp = new Date().toISOString();
+        await store.appendEvent('failure-log', 'default', { timestamp });
+        await store.appendEvent('failure-log', 'transfers', { timestamp });
+        await store.appendEvent('transition-log', 'transfers', { timestamp, breakerId: 'transfers' });
+
+        const partitions = [...fakeTable.items.values()].map(item => item.pk).sort();
+        assert.deepEqual(partitions, ['failure-log', 'failure-log#transfers', 'transition-log']);
+    });
+
+    it('queries the events of a breaker since a timestamp', async () => {
+        await store.appendEvent('success-log', 'transfers', { timestamp: '2026-03-01T10:00:00.000Z' });
+        await store.appendEvent('success-log', 'transfers', { timestamp: '2026-03-01T11:00:00.000Z' });
+        await store.appendEvent('success-log', 'payments', { timestamp: '2026-03-01T11:00:00.000Z' });
+
+        const events = await store.queryEventsSince('success-log', 'transfers', '2026-03-01T10:30:00.000Z');
+
+        assert.deepEqual(events.map(event => event.timestamp), ['2026-03-01T11:00:00.000Z']);
+    });
+
+    it('pages through the transitions of a breaker newest first', async () => {
+        for (const [hour, breakerId] of [[10, 'transfers'], [11, 'payments'], [12, 'transfers'], [13, 'transfers']]) {
+            await store.appendEvent('transition-log', breakerId, { breakerId, timestamp: `2026-03-01T${hour}:00:00.000Z` });
+        }
+
+        const firstPage = await store.queryTransitions({ limit: 2 });
+        assert.deepEqual(firstPage.transitions.map(item => item.timestamp), ['2026-03-01T13:00:00.000Z', '2026-03-01T12:00:00.000Z']);
+
+        const secondPage = await store.queryTransitions({ limit: 2, cursor: firstPage.nextCursor });
+        assert.deepEqual(secondPage.transitions.map(item => item.timestamp), ['2026-03-01T11:00:00.000Z', '2026-03-01T10:00:00.000Z']);
+
+        const payments = await store.queryTransitions({ limit: 10, breakerId: 'payments' });
+        assert.deepEqual(payments.transitions.map(item => item.breakerId), ['payments']);
+    });
+
+    it('counts transitions without a breaker ID toward the default breaker', async () => {
+        fakeTable.putItem({ pk: 'transition-log', sk: '2026-03-01T10:00:00.000Z#legacy', timestamp: '2026-03-01T10:00:00.000Z' });
+
+        const { transitions } = await store.queryTransitions({ limit: 10, breakerId: 'default' });
+
+        assert.equal(transitions.length, 1);
+    });
+});
+
+describe('window counters', () => {
+    it('adds to the counters of a minute and sets its attributes', async () => {
+        await store.addToCounters('transfers', '2026-03-01T10:00#1', { calls: 1, 'failures:Throttled': 1 }, { level: 1, ttl: 100 });
+        await store.addToCounters('transfers', '2026-03-01T10:00#1', { calls: 1, successes: 1 }, { level: 1, ttl: 200 });
+
+        assert.deepEqual(fakeTable.getItem('window-counters#transfers', '2026-03-01T10:00#1'), {
+            pk: 'window-counters#transfers',
+            sk: '2026-03-01T10:00#1',
+            level: 1,
+            ttl: 200,
+            calls: 2,
+            'failures:Throttled': 1,
+            successes: 1
+        });
+    });
+
+    it('queries the counters of a breaker from a minute on', async () => {
+        await store.addToCounters('default', '2026-03-01T09:59#1', { calls: 1 });
+        await store.addToCounters('default', '2026-03-01T10:01#2', { calls: 1 });
+        await store.addToCounters('default', '2026-03-01T10:00#1', { calls: 1 });
+        await store.addToCounters('transfers', '2026-03-01T10:00#1', { calls: 1 });
+
+        const counters = await store.queryCountersSince('default', '2026-03-01T10:00');
+
+        assert.deepEqual(counters.map(item => item.sk), ['2026-03-01T10:00#1', '2026-03-01T10:01#2']);
+        assert.equal(counters[0].pk, 'window-counters');
+    });
+});
+
+describe('one-time claims', () => {
+    const inOneHour = () => Math.floor(Date.now() / 1000) + 60 * 60;
+
+    it('grants a key once until it is released', async () => {
+        assert.equal(await store.claimOnce('alarm-dedupe', 'errors#2026-03-01T10:00:00.000+0000', inOneHour()), true);
+        assert.equal(await store.claimOnce('alarm-dedupe', 'errors#2026-03-01T10:00:00.000+0000', inOneHour()), false);
+        assert.ok(fakeTable.getItem('alarm-dedupe', 'errors#2026-03-01T10:00:00.000+0000').claimedAt);
+
+        await store.releaseClaim('alarm-dedupe', 'errors#2026-03-01T10:00:00.000+0000');
+
+        assert.equal(await store.claimOnce('alarm-dedupe', 'errors#2026-03-01T10:00:00.000+0000', inOneHour()), true);
+    });
+
+    it('keeps a completed claim until its new ttl', async () => {
+        const inOneMinute = Math.floor(Date.now() / 1000) + 60;
+        await store.claimOnce('alarm-dedupe', 'errors#1', inOneMinute);
+
+        const ttl = inOneHour();
+        await store.completeClaim('alarm-dedupe', 'errors#1', ttl);
+
+        const claim = fakeTable.getItem('alarm-dedupe', 'errors#1');
+        assert.equal(claim.ttl, ttl);
+        assert.ok(claim.completedAt);
+    });
+
+    it('grants a key again once its claim expired', async () => {
+        fakeTable.putItem({ pk: 'alarm-dedupe', sk: 'errors#1', ttl: Math.floor(Date.now() / 1000) - 1 });
+
+        assert.equal(await store.claimOnce('alarm-dedupe', 'errors#1', inOneHour()), true);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,289 @@
+const { mock } = require('node:test');
+
+/**
+ * Fake DynamoDB Table
+ *
+ * In-process stand-in for STATE_TABLE, passed to the DynamoDB state store
+ * as its document `client`.
+ * Understands the subset of expressions this repository uses: key
+ * conditions (=, <, >, BETWEEN, begins_with), conditions with AND / OR /
+ * NOT / attribute_exists / attribute_not_exists, SET updates with
+ * if_not_exists and +, and numeric ADD updates.
+ *
+ * `failNext(commandName, error, pk)` makes the next command of that type
+ * (optionally only on partition `pk`) throw and `beforeNext(commandName, run, pk)`
+ * runs a callback right before it (to simulate a concurrent writer).
+ */
+function createFakeTable() {
+    const items = new Map();
+    const failures = [];
+    const callbacks = [];
+
+    const getKey = (key) => JSON.stringify([key.pk, key.sk]);
+
+    async function send(command) {
+        const name = command.constructor.name;
+        const input = structuredClone(command.input);
+
+        const key = input.Key || input.Item || {};
+        const matches = (entry) => entry.commandName === name && (!entry.pk || entry.pk === key.pk);
+
+        const failureIndex = failures.findIndex(matches);
+        if (failureIndex !== -1) {
+            const [failure] = failures.splice(failureIndex, 1);
+            throw failure.error;
+        }
+
+        const callbackIndex = callbacks.findIndex(matches);
+        if (callbackIndex !== -1) {
+            const [callback] = callbacks.splice(callbackIndex, 1);
+            await callback.run();
+        }
+
+        if (name === 'GetCommand') {
+            const item = items.get(getKey(input.Key));
+            return { Item: item ? structuredClone(item) : undefined };
+        }
+        if (name === 'PutCommand') {
+            checkCondition(items.get(getKey(input.Item)), input);
+            items.set(getKey(input.Item), input.Item);
+            return {};
+        }
+        if (name === 'UpdateCommand') {
+            const item = items.get(getKey(input.Key));
+            checkCondition(item, input);
+            const updatedItem = applyUpdate({ ...input.Key, ...item }, input);
+            items.set(getKey(input.Key), updatedItem);
+            return { Attributes: input.ReturnValues ? structuredClone(updatedItem) : undefined };
+        }
+        if (name === 'DeleteCommand') {
+            checkCondition(items.get(getKey(input.Key)), input);
+            items.delete(getKey(input.Key));
+            return {};
+        }
+        if (name === 'QueryCommand') {
+            return query(input);
+        }
+
+        throw new Error(`Fake table does not support ${name}`);
+    }
+
+    function query(input) {
+        let matches = [...items.values()]
+            .filter(item => evaluate(parse(input.KeyConditionExpression), item, input))
+            .sort(compareSortKeys);
+        if (input.ScanIndexForward === false) {
+            matches.reverse();
+        }
+        if (input.ExclusiveStartKey) {
+            const start = matches.findIndex(item => getKey(item) === getKey(input.ExclusiveStartKey));
+            matches = matches.slice(start + 1);
+        }
+
+        let lastEvaluatedKey;
+        if (input.Limit !== undefined && matches.length > input.Limit) {
+            matches = matches.slice(0, input.Limit);
+            const last = matches[matches.length - 1];
+            lastEvaluatedKey = { pk: last.pk, sk: last.sk };
+        }
+        if (input.FilterExpression) {
+            matches = matches.filter(item => evaluate(parse(input.FilterExpression), item, input));
+        }
+
+        return { Items: structuredClone(matches), LastEvaluatedKey: lastEvaluatedKey };
+    }
+
+    return {
+        items,
+        send: mock.fn(send),
+        getItem: (pk, sk) => items.get(getKey({ pk, sk })),
+        putItem: (item) => items.set(getKey(item), structuredClone(item)),
+        failNext: (commandName, error, pk) => failures.push({ commandName, error, pk }),
+        beforeNext: (commandName, run, pk) => callbacks.push({ commandName, run, pk })
+    };
+}
+
+// Sort keys are compared by code unit like DynamoDB does, not by locale
+function compareSortKeys(a, b) {
+    const left = String(a.sk);
+    const right = String(b.sk);
+    if (left === right) {
+        return 0;
+    }
+    return left < right ? -1 : 1;
+}
+
+function checkCondition(item, input) {
+    if (input.ConditionExpression && !evaluate(parse(input.ConditionExpression), item || {}, input)) {
+        const error = new Error('The conditional request failed');
+        error.name = 'ConditionalCheckFailedException';
+        throw error;
+    }
+}
+
+function applyUpdate(item, input) {
+    const [setPart, addClause] = input.UpdateExpression.split(/\bADD\s+/i);
+    const setClause = setPart.replace(/^\s*SET\s+/i, '').trim();
+    if (setClause) {
+        for (const assignment of splitTopLevel(setClause, ',')) {
+            const [target, expression] = assignment.split(/=(.*)/s).map(part => part.trim());
+            item[resolveName(target, input)] = evaluateValue(parse(expression), item, input);
+        }
+    }
+    if (addClause) {
+        for (const addition of splitTopLevel(addClause, ',')) {
+            const [target, placeholder] = addition.trim().split(/\s+/);
+            const name = resolveName(target, input);
+            item[name] = (item[name] || 0) + input.ExpressionAttributeValues[placeholder];
+        }
+    }
+    return item;
+}
+
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+        if (char === '(') {
+            depth++;
+        }
+        if (char === ')') {
+            depth--;
+        }
+        if (char === separator && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+function resolveName(token, input) {
+    return token.startsWith('#') ? input.ExpressionAttributeNames[token] : token;
+}
+
+// Tiny recursive-descent parser for condition, key and value expressions
+function parse(expression) {
+    const tokens = expression.match(/[#:]?[A-Za-z_][\w.]*|<>|<=|>=|[()=<>,+-]/g);
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const accept = (token) => (peek() && peek().toUpperCase() === token ? next() : null);
+
+    function parseOr() {
+        let node = parseAnd();
+        while (accept('OR')) {
+            node = { op: 'OR', left: node, right: parseAnd() };
+        }
+        return node;
+    }
+    function parseAnd() {
+        let node = parseNot();
+        while (accept('AND')) {
+            node = { op: 'AND', left: node, right: parseNot() };
+        }
+        return node;
+    }
+    function parseNot() {
+        return accept('NOT') ? { op: 'NOT', operand: parseNot() } : parseComparison();
+    }
+    function parseComparison() {
+        if (accept('(')) {
+            const node = parseOr();
+            next();
+            return node;
+        }
+        const left = parseOperand();
+        if (accept('BETWEEN')) {
+            const low = parseOperand();
+            accept('AND');
+            return { op: 'BETWEEN', left, low, high: parseOperand() };
+        }
+        if (['=', '<>', '<', '<=', '>', '>='].includes(peek())) {
+            return { op: next(), left, right: parseOperand() };
+        }
+        return left;
+    }
+    function parseOperand() {
+        let node = parseTerm();
+        while (['+', '-'].includes(peek())) {
+            node = { op: next(), left: node, right: parseTerm() };
+        }
+        return node;
+    }
+    function parseTerm() {
+        const token = next();
+        if (peek() === '(') {
+            next();
+            const args = [];
+            while (peek() !== ')') {
+                args.push(parseOperand());
+                accept(',');
+            }
+            next();
+            return { op: 'call', name: token, args };
+        }
+        return { op: 'token', token };
+    }
+
+    return parseOr();
+}
+
+function evaluateValue(node, item, input) {
+    if (node.op === 'token') {
+        if (node.token.startsWith(':')) {
+            return input.ExpressionAttributeValues[node.token];
+        }
+        return item[resolveName(node.token, input)];
+    }
+    if (node.op === '+') {
+        return evaluateValue(node.left, item, input) + evaluateValue(node.right, item, input);
+    }
+    if (node.op === '-') {
+        return evaluateValue(node.left, item, input) - evaluateValue(node.right, item, input);
+    }
+    if (node.op === 'call' && node.name === 'if_not_exists') {
+        const value = evaluateValue(node.args[0], item, input);
+        return value !== undefined ? value : evaluateValue(node.args[1], item, input);
+    }
+    return evaluate(node, item, input);
+}
+
+function evaluate(node, item, input) {
+    const value = (operand) => evaluateValue(operand, item, input);
+    switch (node.op) {
+        case 'OR': return evaluate(node.left, item, input) || evaluate(node.right, item, input);
+        case 'AND': return evaluate(node.left, item, input) && evaluate(node.right, item, input);
+        case 'NOT': return !evaluate(node.operand, item, input);
+        case '=': return value(node.left) === value(node.right);
+        case '<>': return value(node.left) !== value(node.right);
+        case '<': return value(node.left) < value(node.right);
+        case '<=': return value(node.left) <= value(node.right);
+        case '>': return value(node.left) > value(node.right);
+        case '>=': return value(node.left) >= value(node.right);
+        case 'BETWEEN': return value(node.left) >= value(node.low) && value(node.left) <= value(node.high);
+        case 'call': {
+            const attribute = node.args[0] && node.args[0].op === 'token' ? resolveName(node.args[0].token, input) : null;
+            if (node.name === 'attribute_exists') {
+                return item[attribute] !== undefined;
+            }
+            if (node.name === 'attribute_not_exists') {
+                return item[attribute] === undefined;
+            }
+            if (node.name === 'begins_with') {
+                return String(value(node.args[0])).startsWith(value(node.args[1]));
+            }
+            throw new Error(`Fake table does not support ${node.name}()`);
+        }
+        default:
+            throw new Error(`Fake table cannot evaluate ${JSON.stringify(node)}`);
+    }
+}
+
+module.exports = {
+    createFakeTable
+};
\ No newline at end of file
@@ -0,0 +1,59 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseJsonEnv, parseBreakerMapEnv, withTimeout } = require('../lambda-helpers');
+
+beforeEach(() => {
+    delete process.env.TEST_JSON;
+});
+
+describe('parseJsonEnv', () => {
+    it('parses the variable', () => {
+        process.env.TEST_JSON = '{"/transfers": "transfers"}';
+
+        assert.deepEqual(parseJsonEnv('TEST_JSON'), { '/transfers': 'transfers' });
+    });
+
+    it('falls back to the default when the variable is unset or invalid', () => {
+        const consoleError = mock.method(console, 'error', () => {});
+
+        assert.deepEqual(parseJsonEnv('TEST_JSON'), {});
+        process.env.TEST_JSON = '[{';
+        assert.deepEqual(parseJsonEnv('TEST_JSON', []), []);
+        assert.equal(consoleError.mock.callCount(), 1);
+        consoleError.mock.restore();
+    });
+});
+
+describe('parseBreakerMapEnv', () => {
+    it('leaves out entries mapping to a reserved breaker ID', () => {
+        const consoleError = mock.method(console, 'error', () => {});
+        process.env.TEST_JSON = JSON.stringify({ '/transfers': 'transfers', '/legacy': 'current' });
+
+        assert.deepEqual(parseBreakerMapEnv('TEST_JSON'), { '/transfers': 'transfers' });
+        assert.equal(consoleError.mock.callCount(), 1);
+        consoleError.mock.restore();
+    });
+});
+
+describe('withTimeout', () => {
+    it('resolves with the answer of a call in time', async () => {
+        assert.equal(await withTimeout('full-service', 1000, async () => 'answer'), 'answer');
+    });
+
+    it('aborts a call that does not answer in time with a TimeoutError', async () => {
+        let abortSignal;
+        const call = (signal) => {
+            abortSignal = signal;
+            return new Promise(() => {});
+        };
+
+        await assert.rejects(withTimeout('full-service', 10, call), {
+            name: 'TimeoutError',
+            errorType: 'TimeoutError',
+            message: 'No answer from full-service within 10ms'
+        });
+        assert.equal(abortSignal.aborted, true);
+        assert.equal(abortSignal.reason.name, 'TimeoutError');
+    });
+});
\ No newline at end of file
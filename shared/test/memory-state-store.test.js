@@ -0,0 +1,61 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const stateStore = require('../state-store');
+
+describe('file store', () => {
+    let directory;
+    let filePath;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'circuit-breaker-'));
+        filePath = path.join(directory, 'state.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('reloads the state, events and policy written by a previous process', async () => {
+        const store = stateStore.createStateStore('file', { filePath });
+        await store.putState('transfers', { breakerId: 'transfers', currentLevel: 3, version: 1 }, 0);
+        await store.appendEvent('transition-log', 'transfers', { breakerId: 'transfers', timestamp: '2026-03-01T10:00:00.000Z' });
+        store.setPolicyItem({ version: 'local-v1' });
+        await store.claimOnce('alarm-dedupe', 'errors#1', Math.floor(Date.now() / 1000) + 60);
+        await store.addToCounters('transfers', '2026-03-01T10:00#3', { calls: 2 }, { level: 3 });
+
+        const reloadedStore = stateStore.createStateStore('file', { filePath });
+
+        assert.equal((await reloadedStore.getState('transfers')).currentLevel, 3);
+        assert.equal((await reloadedStore.queryTransitions({ limit: 10 })).transitions.length, 1);
+        assert.equal((await reloadedStore.getPolicyItem()).version, 'local-v1');
+        assert.equal(await reloadedStore.claimOnce('alarm-dedupe', 'errors#1', Math.floor(Date.now() / 1000) + 60), false);
+        assert.equal((await reloadedStore.queryCountersSince('transfers', '2026-03-01T10:00'))[0].calls, 2);
+    });
+
+    it('leaves no temporary files next to the snapshot', async () => {
+        const store = stateStore.createStateStore('file', { filePath });
+        await store.putState('default', { currentLevel: 1, version: 1 });
+
+        assert.deepEqual(fs.readdirSync(directory), ['state.json']);
+    });
+});
+
+describe('memory store', () => {
+    it('does not claim a probe slot for a breaker without state', async () => {
+        const store = stateStore.createStateStore('memory');
+        const now = new Date().toISOString();
+
+        assert.equal(await store.claimProbeSlot('transfers', now, now), false);
+        assert.equal(await store.getState('transfers'), null);
+    });
+});
+
+describe('store selection', () => {
+    it('rejects unknown store types', () => {
+        assert.throws(() => stateStore.createStateStore('redis'), /Unknown state store redis, expected one of: dynamodb, memory, file/);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,135 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { CloudWatchClient } = require('@aws-sdk/client-cloudwatch');
+
+const metrics = require('../metrics');
+
+mock.method(CloudWatchClient.prototype, 'send', async () => ({}));
+
+/**
+ * Flush the buffered metrics and return the EMF documents written to stdout
+ */
+async function flushToStdout() {
+    const lines = [];
+    const write = mock.method(process.stdout, 'write', (line) => {
+        lines.push(line);
+        return true;
+    });
+
+    try {
+        await metrics.flush();
+    } finally {
+        write.mock.restore();
+    }
+
+    return lines.map(line => JSON.parse(line));
+}
+
+beforeEach(async () => {
+    // Drop anything a previous test left buffered
+    process.env.METRICS_DISABLED = 'true';
+    await metrics.flush();
+
+    delete process.env.METRICS_DISABLED;
+    delete process.env.METRICS_MODE;
+    CloudWatchClient.prototype.send.mock.resetCalls();
+});
+
+describe('emf mode', () => {
+    it('buffers metrics until flush', async () => {
+        const write = mock.method(process.stdout, 'write', () => true);
+        await metrics.publishMetric('CircuitBreaker/Controller', 'ServiceRequest', 1, []);
+        assert.equal(write.mock.callCount(), 0);
+        write.mock.restore();
+
+        assert.equal((await flushToStdout()).length, 1);
+        assert.deepEqual(await flushToStdout(), []);
+    });
+
+    it('writes one document per namespace and dimension set', async () => {
+        const dimensions = [{ Name: 'ServiceLevel', Value: '1' }];
+        await metrics.publishMetric('CircuitBreaker/Service', 'Success', 1, dimensions);
+        await metrics.publishMetric('CircuitBreaker/Service', 'ResponseTime', 120, dimensions);
+        await metrics.publishMetric('CircuitBreaker/Service', 'ResponseTime', 80, dimensions);
+        await metrics.publishMetric('CircuitBreaker/Service', 'Success', 1, [{ Name: 'ServiceLevel', Value: '2' }]);
+
+        const [levelOne, levelTwo] = await flushToStdout();
+
+        assert.deepEqual(levelOne._aws.CloudWatchMetrics, [{
+            Namespace: 'CircuitBreaker/Service',
+            Dimensions: [['ServiceLevel']],
+            Metrics: [{ Name: 'Success', Unit: 'Count' }, { Name: 'ResponseTime', Unit: 'Milliseconds' }]
+        }]);
+        assert.equal(levelOne.ServiceLevel, '1');
+        assert.equal(levelOne.Success, 1);
+        assert.deepEqual(levelOne.ResponseTime, [120, 80]);
+        assert.equal(levelTwo.ServiceLevel, '2');
+        assert.equal(CloudWatchClient.prototype.send.mock.callCount(), 0);
+    });
+
+    it('continues values past the per-metric limit in further documents', async () => {
+        for (let index = 0; index < 150; index++) {
+            await metrics.publishMetric('CircuitBreaker/Service', 'ResponseTime', index, []);
+        }
+        await metrics.publishMetric('CircuitBreaker/Service', 'Success', 1, []);
+
+        const [first, second] = await flushToStdout();
+
+        assert.equal(first.ResponseTime.length, 100);
+        assert.equal(first.Success, 1);
+        assert.deepEqual(second._aws.CloudWatchMetrics[0].Metrics, [{ Name: 'ResponseTime', Unit: 'Milliseconds' }]);
+        assert.equal(second.ResponseTime.length, 50);
+        assert.equal(second.ResponseTime[49], 149);
+    });
+});
+
+describe('putmetricdata mode', () => {
+    beforeEach(() => {
+        process.env.METRICS_MODE = 'putmetricdata';
+    });
+
+    it('sends one batch per namespace', async () => {
+        await metrics.publishMetric('CircuitBreaker/Controller', 'ServiceRequest', 1, []);
+        await metrics.publishMetric('CircuitBreaker/Controller', 'RoutingSuccess', 1, []);
+        await metrics.publishMetric('CircuitBreaker/Service', 'Success', 1, []);
+
+        await metrics.flush();
+
+        const requests = CloudWatchClient.prototype.send.mock.calls.map(call => call.arguments[0].input);
+        assert.deepEqual(requests.map(request => request.Namespace), ['CircuitBreaker/Controller', 'CircuitBreaker/Service']);
+        assert.deepEqual(requests[0].MetricData.map(datum => datum.MetricName), ['ServiceRequest', 'RoutingSuccess']);
+    });
+
+    it('never fails the invocation when publishing fails', async () => {
+        const consoleError = mock.method(console, 'error', () => {});
+        CloudWatchClient.prototype.send.mock.mockImplementationOnce(async () => {
+            throw new Error('Throttling');
+        });
+        await metrics.publishMetric('CircuitBreaker/Controller', 'ServiceRequest', 1, []);
+
+        await metrics.flush();
+
+        assert.equal(consoleError.mock.callCount(), 1);
+        consoleError.mock.restore();
+    });
+});
+
+describe('disabled metrics', () => {
+    it('drops the metrics when METRICS_DISABLED is set', async () => {
+        process.env.METRICS_DISABLED = 'true';
+        await metrics.publishMetric('CircuitBreaker/Controller', 'ServiceRequest', 1, []);
+
+        assert.deepEqual(await flushToStdout(), []);
+        assert.equal(CloudWatchClient.prototype.send.mock.callCount(), 0);
+    });
+
+    it('falls back to emf for an unknown mode', async () => {
+        const consoleWarn = mock.method(console, 'warn', () => {});
+        process.env.METRICS_MODE = 'statsd';
+        await metrics.publishMetric('CircuitBreaker/Controller', 'ServiceRequest', 1, []);
+
+        assert.equal((await flushToStdout()).length, 1);
+        assert.equal(consoleWarn.mock.callCount(), 1);
+        consoleWarn.mock.restore();
+    });
+});
\ No newline at end of file
@@ -0,0 +1,421 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const transitionPolicy = require('../transition-policy');
+
+const POLICY_ENV_VARS = [
+    'POLICY_VERSION',
+    'TRIP_MODE',
+    'LEVEL_1_TO_2_FAILURE_THRESHOLD',
+    'LEVEL_2_TO_3_FAILURE_THRESHOLD',
+    'RATE_WINDOW_MINUTES',
+    'RATE_MINIMUM_CALLS',
+    'LEVEL_1_TO_2_FAILURE_RATE',
+    'LEVEL_2_TO_3_FAILURE_RATE',
+    'THROTTLING_FAILURE_WEIGHT',
+    'LEVEL_1_SLOW_CALL_MS',
+    'LEVEL_1_TO_2_SLOW_CALL_RATE',
+    'LEVEL_2_TO_3_SLOW_CALL_RATE',
+    'LEVEL_1_P95_BUDGET_MS',
+    'LEVEL_3_TO_2_SUCCESS_THRESHOLD',
+    'LEVEL_2_TO_1_SUCCESS_THRESHOLD',
+    'LEVEL_2_MIN_DWELL_SECONDS',
+    'LEVEL_3_MIN_DWELL_SECONDS',
+    'TRANSITION_COOLDOWN_SECONDS',
+    'RECOVERY_BACKOFF_MULTIPLIER',
+    'RECOVERY_BACKOFF_MAX_MULTIPLIER',
+    'TRIP_WINDOW_MINUTES',
+    'RECOVERY_BACKOFF_DECAY_MINUTES',
+    'RECOVERY_BACKOFF_APPLIES_TO',
+    'HALF_OPEN_ENABLED',
+    'HALF_OPEN_PROBE_PERCENTAGE',
+    'HALF_OPEN_PROBE_INTERVAL_SECONDS'
+];
+
+beforeEach(() => {
+    POLICY_ENV_VARS.forEach(name => delete process.env[name]);
+});
+
+describe('policy loading', () => {
+    it('uses the default thresholds without configuration', () => {
+        const policy = transitionPolicy.loadPolicyFromEnv();
+
+        assert.equal(policy.version, 'env-default');
+        assert.equal(policy.source, 'env');
+        assert.equal(policy.tripMode, 'count');
+        assert.deepEqual(policy.failureThresholds, { 1: 5, 2: 10 });
+        assert.deepEqual(policy.successThresholds, { 3: 3, 2: 5 });
+    });
+
+    it('reads the thresholds from the environment', () => {
+        process.env.POLICY_VERSION = 'prod-v2';
+        process.env.LEVEL_1_TO_2_FAILURE_THRESHOLD = '3';
+        process.env.LEVEL_2_TO_1_SUCCESS_THRESHOLD = '8';
+
+        const policy = transitionPolicy.loadPolicyFromEnv();
+
+        assert.equal(policy.version, 'prod-v2');
+        assert.equal(policy.failureThresholds[1], 3);
+        assert.equal(policy.successThresholds[2], 8);
+    });
+
+    it('falls back to the default for a non-numeric threshold', () => {
+        mock.method(console, 'warn', () => {});
+        process.env.LEVEL_2_TO_3_FAILURE_THRESHOLD = 'ten';
+
+        assert.equal(transitionPolicy.loadPolicyFromEnv().failureThresholds[2], 10);
+        assert.equal(console.warn.mock.callCount(), 1);
+        console.warn.mock.restore();
+    });
+
+    it('overlays only the settings a stored policy item changes', () => {
+        const policy = transitionPolicy.mergePolicy(transitionPolicy.loadPolicyFromEnv(), {
+            pk: 'policy',
+            sk: 'current',
+            lastUpdated: '2026-01-01T00:00:00.000Z',
+            version: 7,
+            failureThresholds: { 1: 2 }
+        });
+
+        assert.equal(policy.source, 'dynamodb');
+        assert.equal(policy.version, '7');
+        assert.deepEqual(policy.failureThresholds, { 1: 2, 2: 10 });
+        assert.deepEqual(policy.successThresholds, { 3: 3, 2: 5 });
+        assert.equal(policy.pk, undefined);
+        assert.equal(policy.lastUpdated, undefined);
+    });
+
+    it('falls back to count mode for an unknown trip mode', () => {
+        mock.method(console, 'warn', () => {});
+        process.env.TRIP_MODE = 'percentage';
+
+        assert.equal(transitionPolicy.loadPolicyFromEnv().tripMode, 'count');
+        console.warn.mock.restore();
+    });
+
+    it('keeps the base policy without a stored item', () => {
+        const basePolicy = transitionPolicy.loadPolicyFromEnv();
+        assert.equal(transitionPolicy.mergePolicy(basePolicy, null), basePolicy);
+    });
+});
+
+describe('failure transitions', () => {
+    it('degrades one level once the failure count reaches the threshold', () => {
+        const policy = transitionPolicy.loadPolicyFromEnv();
+
+        assert.equal(transitionPolicy.evaluateFailureTransition({ currentLevel: 1, failureCount: 4 }, policy).shouldTransition, false);
+
+        const transition = transitionPolicy.evaluateFailureTransition({ currentLevel: 1, failureCount: 5 }, policy);
+        assert.equal(transition.shouldTransition, true);
+        assert.equal(transition.newLevel, 2);
+        assert.match(transition.transitionReason, /policy env-default/);
+    });
+
+    it('never degrades past Level 3', () => {
+        const transition = transitionPolicy.evaluateFailureTransition({ currentLevel: 3, failureCount: 100 }, transitionPolicy.loadPolicyFromEnv());
+        assert.equal(transition.shouldTransition, false);
+    });
+});
+
+describe('failure weights', () => {
+    it('weighs throttling at half a failure by default', () => {
+        const policy = transitionPolicy.loadPolicyFromEnv();
+
+        assert.equal(transitionPolicy.getFailureWeight(policy, 'Throttled'), 0.5);
+        assert.equal(transitionPolicy.getFailureWeight(policy, 'ServiceError'), 1);
+    });
+
+    it('counts a failure fully for an invalid weight', () => {
+        const policy = { failureWeights: { Throttled: 0, InvokeError: -1, TimeoutError: 'high' } };
+
+        assert.equal(transitionPolicy.getFailureWeight(policy, 'Throttled'), 0);
+        assert.equal(transitionPolicy.getFailureWeight(policy, 'InvokeError'), 1);
+        assert.equal(transitionPolicy.getFailureWeight(policy, 'TimeoutError'), 1);
+    });
+});
+
+describe('rate transitions', () => {
+    /**
+     * Rate-mode policy: 50% failure rate over at least 10 calls
+     */
+    function loadRatePolicy() {
+        process.env.TRIP_MODE = 'rate';
+        return transitionPolicy.loadPolicyFromEnv();
+    }
+
+    it('ignores the window below the minimum call volume', () => {
+        const transition = transitionPolicy.evaluateFailureTransition({ currentLevel: 1 }, loadRatePolicy(), { failures: 9, slowCalls: 0, total: 9 });
+        assert.equal(transition.shouldTransition, false);
+    });
+
+    it('degrades once the failure rate exceeds the threshold', () => {
+        const policy = loadRatePolicy();
+
+        assert.equal(transitionPolicy.evaluateFailureTransition({ currentLevel: 1 }, policy, { failures: 5, slowCalls: 0, total: 10 }).shouldTransition, false);
+
+        const transition = transitionPolicy.evaluateFailureTransition({ currentLevel: 1 }, policy, { failures: 6, slowCalls: 0, total: 10 });
+        assert.equal(transition.shouldTransition, true);
+        assert.equal(transition.newLevel, 2);
+        assert.match(transition.transitionReason, /failure rate 60\.0% \(6\/10 calls in 5 min/);
+    });
+
+    it('ignores the lifetime failure count', () => {
+        const transition = transitionPolicy.evaluateFailureTransition({ currentLevel: 1, failureCount: 100 }, loadRatePolicy(), { failures: 1, slowCalls: 0, total: 10 });
+        assert.equal(transition.shouldTransition, false);
+    });
+});
+
+describe('slow-call transitions', () => {
+    it('degrades once the slow-call rate exceeds the threshold', () => {
+        const policy = transitionPolicy.loadPolicyFromEnv();
+        const state = { currentLevel: 1, failureCount: 0 };
+
+        assert.equal(transitionPolicy.evaluateFailureTransition(state, policy, { failures: 5, slowCalls: 5, total: 10 }).shouldTransition, false);
+
+        const transition = transitionPolicy.evaluateFailureTransition(state, policy, { failures: 6, slowCalls: 6, total: 10 });
+        assert.equal(transition.shouldTransition, true);
+        assert.match(transition.transitionReason, /slow-call rate 60\.0% \(6\/10 calls over 5000ms in 5 min/);
+    });
+
+    it('ignores the slow calls below the minimum call volume or with the rate disabled', () => {
+        const policy = transitionPolicy.loadPolicyFromEnv();
+        assert.equal(transitionPolicy.evaluateFailureTransition({ currentLevel: 1, failureCount: 0 }, policy, { failures: 9, slowCalls: 9, total: 9 }).shouldTransition, false);
+
+        process.env.LEVEL_1_TO_2_SLOW_CALL_RATE = '0';
+        process.env.LEVEL_2_TO_3_SLOW_CALL_RATE = '0';
+        const disabledPolicy = transitionPolicy.loadPolicyFromEnv();
+        assert.equal(transitionPolicy.needsWindowStats(disabledPolicy), false);
+    });
+
+    it('reads the slow-call threshold of each level', () => {
+        process.env.LEVEL_1_SLOW_CALL_MS = '1500';
+        const policy = transitionPolicy.loadPolicyFromEnv();
+
+        assert.equal(transitionPolicy.getSlowCallThreshold(policy, 1), 1500);
+        assert.equal(transitionPolicy.getSlowCallThreshold(policy, 3), 0);
+        assert.equal(transitionPolicy.getSlowCallThreshold({}, 1), 0);
+    });
+});
+
+describe('latency transitions', () => {
+    /**
+     * Policy with a 500ms p95 budget on Level 1 sustained for 3 minutes
+     */
+    function loadLatencyPolicy() {
+        process.env.LEVEL_1_P95_BUDGET_MS = '500';
+        return transitionPolicy.loadPolicyFromEnv();
+    }
+
+    const now = new Date('2026-03-01T10:05:00.000Z');
+
+    it('starts tracking a breach without degrading', () => {
+        const transition = transitionPolicy.evaluateLatencyTransition({ currentLevel: 1 }, loadLatencyPolicy(), { count: 20, p95: 800 }, now);
+
+        assert.equal(transition.shouldTransition, false);
+        assert.deepEqual(transition.latencyBreach, { level: 1, since: '2026-03-01T10:05:00.000Z' });
+    });
+
+    it('degrades once the breach lasted the sustain time', () => {
+        const state = { currentLevel: 1, latencyBreach: { level: 1, since: '2026-03-01T10:02:00.000Z' } };
+
+        const transition = transitionPolicy.evaluateLatencyTransition(state, loadLatencyPolicy(), { count: 20, p95: 800 }, now);
+
+        assert.equal(transition.shouldTransition, true);
+        assert.equal(transition.newLevel, 2);
+        assert.match(transition.transitionReason, /p95 latency 800ms above budget 500ms for 3\.0 min/);
+        assert.equal(transition.latencyBreach, null);
+    });
+
+    it('clears the breach once p95 is within budget or too few calls were made', () => {
+        const state = { currentLevel: 1, latencyBreach: { level: 1, since: '2026-03-01T10:02:00.000Z' } };
+        const policy = loadLatencyPolicy();
+
+        assert.equal(transitionPolicy.evaluateLatencyTransition(state, policy, { count: 20, p95: 500 }, now).latencyBreach, null);
+        assert.equal(transitionPolicy.evaluateLatencyTransition(state, policy, { count: 19, p95: 800 }, now).latencyBreach, null);
+    });
+
+    it('is disabled without a budget', () => {
+        const policy = transitionPolicy.loadPolicyFromEnv();
+
+        assert.equal(transitionPolicy.usesLatencyBudget(policy), false);
+        assert.equal(transitionPolicy.evaluateLatencyTransition({ currentLevel: 1 }, policy, { count: 20, p95: 10000 }, now).shouldTransition, false);
+    });
+});
+
+describe('recovery transitions', () => {
+    it('recovers one level once the success streak reaches the threshold', () => {
+        const policy = transitionPolicy.loadPolicyFromEnv();
+
+        assert.equal(transitionPolicy.evaluateRecoveryTransition({ currentLevel: 3, successCount: 2 }, policy).shouldTransition, false);
+
+        const transition = transitionPolicy.evaluateRecoveryTransition({ currentLevel: 3, successCount: 3 }, policy);
+        assert.equal(transition.shouldTransition, true);
+        assert.equal(transition.newLevel, 2);
+    });
+
+    it('never recovers past Level 1', () => {
+        const transition = transitionPolicy.evaluateRecoveryTransition({ currentLevel: 1, successCount: 100 }, transitionPolicy.loadPolicyFromEnv());
+        assert.equal(transition.shouldTransition, false);
+    });
+});
+
+describe('level holds', () => {
+    const now = new Date('2026-03-01T10:05:00.000Z');
+    const recovery = { shouldTransition: true, newLevel: 1, transitionReason: 'Recovered' };
+    const downgrade = { shouldTransition: true, newLevel: 3, transitionReason: 'Degraded' };
+
+    it('holds a recovery until the level reached its minimum dwell time', () => {
+        const policy = transitionPolicy.loadPolicyFromEnv();
+        const state = { currentLevel: 2, lastTransition: '2026-03-01T10:04:30.000Z' };
+
+        const held = transitionPolicy.suppressIfHeld(state, policy, recovery, now);
+        assert.equal(held.shouldTransition, false);
+        assert.equal(held.suppressedReason, 'Recovered - suppressed, minimum dwell of 60s at level 2 until 2026-03-01T10:05:30.000Z');
+
+        assert.equal(transitionPolicy.suppressIfHeld(state, policy, downgrade, now), downgrade);
+        assert.equal(transitionPolicy.suppressIfHeld({ ...state, lastTransition: '2026-03-01T10:04:00.000Z' }, policy, recovery, now), recovery);
+    });
+
+    it('holds every transition during the cooldown after the last one', () => {
+        process.env.LEVEL_2_MIN_DWELL_SECONDS = '0';
+        const policy = transitionPolicy.loadPolicyFromEnv();
+        const state = { currentLevel: 2, cooldownUntil: transitionPolicy.getCooldownEnd(policy, now) };
+
+        assert.equal(state.cooldownUntil, '2026-03-01T10:05:30.000Z');
+        assert.match(transitionPolicy.suppressIfHeld(state, policy, downgrade, now).suppressedReason, /cooldown after the last transition until 2026-03-01T10:05:30.000Z/);
+        assert.equal(transitionPolicy.suppressIfHeld(state, policy, recovery, new Date('2026-03-01T10:05:30.000Z')), recovery);
+    });
+
+    it('starts no cooldown when it is disabled', () => {
+        process.env.TRANSITION_COOLDOWN_SECONDS = '0';
+
+        assert.equal(transitionPolicy.getCooldownEnd(transitionPolicy.loadPolicyFromEnv(), now), null);
+    });
+});
+
+describe('recovery backoff', () => {
+    const now = new Date('2026-03-01T10:05:00.000Z');
+
+    /**
+     * Build trip timestamps the given minutes before `now`
+     */
+    function tripsAgo(...minutes) {
+        return minutes.map(minutesAgo => new Date(now.getTime() - minutesAgo * 60000).toISOString());
+    }
+
+    it('multiplies the recovery per consecutive trip up to the maximum', () => {
+        const policy = transitionPolicy.loadPolicyFromEnv();
+
+        assert.equal(transitionPolicy.getTripBackoff({ tripHistory: tripsAgo(5) }, policy, now).multiplier, 1);
+        assert.equal(transitionPolicy.getTripBackoff({ tripHistory: tripsAgo(15, 10, 5) }, policy, now).multiplier, 4);
+        assert.equal(transitionPolicy.getTripBackoff({ tripHistory: tripsAgo(25, 20, 15, 10, 5) }, policy, now).multiplier, 8);
+    });
+
+    it('forgets trips outside the trip window and one trip per decay period', () => {
+        const policy = transitionPolicy.loadPolicyFromEnv();
+
+        assert.equal(transitionPolicy.getTripBackoff({ tripHistory: tripsAgo(90, 10, 5) }, policy, now).trips.length, 2);
+        assert.deepEqual(transitionPolicy.getTripBackoff({ tripHistory: tripsAgo(50, 40, 35) }, policy, now).trips, tripsAgo(40, 35));
+    });
+
+    it('records a trip with the resulting multiplier', () => {
+        const policy = transitionPolicy.loadPolicyFromEnv();
+
+        const trip = transitionPolicy.recordTrip({ tripHistory: tripsAgo(90, 10) }, policy, now);
+
+        assert.deepEqual(trip, { tripHistory: [...tripsAgo(10), now.toISOString()], recoveryMultiplier: 2, incidentOpen: true });
+    });
+
+    it('counts a further downgrade of the same incident as the same trip', () => {
+        const policy = transitionPolicy.loadPolicyFromEnv();
+        const state = { currentLevel: 2, incidentOpen: true, tripHistory: tripsAgo(10) };
+
+        assert.deepEqual(transitionPolicy.recordTrip(state, policy, now), { incidentOpen: true });
+        assert.equal(transitionPolicy.recordTrip({ ...state, incidentOpen: false }, policy, now).tripHistory.length, 2);
+    });
+
+    it('stretches the minimum dwell time by default', () => {
+        const policy = transitionPolicy.loadPolicyFromEnv();
+        const state = { currentLevel: 2, successCount: 5, lastTransition: tripsAgo(1.5)[0], tripHistory: tripsAgo(10, 1.5) };
+
+        assert.equal(transitionPolicy.getSuccessThreshold(state, policy, now), 5);
+        assert.match(transitionPolicy.suppressIfHeld(state, policy, { shouldTransition: true, newLevel: 1, transitionReason: 'Recovered' }, now).suppressedReason, /minimum dwell of 120s at level 2/);
+    });
+
+    it('raises the success threshold when configured for successes', () => {
+        process.env.RECOVERY_BACKOFF_APPLIES_TO = 'successes';
+        const policy = transitionPolicy.loadPolicyFromEnv();
+        const state = { currentLevel: 2, successCount: 5, tripHistory: tripsAgo(10, 5) };
+
+        assert.equal(transitionPolicy.getSuccessThreshold(state, policy, now), 10);
+        assert.equal(transitionPolicy.getSuccessThreshold({ currentLevel: 1, tripHistory: state.tripHistory }, policy, now), undefined);
+    });
+});
+
+describe('half-open probing', () => {
+    it('counts every success while half-open probing is disabled', () => {
+        const policy = transitionPolicy.loadPolicyFromEnv();
+        assert.equal(transitionPolicy.countsTowardRecovery({ currentLevel: 2 }, policy, false), true);
+    });
+
+    it('only counts probe successes while degraded', () => {
+        process.env.HALF_OPEN_ENABLED = 'true';
+        const policy = transitionPolicy.loadPolicyFromEnv();
+
+        assert.equal(transitionPolicy.countsTowardRecovery({ currentLevel: 2 }, policy, false), false);
+        assert.equal(transitionPolicy.countsTowardRecovery({ currentLevel: 2 }, policy, true), true);
+        assert.equal(transitionPolicy.countsTowardRecovery({ currentLevel: 1 }, policy, false), true);
+    });
+});
+
+describe('next transitions', () => {
+    it('reports the failures and successes remaining in count mode', () => {
+        const { nextDowngrade, nextRecovery } = transitionPolicy.describeNextTransitions(
+            { currentLevel: 2, failureCount: 4, successCount: 1 },
+            transitionPolicy.loadPolicyFromEnv()
+        );
+
+        assert.deepEqual(nextDowngrade, {
+            toLevel: 3,
+            mode: 'count',
+            failureThreshold: 10,
+            failureCount: 4,
+            failuresRemaining: 6,
+            heldUntil: null,
+            heldBy: null,
+            slowCall: { slowCallThresholdMs: 3000, slowCallRateThreshold: 0.5, currentSlowCallRate: 0 }
+        });
+        assert.deepEqual(nextRecovery, {
+            toLevel: 1,
+            successThreshold: 5,
+            successCount: 1,
+            successesRemaining: 4,
+            probeOnly: false,
+            minimumDwellSeconds: 60,
+            recoveryMultiplier: 1,
+            heldUntil: null,
+            heldBy: null
+        });
+    });
+
+    it('reports the window failure rate in rate mode', () => {
+        process.env.TRIP_MODE = 'rate';
+
+        const { nextDowngrade } = transitionPolicy.describeNextTransitions(
+            { currentLevel: 1, failureCount: 0, successCount: 0 },
+            transitionPolicy.loadPolicyFromEnv(),
+            { failures: 1, slowCalls: 0, total: 4 }
+        );
+
+        assert.equal(nextDowngrade.mode, 'rate');
+        assert.equal(nextDowngrade.currentFailureRate, 0.25);
+        assert.equal(nextDowngrade.callsUntilMinimumVolume, 6);
+    });
+
+    it('has no downgrade from Level 3 and no recovery from Level 1', () => {
+        const policy = transitionPolicy.loadPolicyFromEnv();
+
+        assert.equal(transitionPolicy.describeNextTransitions({ currentLevel: 3, failureCount: 0, successCount: 0 }, policy).nextDowngrade, null);
+        assert.equal(transitionPolicy.describeNextTransitions({ currentLevel: 1, failureCount: 0, successCount: 0 }, policy).nextRecovery, null);
+    });
+});
\ No newline at end of file
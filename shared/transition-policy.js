@@ -0,0 +1,662 @@
+/**
+ * Transition Policy
+ *
+ * Defines the thresholds that drive circuit breaker level transitions.
+ * The policy is built from environment variables and can be overridden per
+ * environment by a `pk: 'policy', sk: 'current'` item in the state table,
+ * so the breaker can be tuned without a code change.
+ *
+ * Policy structure:
+ * - version: Identifier recorded on every transition made with this policy
+ * - source: Where the policy came from ("env" or "dynamodb")
+ * - tripMode: "count" (lifetime failure count) or "rate" (sliding-window error rate)
+ * - failureThresholds: Level → failures needed to degrade to the next level (count mode)
+ * - rateWindow: Window length, minimum call volume and level → failure rate (rate mode)
+ * - failureWeights: Error type → how much one failure of that type counts toward
+ *   a trip (default 1), e.g. { "Throttled": 0.5 }; 0 logs the failure only
+ * - slowCall: Level → response time (ms) from which a call is slow and
+ *   recorded as a SlowCall (counted in the slow-call rate only), and level →
+ *   share of slow calls in the rate window that degrades the level (in both
+ *   trip modes; 0 disables)
+ * - latency: Window and minimum call volume of the latency percentiles, and
+ *   level → p95 budget (ms) that degrades the level once p95 has stayed above
+ *   it for sustainMinutes (0 disables)
+ * - successThresholds: Level → consecutive successes needed to recover one level
+ * - dwell: Level → minimum seconds a level is held before it may recover, and
+ *   the cooldown (seconds) after every transition before the next automatic
+ *   one, so the breaker doesn't flap between levels
+ * - backoff: Each consecutive trip within tripWindowMinutes multiplies the
+ *   recovery requirement (appliesTo: "dwell" time, "successes" threshold or
+ *   "both") by `multiplier`, up to maxMultiplier; every decayMinutes without
+ *   a trip forgets one trip
+ * - halfOpen: Probing of the next-higher level while degraded; when enabled only
+ *   probe results count toward recovery
+ */
+
+const TRIP_MODES = ['count', 'rate'];
+
+// What the trip backoff multiplies
+const BACKOFF_TARGETS = ['dwell', 'successes', 'both'];
+
+// Attributes of the policy item that are storage metadata, not policy settings
+const POLICY_ITEM_METADATA = ['pk', 'sk', 'lastUpdated'];
+
+/**
+ * Read a numeric environment variable, falling back to a default
+ */
+function readNumber(name, defaultValue) {
+    const rawValue = process.env[name];
+    if (rawValue === undefined || rawValue === '') {
+        return defaultValue;
+    }
+
+    const value = Number(rawValue);
+    if (Number.isNaN(value)) {
+        console.warn(`Invalid numeric value for ${name}: ${rawValue}, using default ${defaultValue}`);
+        return defaultValue;
+    }
+
+    return value;
+}
+
+/**
+ * Read a boolean environment variable, falling back to a default
+ */
+function readBoolean(name, defaultValue) {
+    const rawValue = process.env[name];
+    if (rawValue === undefined || rawValue === '') {
+        return defaultValue;
+    }
+
+    return rawValue.toLowerCase() === 'true';
+}
+
+/**
+ * Build the transition policy from environment variables
+ */
+function loadPolicyFromEnv() {
+    return {
+        version: process.env.POLICY_VERSION || 'env-default',
+        source: 'env',
+        tripMode: normalizeTripMode(process.env.TRIP_MODE || 'count'),
+        failureThresholds: {
+            1: readNumber('LEVEL_1_TO_2_FAILURE_THRESHOLD', 5),
+            2: readNumber('LEVEL_2_TO_3_FAILURE_THRESHOLD', 10)
+        },
+        rateWindow: {
+            windowMinutes: readNumber('RATE_WINDOW_MINUTES', 5),
+            minimumCalls: readNumber('RATE_MINIMUM_CALLS', 10),
+            failureRateThresholds: {
+                1: readNumber('LEVEL_1_TO_2_FAILURE_RATE', 0.5),
+                2: readNumber('LEVEL_2_TO_3_FAILURE_RATE', 0.5)
+            }
+        },
+        failureWeights: {
+            Throttled: readNumber('THROTTLING_FAILURE_WEIGHT', 0.5)
+        },
+        slowCall: {
+            thresholdsMs: {
+                1: readNumber('LEVEL_1_SLOW_CALL_MS', 5000),
+                2: readNumber('LEVEL_2_SLOW_CALL_MS', 3000),
+                // Level 3 can't degrade further, so slow maintenance answers trip nothing
+                3: readNumber('LEVEL_3_SLOW_CALL_MS', 0)
+            },
+            rateThresholds: {
+                1: readNumber('LEVEL_1_TO_2_SLOW_CALL_RATE', 0.5),
+                2: readNumber('LEVEL_2_TO_3_SLOW_CALL_RATE', 0.5)
+            }
+        },
+        latency: {
+            windowMinutes: readNumber('LATENCY_WINDOW_MINUTES', 5),
+            minimumCalls: readNumber('LATENCY_MINIMUM_CALLS', 20),
+            sustainMinutes: readNumber('LATENCY_SUSTAIN_MINUTES', 3),
+            p95BudgetsMs: {
+                1: readNumber('LEVEL_1_P95_BUDGET_MS', 0),
+                2: readNumber('LEVEL_2_P95_BUDGET_MS', 0)
+            }
+        },
+        successThresholds: {
+            3: readNumber('LEVEL_3_TO_2_SUCCESS_THRESHOLD', 3),
+            2: readNumber('LEVEL_2_TO_1_SUCCESS_THRESHOLD', 5)
+        },
+        dwell: {
+            minimumSeconds: {
+                2: readNumber('LEVEL_2_MIN_DWELL_SECONDS', 60),
+                3: readNumber('LEVEL_3_MIN_DWELL_SECONDS', 60)
+            },
+            cooldownSeconds: readNumber('TRANSITION_COOLDOWN_SECONDS', 30)
+        },
+        backoff: {
+            multiplier: readNumber('RECOVERY_BACKOFF_MULTIPLIER', 2),
+            maxMultiplier: readNumber('RECOVERY_BACKOFF_MAX_MULTIPLIER', 8),
+            tripWindowMinutes: readNumber('TRIP_WINDOW_MINUTES', 60),
+            decayMinutes: readNumber('RECOVERY_BACKOFF_DECAY_MINUTES', 30),
+            appliesTo: process.env.RECOVERY_BACKOFF_APPLIES_TO || 'dwell'
+        },
+        halfOpen: {
+            enabled: readBoolean('HALF_OPEN_ENABLED', false),
+            probePercentage: readNumber('HALF_OPEN_PROBE_PERCENTAGE', 10),
+            probeIntervalSeconds: readNumber('HALF_OPEN_PROBE_INTERVAL_SECONDS', 0)
+        }
+    };
+}
+
+/**
+ * Overlay a stored policy item on top of a base policy
+ *
+ * Nested settings (e.g. failureThresholds) are merged key by key, so the
+ * stored item only needs to contain the values it changes.
+ */
+function mergePolicy(basePolicy, policyItem) {
+    if (!policyItem) {
+        return basePolicy;
+    }
+
+    const mergedPolicy = { ...basePolicy, source: 'dynamodb' };
+
+    for (const [key, value] of Object.entries(policyItem)) {
+        if (POLICY_ITEM_METADATA.includes(key) || key === 'source') {
+            continue;
+        }
+
+        const baseValue = basePolicy[key];
+        if (isPlainObject(baseValue) && isPlainObject(value)) {
+            mergedPolicy[key] = { ...baseValue, ...value };
+        } else {
+            mergedPolicy[key] = value;
+        }
+    }
+
+    mergedPolicy.version = String(mergedPolicy.version);
+    mergedPolicy.tripMode = normalizeTripMode(mergedPolicy.tripMode);
+    return mergedPolicy;
+}
+
+/**
+ * Fall back to count mode for unknown trip modes
+ */
+function normalizeTripMode(tripMode) {
+    if (TRIP_MODES.includes(tripMode)) {
+        return tripMode;
+    }
+
+    console.warn(`Unknown trip mode ${tripMode}, using count mode`);
+    return 'count';
+}
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether the policy trips on the sliding-window error rate
+ */
+function usesRateMode(policy) {
+    return policy.tripMode === 'rate';
+}
+
+/**
+ * Get the slow-call rate that degrades a level (0 when disabled)
+ */
+function getSlowCallRateThreshold(policy, level) {
+    const slowCall = policy.slowCall || {};
+    return Number((slowCall.rateThresholds || {})[level]) || 0;
+}
+
+/**
+ * Get the response time from which a call at a level is slow (0 when disabled)
+ */
+function getSlowCallThreshold(policy, level) {
+    const slowCall = policy.slowCall || {};
+    return Number((slowCall.thresholdsMs || {})[level]) || 0;
+}
+
+/**
+ * Check whether evaluating the policy needs the calls in the rate window
+ */
+function needsWindowStats(policy) {
+    return usesRateMode(policy) || [1, 2].some(level => getSlowCallRateThreshold(policy, level) > 0);
+}
+
+/**
+ * Get the p95 latency budget of a level (0 when disabled)
+ */
+function getP95Budget(policy, level) {
+    const latency = policy.latency || {};
+    return Number((latency.p95BudgetsMs || {})[level]) || 0;
+}
+
+/**
+ * Check whether the policy degrades levels on a latency budget
+ */
+function usesLatencyBudget(policy) {
+    return [1, 2].some(level => getP95Budget(policy, level) > 0);
+}
+
+/**
+ * Get how much one failure of an error type counts toward a trip
+ */
+function getFailureWeight(policy, errorType) {
+    const weight = Number((policy.failureWeights || {})[errorType]);
+    return Number.isFinite(weight) && weight >= 0 ? weight : 1;
+}
+
+/**
+ * Evaluate whether the failures require degrading to the next level
+ *
+ * `windowStats` ({ failures, slowCalls, total }) must hold the calls made at
+ * the current level within the policy window (see needsWindowStats), with
+ * failures weighted by failureWeights. Besides the trip mode, a slow-call rate
+ * above the level's threshold degrades the level.
+ */
+function evaluateFailureTransition(state, policy, windowStats) {
+    const transition = usesRateMode(policy)
+        ? evaluateFailureRateTransition(state, policy, windowStats)
+        : evaluateFailureCountTransition(state, policy);
+
+    if (transition.shouldTransition) {
+        return transition;
+    }
+    return evaluateSlowCallRateTransition(state, policy, windowStats);
+}
+
+/**
+ * Evaluate whether the failure count requires degrading
+ */
+function evaluateFailureCountTransition(state, policy) {
+    const currentLevel = state.currentLevel;
+    const threshold = policy.failureThresholds[currentLevel];
+
+    if (threshold === undefined || state.failureCount < threshold) {
+        return { shouldTransition: false, newLevel: currentLevel, transitionReason: '' };
+    }
+
+    const newLevel = currentLevel + 1;
+    return {
+        shouldTransition: true,
+        newLevel,
+        transitionReason: `Transition ${currentLevel}→${newLevel}: ${state.failureCount} failures detected (threshold ${threshold}, policy ${policy.version})`
+    };
+}
+
+/**
+ * Evaluate whether the sliding-window error rate requires degrading
+ */
+function evaluateFailureRateTransition(state, policy, windowStats) {
+    const currentLevel = state.currentLevel;
+    const { windowMinutes, minimumCalls, failureRateThresholds } = policy.rateWindow;
+    const threshold = failureRateThresholds[currentLevel];
+    const noTransition = { shouldTransition: false, newLevel: currentLevel, transitionReason: '' };
+
+    if (threshold === undefined || !windowStats || windowStats.total < minimumCalls) {
+        return noTransition;
+    }
+
+    const failureRate = windowStats.failures / windowStats.total;
+    if (failureRate <= threshold) {
+        return noTransition;
+    }
+
+    const newLevel = currentLevel + 1;
+    return {
+        shouldTransition: true,
+        newLevel,
+        transitionReason: `Transition ${currentLevel}→${newLevel}: failure rate ${(failureRate * 100).toFixed(1)}% ` +
+            `(${windowStats.failures}/${windowStats.total} calls in ${windowMinutes} min, threshold ${(threshold * 100).toFixed(1)}%, policy ${policy.version})`
+    };
+}
+
+/**
+ * Evaluate whether the share of slow calls requires degrading
+ */
+function evaluateSlowCallRateTransition(state, policy, windowStats) {
+    const currentLevel = state.currentLevel;
+    const { windowMinutes, minimumCalls } = policy.rateWindow;
+    const threshold = getSlowCallRateThreshold(policy, currentLevel);
+    const noTransition = { shouldTransition: false, newLevel: currentLevel, transitionReason: '' };
+
+    if (!threshold || !windowStats || windowStats.total < minimumCalls) {
+        return noTransition;
+    }
+
+    const slowCallRate = windowStats.slowCalls / windowStats.total;
+    if (slowCallRate <= threshold) {
+        return noTransition;
+    }
+
+    const newLevel = currentLevel + 1;
+    return {
+        shouldTransition: true,
+        newLevel,
+        transitionReason: `Transition ${currentLevel}→${newLevel}: slow-call rate ${(slowCallRate * 100).toFixed(1)}% ` +
+            `(${windowStats.slowCalls}/${windowStats.total} calls over ${getSlowCallThreshold(policy, currentLevel)}ms in ${windowMinutes} min, ` +
+            `threshold ${(threshold * 100).toFixed(1)}%, policy ${policy.version})`
+    };
+}
+
+/**
+ * Evaluate whether a sustained p95 latency breach requires degrading
+ *
+ * `levelLatency` ({ count, p95 }) holds the latency window of the current
+ * level. The breach start is kept on the state as `latencyBreach`
+ * ({ level, since }); the result carries the value to store next
+ * (null once p95 is back within budget or the level changed).
+ */
+function evaluateLatencyTransition(state, policy, levelLatency, now = new Date()) {
+    const currentLevel = state.currentLevel;
+    const { windowMinutes, minimumCalls, sustainMinutes } = policy.latency;
+    const budget = getP95Budget(policy, currentLevel);
+    const noTransition = { shouldTransition: false, newLevel: currentLevel, transitionReason: '', latencyBreach: null };
+
+    if (!budget || !levelLatency || levelLatency.count < minimumCalls || levelLatency.p95 <= budget) {
+        return noTransition;
+    }
+
+    const breach = state.latencyBreach && state.latencyBreach.level === currentLevel
+        ? state.latencyBreach
+        : { level: currentLevel, since: now.toISOString() };
+    const breachMinutes = (now.getTime() - new Date(breach.since).getTime()) / 60000;
+
+    if (breachMinutes < sustainMinutes) {
+        return { ...noTransition, latencyBreach: breach };
+    }
+
+    const newLevel = currentLevel + 1;
+    return {
+        shouldTransition: true,
+        newLevel,
+        transitionReason: `Transition ${currentLevel}→${newLevel}: p95 latency ${levelLatency.p95}ms above budget ${budget}ms ` +
+            `for ${breachMinutes.toFixed(1)} min (${levelLatency.count} calls in ${windowMinutes} min, sustain ${sustainMinutes} min, policy ${policy.version})`,
+        latencyBreach: null
+    };
+}
+
+/**
+ * Get the trips that still count toward the recovery backoff
+ *
+ * Keeps the trips of `state.tripHistory` within the policy tripWindowMinutes,
+ * minus one trip (the oldest) per decayMinutes since the last one. Returns
+ * { trips, multiplier }: every trip after the first multiplies the recovery
+ * requirement by the policy multiplier, up to maxMultiplier.
+ */
+function getTripBackoff(state, policy, now = new Date()) {
+    const backoff = policy.backoff || {};
+    const windowStart = now.getTime() - (Number(backoff.tripWindowMinutes) || 0) * 60000;
+    let trips = (state.tripHistory || []).filter(trip => new Date(trip).getTime() > windowStart);
+
+    if (trips.length > 0 && backoff.decayMinutes > 0) {
+        const stableMinutes = (now.getTime() - new Date(trips[trips.length - 1]).getTime()) / 60000;
+        trips = trips.slice(Math.floor(stableMinutes / backoff.decayMinutes));
+    }
+
+    const factor = Number(backoff.multiplier) || 1;
+    const multiplier = trips.length > 1
+        ? Math.min(Math.pow(factor, trips.length - 1), Number(backoff.maxMultiplier) || 1)
+        : 1;
+    return { trips, multiplier: Math.max(multiplier, 1) };
+}
+
+/**
+ * Record an automatic downgrade made at `now` from the state's level
+ *
+ * One incident is one trip: a downgrade only counts when it starts from
+ * Level 1 or follows a recovery (`incidentOpen` is cleared on recovery), so
+ * 1→2→3 is a single trip. Returns the tripHistory, recoveryMultiplier and
+ * incidentOpen to store on the state.
+ */
+function recordTrip(state, policy, now = new Date()) {
+    if (state.currentLevel !== 1 && state.incidentOpen) {
+        return { incidentOpen: true };
+    }
+
+    const { trips } = getTripBackoff(state, policy, now);
+    const tripHistory = [...trips, now.toISOString()];
+
+    return {
+        tripHistory,
+        recoveryMultiplier: getTripBackoff({ tripHistory }, policy, now).multiplier,
+        incidentOpen: true
+    };
+}
+
+/**
+ * Check whether the trip backoff multiplies a recovery requirement ("dwell" or "successes")
+ */
+function backoffApplies(policy, target) {
+    const appliesTo = (policy.backoff || {}).appliesTo;
+    if (!BACKOFF_TARGETS.includes(appliesTo)) {
+        return target === 'dwell';
+    }
+
+    return appliesTo === 'both' || appliesTo === target;
+}
+
+/**
+ * Get the consecutive successes the current level needs to recover,
+ * including the trip backoff (undefined at Level 1)
+ */
+function getSuccessThreshold(state, policy, now = new Date()) {
+    const threshold = policy.successThresholds[state.currentLevel];
+    if (threshold === undefined || !backoffApplies(policy, 'successes')) {
+        return threshold;
+    }
+
+    return Math.ceil(threshold * getTripBackoff(state, policy, now).multiplier);
+}
+
+/**
+ * Evaluate whether the success streak allows recovering one level
+ */
+function evaluateRecoveryTransition(state, policy) {
+    const currentLevel = state.currentLevel;
+    const threshold = getSuccessThreshold(state, policy);
+
+    if (threshold === undefined || state.successCount < threshold) {
+        return { shouldTransition: false, newLevel: currentLevel, transitionReason: '' };
+    }
+
+    const newLevel = currentLevel - 1;
+    const { multiplier } = getTripBackoff(state, policy);
+    const backoff = multiplier > 1 ? `, trip backoff x${multiplier}` : '';
+    return {
+        shouldTransition: true,
+        newLevel,
+        transitionReason: `Recovery ${currentLevel}→${newLevel}: ${state.successCount} consecutive successes (threshold ${threshold}${backoff}, policy ${policy.version})`
+    };
+}
+
+/**
+ * Get the minimum time (seconds) the current level is held before it may
+ * recover, including the trip backoff
+ */
+function getMinimumDwellSeconds(state, policy, now = new Date()) {
+    const dwell = policy.dwell || {};
+    const dwellSeconds = Number((dwell.minimumSeconds || {})[state.currentLevel]) || 0;
+    return backoffApplies(policy, 'dwell') ? dwellSeconds * getTripBackoff(state, policy, now).multiplier : dwellSeconds;
+}
+
+/**
+ * Get until when the state holds its level against a transition
+ *
+ * Recoveries (`isRecovery`) wait until the level has been held for its
+ * minimum dwell time, measured from lastTransition; every automatic
+ * transition waits for the cooldown after the previous one (`cooldownUntil`
+ * on the state). Returns { until, hold } with the latest of the two, or null
+ * when nothing holds the level at `now`.
+ */
+function getLevelHold(state, policy, isRecovery, now = new Date()) {
+    let hold = null;
+
+    if (isRecovery && state.lastTransition) {
+        const dwellSeconds = getMinimumDwellSeconds(state, policy, now);
+        const dwellEnd = new Date(state.lastTransition).getTime() + dwellSeconds * 1000;
+        if (dwellEnd > now.getTime()) {
+            hold = { until: dwellEnd, hold: `minimum dwell of ${dwellSeconds}s at level ${state.currentLevel}` };
+        }
+    }
+
+    const cooldownEnd = state.cooldownUntil ? new Date(state.cooldownUntil).getTime() : 0;
+    if (cooldownEnd > Math.max(hold ? hold.until : 0, now.getTime())) {
+        hold = { until: cooldownEnd, hold: 'cooldown after the last transition' };
+    }
+
+    return hold && { until: new Date(hold.until).toISOString(), hold: hold.hold };
+}
+
+/**
+ * Block a transition while the minimum dwell time or the cooldown holds the level
+ */
+function suppressIfHeld(state, policy, transition, now = new Date()) {
+    if (!transition.shouldTransition) {
+        return transition;
+    }
+
+    const levelHold = getLevelHold(state, policy, transition.newLevel < state.currentLevel, now);
+    if (!levelHold) {
+        return transition;
+    }
+
+    return {
+        shouldTransition: false,
+        newLevel: state.currentLevel,
+        transitionReason: '',
+        suppressedReason: `${transition.transitionReason} - suppressed, ${levelHold.hold} until ${levelHold.until}`,
+        suppressedLevel: transition.newLevel,
+        suppressedUntil: levelHold.until
+    };
+}
+
+/**
+ * Get when the cooldown started by a transition made at `now` ends (null when disabled)
+ */
+function getCooldownEnd(policy, now = new Date()) {
+    const cooldownSeconds = Number((policy.dwell || {}).cooldownSeconds) || 0;
+    return cooldownSeconds > 0 ? new Date(now.getTime() + cooldownSeconds * 1000).toISOString() : null;
+}
+
+/**
+ * Check whether a success counts toward the recovery streak
+ *
+ * While half-open probing is enabled and the system is degraded, only probe
+ * results prove the next-higher level is healthy again.
+ */
+function countsTowardRecovery(state, policy, isProbe) {
+    if (!policy.halfOpen.enabled || state.currentLevel === 1) {
+        return true;
+    }
+
+    return Boolean(isProbe);
+}
+
+/**
+ * Describe how far the state is from the next downgrade and recovery
+ *
+ * Returns null for a direction that is not possible from the current level.
+ * In rate mode `windowStats` should hold the calls at the current level, and
+ * `levelLatency` the latency percentiles of the current level. `heldUntil`
+ * tells until when the dwell time or cooldown blocks a direction.
+ */
+function describeNextTransitions(state, policy, windowStats, levelLatency) {
+    const currentLevel = state.currentLevel;
+    let nextDowngrade = null;
+    let nextRecovery = null;
+
+    if (usesRateMode(policy)) {
+        const { windowMinutes, minimumCalls, failureRateThresholds } = policy.rateWindow;
+        const threshold = failureRateThresholds[currentLevel];
+
+        if (threshold !== undefined) {
+            const stats = windowStats || { failures: 0, total: 0 };
+            nextDowngrade = {
+                toLevel: currentLevel + 1,
+                mode: 'rate',
+                failureRateThreshold: threshold,
+                currentFailureRate: stats.total > 0 ? stats.failures / stats.total : 0,
+                windowMinutes,
+                windowCalls: stats.total,
+                callsUntilMinimumVolume: Math.max(minimumCalls - stats.total, 0)
+            };
+        }
+    } else {
+        const threshold = policy.failureThresholds[currentLevel];
+
+        if (threshold !== undefined) {
+            nextDowngrade = {
+                toLevel: currentLevel + 1,
+                mode: 'count',
+                failureThreshold: threshold,
+                failureCount: state.failureCount,
+                failuresRemaining: Math.max(threshold - state.failureCount, 0)
+            };
+        }
+    }
+
+    const slowCallRateThreshold = getSlowCallRateThreshold(policy, currentLevel);
+    if (nextDowngrade) {
+        const levelHold = getLevelHold(state, policy, false);
+        nextDowngrade.heldUntil = levelHold ? levelHold.until : null;
+        nextDowngrade.heldBy = levelHold ? levelHold.hold : null;
+    }
+
+    if (nextDowngrade && slowCallRateThreshold > 0) {
+        const stats = windowStats || { slowCalls: 0, total: 0 };
+        nextDowngrade.slowCall = {
+            slowCallThresholdMs: getSlowCallThreshold(policy, currentLevel),
+            slowCallRateThreshold,
+            currentSlowCallRate: stats.total > 0 ? stats.slowCalls / stats.total : 0
+        };
+    }
+
+    const p95Budget = getP95Budget(policy, currentLevel);
+    if (nextDowngrade && p95Budget > 0) {
+        const breach = state.latencyBreach && state.latencyBreach.level === currentLevel ? state.latencyBreach : null;
+        nextDowngrade.latency = {
+            p95BudgetMs: p95Budget,
+            currentP95: levelLatency ? levelLatency.p95 : null,
+            sustainMinutes: policy.latency.sustainMinutes,
+            breachSince: breach ? breach.since : null
+        };
+    }
+
+    const successThreshold = getSuccessThreshold(state, policy);
+    if (successThreshold !== undefined) {
+        nextRecovery = {
+            toLevel: currentLevel - 1,
+            successThreshold,
+            successCount: state.successCount,
+            successesRemaining: Math.max(successThreshold - state.successCount, 0),
+            probeOnly: policy.halfOpen.enabled,
+            minimumDwellSeconds: getMinimumDwellSeconds(state, policy),
+            recoveryMultiplier: getTripBackoff(state, policy).multiplier
+        };
+
+        const levelHold = getLevelHold(state, policy, true);
+        nextRecovery.heldUntil = levelHold ? levelHold.until : null;
+        nextRecovery.heldBy = levelHold ? levelHold.hold : null;
+    }
+
+    return { nextDowngrade, nextRecovery };
+}
+
+module.exports = {
+    loadPolicyFromEnv,
+    mergePolicy,
+    usesRateMode,
+    needsWindowStats,
+    getSlowCallThreshold,
+    usesLatencyBudget,
+    getFailureWeight,
+    evaluateFailureTransition,
+    evaluateLatencyTransition,
+    evaluateRecoveryTransition,
+    getTripBackoff,
+    recordTrip,
+    getSuccessThreshold,
+    countsTowardRecovery,
+    suppressIfHeld,
+    getCooldownEnd,
+    describeNextTransitions
+};
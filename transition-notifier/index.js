@@ -0,0 +1,314 @@
+const { SNSClient, PublishCommand } = require('@aws-sdk/client-sns');
+const { SQSClient, SendMessageCommand } = require('@aws-sdk/client-sqs');
+const { unmarshall } = require('@aws-sdk/util-dynamodb');
+
+// Metrics are buffered and emitted once at the end of each invocation
+const { publishMetric, flush: flushMetrics } = require('circuit-breaker-shared/metrics');
+const { parseJsonEnv } = require('circuit-breaker-shared/lambda-helpers');
+
+const sns = new SNSClient({});
+const sqs = new SQSClient({});
+
+const NOTIFICATION_TOPIC_ARN = process.env.NOTIFICATION_TOPIC_ARN;
+const NOTIFICATION_DLQ_URL = process.env.NOTIFICATION_DLQ_URL;
+const NOTIFICATION_WEBHOOKS = parseJsonEnv('NOTIFICATION_WEBHOOKS', []);
+const NOTIFICATION_TEMPLATE = process.env.NOTIFICATION_TEMPLATE
+    || '{{emoji}} [{{environment}}] Circuit breaker {{breakerId}} {{direction}}: level {{fromLevel}} → {{toLevel}} ({{toService}}). {{reason}}';
+const NOTIFICATION_MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 3;
+const NOTIFICATION_RETRY_BASE_MS = Number(process.env.NOTIFICATION_RETRY_BASE_MS) || 200;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+
+const DEFAULT_BREAKER_ID = 'default';
+
+const LEVEL_SERVICES = {
+    1: 'full-service',
+    2: 'degraded-service',
+    3: 'maintenance-service'
+};
+
+/**
+ * TRANSITION NOTIFIER LAMBDA
+ *
+ * Consumes the CircuitBreakerStateTable stream and tells people when a
+ * breaker changes level:
+ * 1. Keep `system-state` MODIFY records whose `currentLevel` changed
+ * 2. Build one structured notification per transition
+ * 3. Publish it to the transition SNS topic (NOTIFICATION_TOPIC_ARN)
+ * 4. POST it to every configured webhook (Slack-compatible or generic JSON)
+ * 5. Retry each delivery; deliveries that still fail go to the
+ *    notification dead-letter queue (NOTIFICATION_DLQ_URL)
+ * 6. Report a record whose failure couldn't be dead-lettered in
+ *    batchItemFailures, so the stream retries from that record on instead
+ *    of the whole batch
+ *
+ * NOTIFICATION_WEBHOOKS is a JSON array of webhooks:
+ *   [{ "url": "https://hooks.slack.com/...", "format": "slack" },
+ *    { "url": "https://ops.example.com/hook", "format": "json", "template": "..." }]
+ *
+ * Message templates replace {{name}} placeholders with notification fields
+ * (breakerId, fromLevel, toLevel, fromService, toService, direction, reason,
+ * environment, timestamp, emoji). A webhook's `template` overrides
+ * NOTIFICATION_TEMPLATE.
+ */
+
+/**
+ * Build the notification for a stream record, or null if the level didn't change
+ */
+function toNotification(record) {
+    if (record.eventName !== 'MODIFY' || !record.dynamodb || !record.dynamodb.OldImage || !record.dynamodb.NewImage) {
+        return null;
+    }
+
+    const oldState = unmarshall(record.dynamodb.OldImage);
+    const newState = unmarshall(record.dynamodb.NewImage);
+    if (newState.pk !== 'system-state' || oldState.currentLevel === newState.currentLevel) {
+        return null;
+    }
+
+    const direction = newState.currentLevel > oldState.currentLevel ? 'degraded' : 'recovered';
+
+    return {
+        type: 'CircuitBreakerTransition',
+        breakerId: newState.sk === 'current' ? DEFAULT_BREAKER_ID : newState.sk,
+        fromLevel: oldState.currentLevel,
+        toLevel: newState.currentLevel,
+        fromService: LEVEL_SERVICES[oldState.currentLevel] || 'unknown-service',
+        toService: LEVEL_SERVICES[newState.currentLevel] || 'unknown-service',
+        direction,
+        reason: newState.transitionReason || '',
+        pinned: Boolean(newState.pin),
+        policyVersion: newState.policyVersion || null,
+        stateVersion: newState.version,
+        environment: process.env.ENVIRONMENT || 'dev',
+        timestamp: newState.lastTransition || new Date().toISOString(),
+        emoji: direction === 'degraded' ? ':rotating_light:' : ':white_check_mark:'
+    };
+}
+
+/**
+ * Render a message template with the notification fields
+ */
+function renderTemplate(template, notification) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, field) => (
+        notification[field] === undefined || notification[field] === null ? '' : String(notification[field])
+    ));
+}
+
+/**
+ * Build the request body of a webhook in its format
+ */
+function buildWebhookBody(webhook, notification) {
+    const message = renderTemplate(webhook.template || NOTIFICATION_TEMPLATE, notification);
+
+    if (webhook.format === 'slack') {
+        return {
+            text: message,
+            attachments: [{
+                color: notification.direction === 'degraded' ? 'danger' : 'good',
+                fields: [
+                    { title: 'Breaker', value: notification.breakerId, short: true },
+                    { title: 'Level', value: `${notification.fromLevel} → ${notification.toLevel}`, short: true },
+                    { title: 'Active service', value: notification.toService, short: true },
+                    { title: 'Environment', value: notification.environment, short: true }
+                ],
+                ts: Math.floor(new Date(notification.timestamp).getTime() / 1000)
+            }]
+        };
+    }
+
+    return { ...notification, message };
+}
+
+/**
+ * Wait before the next delivery attempt
+ */
+function sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * Run a delivery, retrying with exponential backoff
+ *
+ * Errors flagged `retryable: false` (e.g. a webhook rejecting the payload)
+ * fail at once. Resolves with the number of attempts made.
+ */
+async function withRetries(deliver) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await deliver();
+            return attempt;
+        } catch (error) {
+            error.attempts = attempt;
+            if (error.retryable === false || attempt >= NOTIFICATION_MAX_ATTEMPTS) {
+                throw error;
+            }
+
+            console.warn(`Delivery attempt ${attempt} failed, retrying:`, error.message);
+            await sleep(NOTIFICATION_RETRY_BASE_MS * Math.pow(2, attempt - 1));
+        }
+    }
+}
+
+/**
+ * Publish a notification to the transition SNS topic
+ */
+async function publishToTopic(notification) {
+    await sns.send(new PublishCommand({
+        TopicArn: NOTIFICATION_TOPIC_ARN,
+        // SNS subjects must be ASCII
+        Subject: `Circuit breaker ${notification.breakerId} ${notification.direction}: level ${notification.fromLevel} -> ${notification.toLevel}`.slice(0, 100),
+        Message: JSON.stringify({ ...notification, message: renderTemplate(NOTIFICATION_TEMPLATE, notification) }),
+        MessageAttributes: {
+            breakerId: { DataType: 'String', StringValue: notification.breakerId },
+            direction: { DataType: 'String', StringValue: notification.direction },
+            toLevel: { DataType: 'Number', StringValue: String(notification.toLevel) }
+        }
+    }));
+}
+
+/**
+ * POST a notification to a webhook
+ */
+async function postToWebhook(webhook, notification) {
+    const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildWebhookBody(webhook, notification)),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        const webhookError = new Error(`Webhook responded ${response.status}`);
+        webhookError.name = 'WebhookDeliveryError';
+        // Client errors won't succeed on retry, except rate limiting
+        webhookError.retryable = response.status >= 500 || response.status === 429;
+        throw webhookError;
+    }
+}
+
+/**
+ * Get the delivery targets of a notification
+ */
+function getTargets() {
+    const targets = [];
+
+    if (NOTIFICATION_TOPIC_ARN) {
+        targets.push({ name: 'sns', deliver: publishToTopic });
+    }
+    NOTIFICATION_WEBHOOKS.forEach((webhook, index) => {
+        targets.push({
+            name: `webhook-${index}-${webhook.format || 'json'}`,
+            deliver: notification => postToWebhook(webhook, notification)
+        });
+    });
+
+    return targets;
+}
+
+/**
+ * Send a failed delivery to the notification dead-letter queue
+ *
+ * Throws when the DLQ is missing or unreachable, so the stream record is
+ * retried rather than the notification silently lost.
+ */
+async function sendToDeadLetterQueue(target, notification, error) {
+    if (!NOTIFICATION_DLQ_URL) {
+        throw error;
+    }
+
+    await sqs.send(new SendMessageCommand({
+        QueueUrl: NOTIFICATION_DLQ_URL,
+        MessageBody: JSON.stringify({
+            target: target.name,
+            notification,
+            error: { name: error.name, message: error.message },
+            attempts: error.attempts,
+            failedAt: new Date().toISOString()
+        })
+    }));
+}
+
+/**
+ * Deliver a notification to every target
+ */
+async function deliverNotification(notification) {
+    const results = [];
+
+    for (const target of getTargets()) {
+        try {
+            const attempts = await withRetries(() => target.deliver(notification));
+            results.push({ target: target.name, delivered: true, attempts });
+
+            await publishMetric('CircuitBreaker/Notifier', 'NotificationDelivered', 1, [
+                { Name: 'Target', Value: target.name.split('-')[0] }
+            ]);
+
+        } catch (error) {
+            console.error(`Notification delivery to ${target.name} failed:`, error);
+            await sendToDeadLetterQueue(target, notification, error);
+            results.push({ target: target.name, delivered: false, attempts: error.attempts, error: error.message });
+
+            await publishMetric('CircuitBreaker/Notifier', 'NotificationDeliveryFailed', 1, [
+                { Name: 'Target', Value: target.name.split('-')[0] }
+            ]);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Main handler for state table stream batches
+ *
+ * Stream records are processed in order. A record that fails is reported in
+ * batchItemFailures by its sequence number and the rest of the batch is left
+ * for the retry, which resumes from that record, so transitions already
+ * notified aren't sent again and later ones keep their order.
+ */
+exports.handler = async (event) => {
+    try {
+        const records = event.Records || [];
+        const batchItemFailures = [];
+        const results = [];
+        let notified = 0;
+
+        for (const record of records) {
+            const notification = toNotification(record);
+            if (!notification) {
+                continue;
+            }
+
+            try {
+                console.log('Notifying transition:', notification);
+                results.push({
+                    breakerId: notification.breakerId,
+                    fromLevel: notification.fromLevel,
+                    toLevel: notification.toLevel,
+                    deliveries: await deliverNotification(notification)
+                });
+                notified++;
+
+                await publishMetric('CircuitBreaker/Notifier', 'TransitionNotified', 1, [
+                    { Name: 'BreakerId', Value: notification.breakerId },
+                    { Name: 'Direction', Value: notification.direction }
+                ]);
+
+            } catch (recordError) {
+                console.error('Failed to notify transition, retrying from this record:', recordError);
+                batchItemFailures.push({ itemIdentifier: record.dynamodb.SequenceNumber });
+                break;
+            }
+        }
+
+        console.log(`Stream batch: ${records.length} records, ${notified} level transitions notified`);
+        return { batchItemFailures, processed: records.length, notified, results };
+
+    } catch (error) {
+        console.error('Transition notifier error:', error);
+        throw error;
+
+    } finally {
+        // Emit the metrics buffered during this invocation
+        await flushMetrics();
+    }
+};
\ No newline at end of file
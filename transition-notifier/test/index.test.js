@@ -0,0 +1,149 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { SNSClient } = require('@aws-sdk/client-sns');
+const { SQSClient } = require('@aws-sdk/client-sqs');
+const { marshall } = require('@aws-sdk/util-dynamodb');
+
+process.env.METRICS_DISABLED = 'true';
+process.env.NOTIFICATION_TOPIC_ARN = 'arn:aws:sns:us-east-1:123456789012:transitions';
+process.env.NOTIFICATION_DLQ_URL = 'https://sqs.us-east-1.amazonaws.com/123456789012/notification-dlq';
+process.env.NOTIFICATION_WEBHOOKS = JSON.stringify([{ url: 'https://hooks.example.com/slack', format: 'slack' }]);
+process.env.NOTIFICATION_RETRY_BASE_MS = '1';
+
+const notifier = require('../index');
+
+// Every delivery is logged; keep the test output readable
+['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+mock.method(SNSClient.prototype, 'send', async () => ({}));
+mock.method(SQSClient.prototype, 'send', async () => ({}));
+
+let webhookStatuses;
+let sequenceNumber = 0;
+
+/**
+ * Answer webhook requests with the queued status codes (200 once they run out)
+ */
+mock.method(globalThis, 'fetch', async () => {
+    const status = webhookStatuses.length > 0 ? webhookStatuses.shift() : 200;
+    return { ok: status < 400, status };
+});
+
+beforeEach(() => {
+    webhookStatuses = [];
+    SNSClient.prototype.send.mock.resetCalls();
+    SQSClient.prototype.send.mock.resetCalls();
+    globalThis.fetch.mock.resetCalls();
+});
+
+/**
+ * Build a state table stream record changing a state item between two images
+ */
+function stateRecord(sk, oldImage, newImage, eventName = 'MODIFY') {
+    const keys = { pk: 'system-state', sk };
+    return {
+        eventName,
+        dynamodb: {
+            SequenceNumber: String(++sequenceNumber),
+            Keys: marshall(keys),
+            OldImage: oldImage && marshall({ ...keys, ...oldImage }),
+            NewImage: marshall({ ...keys, ...newImage })
+        }
+    };
+}
+
+/**
+ * Stream record of the default breaker degrading from Level 1 to Level 2
+ */
+function degradation() {
+    return stateRecord('current', { currentLevel: 1, version: 4 }, {
+        currentLevel: 2,
+        version: 5,
+        transitionReason: 'Level 1 failure threshold reached',
+        lastTransition: '2026-03-01T10:00:00.000Z'
+    });
+}
+
+describe('transition records', () => {
+    it('only notifies state changes that moved the level', async () => {
+        const result = await notifier.handler({
+            Records: [
+                stateRecord('current', { currentLevel: 1, failureCount: 2 }, { currentLevel: 1, failureCount: 3 }),
+                stateRecord('transfers', null, { currentLevel: 1 }, 'INSERT'),
+                degradation()
+            ]
+        });
+
+        assert.equal(result.processed, 3);
+        assert.equal(result.notified, 1);
+        assert.equal(SNSClient.prototype.send.mock.callCount(), 1);
+    });
+
+    it('publishes the transition to the topic and the webhooks', async () => {
+        const result = await notifier.handler({ Records: [degradation()] });
+
+        const { input } = SNSClient.prototype.send.mock.calls[0].arguments[0];
+        const message = JSON.parse(input.Message);
+        assert.equal(message.breakerId, 'default');
+        assert.equal(message.direction, 'degraded');
+        assert.equal(message.toService, 'degraded-service');
+        assert.equal(input.MessageAttributes.toLevel.StringValue, '2');
+
+        const [url, request] = globalThis.fetch.mock.calls[0].arguments;
+        const slackBody = JSON.parse(request.body);
+        assert.equal(url, 'https://hooks.example.com/slack');
+        assert.match(slackBody.text, /Circuit breaker default degraded: level 1 → 2 \(degraded-service\)/);
+        assert.equal(slackBody.attachments[0].color, 'danger');
+
+        assert.deepEqual(result.results[0].deliveries.map(delivery => delivery.delivered), [true, true]);
+    });
+});
+
+describe('delivery failures', () => {
+    it('retries server errors', async () => {
+        webhookStatuses = [503, 502];
+
+        const result = await notifier.handler({ Records: [degradation()] });
+
+        assert.equal(globalThis.fetch.mock.callCount(), 3);
+        assert.equal(result.results[0].deliveries[1].attempts, 3);
+        assert.equal(SQSClient.prototype.send.mock.callCount(), 0);
+    });
+
+    it('sends rejected deliveries to the dead-letter queue without retrying', async () => {
+        webhookStatuses = [400];
+
+        const result = await notifier.handler({ Records: [degradation()] });
+
+        assert.equal(globalThis.fetch.mock.callCount(), 1);
+        assert.equal(result.results[0].deliveries[1].delivered, false);
+
+        const { input } = SQSClient.prototype.send.mock.calls[0].arguments[0];
+        const deadLetter = JSON.parse(input.MessageBody);
+        assert.equal(deadLetter.target, 'webhook-0-slack');
+        assert.equal(deadLetter.error.name, 'WebhookDeliveryError');
+        assert.equal(deadLetter.notification.toLevel, 2);
+    });
+
+    it('reports the record whose failure could not be dead-lettered and stops there', async () => {
+        const records = [degradation(), degradation(), degradation()];
+        webhookStatuses = [200, 400];
+        SQSClient.prototype.send.mock.mockImplementationOnce(async () => {
+            throw new Error('Network error');
+        });
+
+        const result = await notifier.handler({ Records: records });
+
+        assert.deepEqual(result.batchItemFailures, [{ itemIdentifier: records[1].dynamodb.SequenceNumber }]);
+        assert.equal(result.notified, 1);
+        assert.equal(SNSClient.prototype.send.mock.callCount(), 2);
+    });
+
+    it('reports no failures when every record was handled', async () => {
+        webhookStatuses = [400];
+
+        const result = await notifier.handler({ Records: [degradation()] });
+
+        assert.deepEqual(result.batchItemFailures, []);
+    });
+});
\ No newline at end of file